@@ -0,0 +1,75 @@
+// Audit trail endpoint (owner only)
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  extractQuery,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const { AUDIT_ACTIONS, queryAudit } = require("../audit");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Times are normalized to ISO strings so stores can compare them as text
+const auditTime = z.iso
+  .datetime({ offset: true })
+  .transform((value) => new Date(value).toISOString())
+  .optional();
+
+const auditQuerySchema = z.object({
+  actor: z.string().trim().min(1).optional(),
+  action: z
+    .string()
+    .transform((value) => value.split(",").map((a) => a.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(AUDIT_ACTIONS)))
+    .optional(),
+  videoId: z.coerce.number().int().positive().optional(),
+  from: auditTime,
+  to: auditTime,
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+});
+
+// GET /api/admin/audit - Query the audit trail, newest first
+async function handleGet(req, res) {
+  try {
+    const validation = auditQuerySchema.safeParse(extractQuery(req));
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const { action, limit, ...query } = validation.data;
+    const records = await queryAudit({ ...query, actions: action }, limit);
+    return res.status(200).json({ data: records });
+  } catch (err) {
+    logError("GET /admin/audit error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "read"))) return;
+
+  if (req.method === "GET") {
+    const token = await requireRole(req, res, "owner");
+    if (!token) return;
+    return handleGet(req, res);
+  } else {
+    res.setHeader("Allow", ["GET", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
@@ -1,16 +1,17 @@
 // Authentication middleware for admin endpoints
 
-const jwt = require("jsonwebtoken");
-
-const JWT_SECRET = process.env.JWT_SECRET || "change-me-in-production";
+const crypto = require("crypto");
+const { findUser, hasRole } = require("../users");
+const { verifyAccessToken, isTokenRevoked } = require("../tokens");
+const { logError } = require("../utils");
 
 /**
- * Verify JWT token from Authorization header
+ * Verify JWT token from Authorization header and check the revocation list
  * @param {Object} req - Request object
  * @param {Object} res - Response object
- * @returns {Object|null} Decoded token or null if invalid
+ * @returns {Promise<Object|null>} Decoded token or null if invalid
  */
-function verifyToken(req, res) {
+async function verifyToken(req, res) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     res.status(401).json({ error: "Missing or invalid authorization header" });
@@ -19,9 +20,9 @@ function verifyToken(req, res) {
 
   const token = authHeader.substring(7); // Remove "Bearer " prefix
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
+    decoded = verifyAccessToken(token);
   } catch (error) {
     if (error.name === "TokenExpiredError") {
       res.status(401).json({ error: "Token expired" });
@@ -32,9 +33,75 @@ function verifyToken(req, res) {
     }
     return null;
   }
+
+  try {
+    if (await isTokenRevoked(decoded.jti)) {
+      res.status(401).json({ error: "Token revoked" });
+      return null;
+    }
+  } catch (err) {
+    logError("Failed to check token revocation", err, { jti: decoded.jti });
+    res.status(500).json({ error: "Authentication failed" });
+    return null;
+  }
+
+  return decoded;
+}
+
+/**
+ * Verify the JWT and check that its user may act with the given role.
+ * Disabled or deleted accounts are rejected even if their token is valid.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} role - Minimum role required (viewer, editor or owner)
+ * @returns {Promise<Object|null>} Decoded token or null if rejected
+ */
+async function requireRole(req, res, role) {
+  const decoded = await verifyToken(req, res);
+  if (!decoded) return null;
+
+  let user;
+  try {
+    user = decoded.sub ? await findUser(decoded.sub) : null;
+  } catch (err) {
+    logError("Failed to load user for token", err, { username: decoded.sub });
+    res.status(500).json({ error: "Authentication failed" });
+    return null;
+  }
+  if (!user || user.disabled) {
+    res.status(401).json({ error: "Account is disabled or no longer exists" });
+    return null;
+  }
+
+  // A demotion takes effect immediately, before the token expires
+  if (!hasRole(decoded.role, role) || !hasRole(user.role, role)) {
+    res.status(403).json({ error: "Insufficient permissions" });
+    return null;
+  }
+
+  return decoded;
+}
+
+/**
+ * Check for Vercel Cron's `Authorization: Bearer <CRON_SECRET>` header
+ * @param {Object} req - Request object
+ * @returns {boolean} True if the request comes from a cron job
+ */
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || "";
+  if (!secret || !header.startsWith("Bearer ")) return false;
+
+  const expected = Buffer.from(secret);
+  const given = Buffer.from(header.substring(7));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
 }
 
 module.exports = {
   verifyToken,
+  requireRole,
+  isCronRequest,
 };
 
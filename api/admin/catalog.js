@@ -0,0 +1,105 @@
+// Catalog schema status and migration endpoints (owner only)
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const {
+  getCatalogStatus,
+  previewMigration,
+  migrateCatalog,
+} = require("../catalog");
+
+const migrateSchema = z.object({
+  dryRun: z.boolean().default(false),
+});
+
+function sendCatalogError(err, res, fallback) {
+  if (err.status === 409) {
+    return res.status(409).json({ error: err.message });
+  }
+  return res.status(500).json({ error: err.message || fallback });
+}
+
+// GET /api/admin/catalog - Schema version, pending migrations and invalid entries
+async function handleGet(req, res) {
+  try {
+    const status = await getCatalogStatus();
+    return res.status(200).json({ data: status });
+  } catch (err) {
+    logError("GET /admin/catalog error", err, getRequestContext(req));
+    return sendCatalogError(err, res, "Failed to read catalog");
+  }
+}
+
+// POST /api/admin/catalog/migrate - Upgrade the catalog, or preview the diff with dryRun
+async function handleMigrate(req, res, token) {
+  try {
+    const validation = migrateSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    if (validation.data.dryRun) {
+      const preview = await previewMigration();
+      return res.status(200).json({ data: preview, dryRun: true });
+    }
+
+    const result = await migrateCatalog(token.sub, getRequestContext(req));
+
+    logInfo("Migrated catalog", {
+      from: result.from,
+      to: result.to,
+      commitSha: result.commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: result,
+      commitSha: result.commitSha,
+      message: result.commitSha
+        ? `Catalog migrated to schema version ${result.to}`
+        : "Catalog is already up to date",
+    });
+  } catch (err) {
+    logError("POST /admin/catalog/migrate error", err, getRequestContext(req));
+    return sendCatalogError(err, res, "Failed to migrate catalog");
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  const policy = req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const pathname = (req.url || "").split("?")[0];
+  const [, action] = pathname.split("/api/admin/catalog");
+
+  if (req.method === "GET" && !action) {
+    const token = await requireRole(req, res, "owner");
+    if (!token) return;
+    return handleGet(req, res);
+  } else if (req.method === "POST" && action === "/migrate") {
+    const token = await requireRole(req, res, "owner");
+    if (!token) return;
+    return handleMigrate(req, res, token);
+  } else {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
@@ -0,0 +1,220 @@
+// Category management endpoints
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const {
+  listCategoriesWithCounts,
+  createCategory,
+  renameCategory,
+  mergeCategories,
+  reorderCategories,
+} = require("../categories");
+
+const categoryNameSchema = z
+  .string()
+  .trim()
+  .min(1, "Name is required")
+  .max(50, "Name must be at most 50 characters");
+
+const createCategorySchema = z.object({
+  name: categoryNameSchema,
+});
+
+const renameCategorySchema = z.object({
+  name: categoryNameSchema,
+});
+
+const mergeCategorySchema = z.object({
+  into: categoryNameSchema,
+});
+
+const reorderCategoriesSchema = z.object({
+  order: z.array(categoryNameSchema).min(1, "Order is required"),
+});
+
+/**
+ * Split /api/admin/categories/:name[/:action] into its parts
+ * @param {Object} req - Request object
+ * @returns {{name: string|undefined, action: string|undefined}}
+ */
+function parseCategoryPath(req) {
+  const pathname = (req.url || "").split("?")[0];
+  const [, rest = ""] = pathname.split("/api/admin/categories");
+  const [name, action] = rest.split("/").filter(Boolean);
+  return {
+    name: name ? decodeURIComponent(name) : undefined,
+    action,
+  };
+}
+
+function sendCategoryError(err, res, fallback) {
+  if ([400, 404, 409].includes(err.status)) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  return res.status(500).json({ error: err.message || fallback });
+}
+
+function sendInvalidInput(validation, res) {
+  return res.status(400).json({
+    error: "Invalid input",
+    details: validation.error.flatten().fieldErrors,
+  });
+}
+
+// GET /api/admin/categories - List categories with video counts
+async function handleGet(req, res) {
+  try {
+    const categories = await listCategoriesWithCounts();
+    return res.status(200).json({ data: categories });
+  } catch (err) {
+    logError("GET /admin/categories error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to fetch categories" });
+  }
+}
+
+// POST /api/admin/categories - Create category
+async function handlePost(req, res, token) {
+  try {
+    const validation = createCategorySchema.safeParse(req.body ?? {});
+    if (!validation.success) return sendInvalidInput(validation, res);
+
+    const { name } = validation.data;
+    const categories = await createCategory(name, token.sub);
+
+    logInfo("Created category", { name, actor: token.sub });
+
+    return res.status(201).json({
+      data: categories,
+      message: "Category created successfully",
+    });
+  } catch (err) {
+    logError("POST /admin/categories error", err, getRequestContext(req));
+    return sendCategoryError(err, res, "Failed to create category");
+  }
+}
+
+// PUT /api/admin/categories - Set display order
+async function handleReorder(req, res, token) {
+  try {
+    const validation = reorderCategoriesSchema.safeParse(req.body ?? {});
+    if (!validation.success) return sendInvalidInput(validation, res);
+
+    const categories = await reorderCategories(validation.data.order, token.sub);
+
+    logInfo("Reordered categories", { actor: token.sub });
+
+    return res.status(200).json({
+      data: categories,
+      message: "Categories reordered successfully",
+    });
+  } catch (err) {
+    logError("PUT /admin/categories error", err, getRequestContext(req));
+    return sendCategoryError(err, res, "Failed to reorder categories");
+  }
+}
+
+// PUT /api/admin/categories/:name - Rename category (rewrites its videos)
+async function handleRename(req, res, token, name) {
+  try {
+    const validation = renameCategorySchema.safeParse(req.body ?? {});
+    if (!validation.success) return sendInvalidInput(validation, res);
+
+    const result = await renameCategory(
+      name,
+      validation.data.name,
+      token.sub,
+      getRequestContext(req)
+    );
+
+    logInfo("Renamed category", {
+      from: name,
+      to: validation.data.name,
+      videosChanged: result.videosChanged,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: result.categories,
+      videosChanged: result.videosChanged,
+      message: "Category renamed successfully",
+    });
+  } catch (err) {
+    logError("PUT /admin/categories/:name error", err, getRequestContext(req));
+    return sendCategoryError(err, res, "Failed to rename category");
+  }
+}
+
+// POST /api/admin/categories/:name/merge - Merge category into another
+async function handleMerge(req, res, token, name) {
+  try {
+    const validation = mergeCategorySchema.safeParse(req.body ?? {});
+    if (!validation.success) return sendInvalidInput(validation, res);
+
+    const result = await mergeCategories(
+      name,
+      validation.data.into,
+      token.sub,
+      getRequestContext(req)
+    );
+
+    logInfo("Merged category", {
+      from: name,
+      into: validation.data.into,
+      videosChanged: result.videosChanged,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: result.categories,
+      videosChanged: result.videosChanged,
+      message: "Categories merged successfully",
+    });
+  } catch (err) {
+    logError("POST /admin/categories/:name/merge error", err, getRequestContext(req));
+    return sendCategoryError(err, res, "Failed to merge categories");
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  const policy = req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const { name, action } = parseCategoryPath(req);
+
+  // Rename and merge rewrite many videos, so they are owner only
+  let route;
+  if (req.method === "GET" && !name) {
+    route = { role: "viewer", handle: () => handleGet(req, res) };
+  } else if (req.method === "POST" && !name) {
+    route = { role: "editor", handle: (token) => handlePost(req, res, token) };
+  } else if (req.method === "PUT" && !name) {
+    route = { role: "editor", handle: (token) => handleReorder(req, res, token) };
+  } else if (req.method === "PUT" && name && !action) {
+    route = { role: "owner", handle: (token) => handleRename(req, res, token, name) };
+  } else if (req.method === "POST" && name && action === "merge") {
+    route = { role: "owner", handle: (token) => handleMerge(req, res, token, name) };
+  } else {
+    res.setHeader("Allow", ["GET", "POST", "PUT", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  const token = await requireRole(req, res, route.role);
+  if (!token) return; // Response already sent by requireRole
+
+  return route.handle(token);
+}
@@ -0,0 +1,156 @@
+// Catalog history and restore endpoints
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  extractQuery,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const {
+  getHistory,
+  restoreCatalog,
+  restoreVideo,
+  videoExistsAt,
+} = require("../history");
+const { getReviewBranch, openChangeSet } = require("../review");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const restoreSchema = z.object({
+  videoId: z.number().int().positive().optional(),
+});
+
+/**
+ * Split /api/admin/history/:sha/restore into its parts
+ * @param {Object} req - Request object
+ * @returns {{sha: string|undefined, action: string|undefined}}
+ */
+function parseHistoryPath(req) {
+  const pathname = (req.url || "").split("?")[0];
+  const [, rest = ""] = pathname.split("/api/admin/history");
+  const [sha, action] = rest.split("/").filter(Boolean);
+  return { sha, action };
+}
+
+function sendHistoryError(err, res, fallback) {
+  if ([404, 409, 501].includes(err.status)) {
+    return res
+      .status(err.status)
+      .json({ error: err.message, current: err.current });
+  }
+  return res.status(500).json({ error: err.message || fallback });
+}
+
+// GET /api/admin/history - List recent catalog commits with per-video diffs
+async function handleGet(req, res) {
+  try {
+    const query = extractQuery(req);
+    const requested = parseInt(query.limit, 10);
+    const limit = Number.isNaN(requested)
+      ? DEFAULT_LIMIT
+      : Math.min(Math.max(requested, 1), MAX_LIMIT);
+
+    const history = await getHistory(limit);
+    return res.status(200).json({ data: history });
+  } catch (err) {
+    logError("GET /admin/history error", err, getRequestContext(req));
+    return sendHistoryError(err, res, "Failed to fetch history");
+  }
+}
+
+// POST /api/admin/history/:sha/restore - Restore the catalog or one video
+async function handleRestore(req, res, token, sha) {
+  try {
+    const validation = restoreSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const { videoId } = validation.data;
+
+    // Restoring the whole catalog can undo many people's edits
+    if (!videoId && !(await requireRole(req, res, "owner"))) return;
+
+    // Restoring a video that did not exist at that commit deletes it, which
+    // needs the same role as DELETE /api/admin/videos
+    if (
+      videoId &&
+      !(await videoExistsAt(sha, videoId)) &&
+      !(await requireRole(req, res, "owner"))
+    ) {
+      return;
+    }
+
+    // Editors' restores go through review like their other edits
+    const branch = videoId ? await getReviewBranch(token) : undefined;
+    const result = videoId
+      ? await restoreVideo(sha, videoId, token.sub, getRequestContext(req), branch)
+      : await restoreCatalog(sha, token.sub, getRequestContext(req));
+    const changeSet =
+      branch && result.commitSha
+        ? await openChangeSet(branch, token.sub)
+        : undefined;
+
+    logInfo("Restored from history", {
+      sha,
+      videoId,
+      commitSha: result.commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: videoId ? result.video : result.videos,
+      commitSha: result.commitSha,
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "Video restore submitted for review"
+        : videoId
+        ? "Video restored successfully"
+        : "Catalog restored successfully",
+    });
+  } catch (err) {
+    logError("POST /admin/history/:sha/restore error", err, getRequestContext(req));
+    return sendHistoryError(err, res, "Failed to restore");
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  const policy = req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const { sha, action } = parseHistoryPath(req);
+
+  if (req.method === "GET" && !sha) {
+    const token = await requireRole(req, res, "viewer");
+    if (!token) return;
+    return handleGet(req, res);
+  } else if (req.method === "POST" && sha && action === "restore") {
+    // Restoring one video needs editor; the whole catalog, owner (checked
+    // once the body says which)
+    const token = await requireRole(req, res, "editor");
+    if (!token) return;
+    if (!/^[0-9a-f]{7,40}$/i.test(sha)) {
+      return res.status(400).json({ error: "Invalid commit SHA" });
+    }
+    return handleRestore(req, res, token, sha);
+  } else {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
@@ -1,27 +1,39 @@
 // Admin login endpoint
 
-const jwt = require("jsonwebtoken");
 const { z } = require("zod");
 const {
   applyCors,
-  enforceRateLimit,
   getRequestContext,
   logInfo,
   logError,
 } = require("../utils");
-
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-const JWT_SECRET = process.env.JWT_SECRET || "change-me-in-production";
-const JWT_EXPIRES_IN = "24h";
-
-if (!ADMIN_PASSWORD) {
-  console.warn("ADMIN_PASSWORD not set. Login will fail.");
-}
+const {
+  enforceRateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../rateLimit");
+const { authenticate, normalizeUsername } = require("../users");
+const { issueTokens } = require("../tokens");
+const { recordAudit } = require("../audit");
 
 const loginSchema = z.object({
+  username: z.string().min(1, "Username is required"),
   password: z.string().min(1, "Password is required"),
 });
 
+/**
+ * Refuse a login while a lockout is in effect
+ * @param {Object} res - Response object
+ * @param {number} lockedMs - Milliseconds until the lockout ends
+ */
+function sendLockedOut(res, lockedMs) {
+  res.setHeader("Retry-After", String(Math.ceil(lockedMs / 1000)));
+  return res.status(429).json({
+    error: "Too many failed login attempts, try again later",
+  });
+}
+
 async function handlePost(req, res) {
   try {
     const validation = loginSchema.safeParse(req.body ?? {});
@@ -32,31 +44,57 @@ async function handlePost(req, res) {
       });
     }
 
-    const { password } = validation.data;
+    const { username, password } = validation.data;
+
+    const request = getRequestContext(req);
+    const account = normalizeUsername(username);
 
-    if (!ADMIN_PASSWORD) {
-      logError("ADMIN_PASSWORD not configured", new Error("Missing env var"));
-      return res.status(500).json({ error: "Server configuration error" });
+    // Locked out IPs and accounts are refused before the password is checked
+    const lockedMs = await getLoginLockout(request.ip, account);
+    if (lockedMs > 0) {
+      await recordAudit({
+        action: "login.failure",
+        actor: username,
+        request,
+        details: { reason: "locked" },
+      });
+      return sendLockedOut(res, lockedMs);
     }
 
-    if (password !== ADMIN_PASSWORD) {
-      logInfo("Failed login attempt", { ip: getRequestContext(req).ip });
-      return res.status(401).json({ error: "Invalid password" });
+    const user = await authenticate(username, password);
+    if (!user) {
+      logInfo("Failed login attempt", {
+        ip: request.ip,
+        username,
+      });
+      await recordAudit({ action: "login.failure", actor: username, request });
+      const lockMs = await recordLoginFailure(request.ip, account);
+      if (lockMs > 0) {
+        return sendLockedOut(res, lockMs);
+      }
+      return res.status(401).json({ error: "Invalid username or password" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ admin: true }, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES_IN,
-    });
+    await clearLoginFailures(account);
 
-    const decoded = jwt.decode(token);
-    const expiresAt = decoded.exp * 1000; // Convert to milliseconds
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(user);
 
-    logInfo("Successful login", { ip: getRequestContext(req).ip });
+    logInfo("Successful login", {
+      ip: request.ip,
+      username: user._id,
+      role: user.role,
+    });
+    await recordAudit({
+      action: "login.success",
+      actor: user._id,
+      request,
+      details: { role: user.role },
+    });
 
     return res.status(200).json({
-      token,
-      expiresAt,
+      ...tokens,
+      user: { username: user._id, role: user.role },
     });
   } catch (err) {
     logError("POST /admin/login error", err, getRequestContext(req));
@@ -73,7 +111,7 @@ module.exports = async function handler(req, res) {
 
   const requestMeta = getRequestContext(req);
 
-  if (!enforceRateLimit(requestMeta, res)) return;
+  if (!(await enforceRateLimit(requestMeta, res, "login"))) return;
 
   if (req.method === "POST") {
     return handlePost(req, res);
@@ -0,0 +1,85 @@
+// Logout endpoint: revokes the access token and its refresh session
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const {
+  verifyAccessToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+} = require("../tokens");
+
+const logoutSchema = z.object({
+  refreshToken: z.string().min(1).optional(),
+});
+
+async function handlePost(req, res) {
+  try {
+    const validation = logoutSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    // An expired or missing access token must not prevent logging out
+    let decoded = null;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+      try {
+        decoded = verifyAccessToken(authHeader.substring(7));
+      } catch {
+        decoded = null;
+      }
+    }
+
+    const { refreshToken } = validation.data;
+    if (!decoded && !refreshToken) {
+      return res
+        .status(401)
+        .json({ error: "A valid access token or refresh token is required" });
+    }
+
+    if (decoded) {
+      await revokeAccessToken(decoded);
+    }
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    logInfo("Logged out", {
+      ip: getRequestContext(req).ip,
+      username: decoded?.sub,
+    });
+
+    return res.status(200).json({ message: "Logged out successfully" });
+  } catch (err) {
+    logError("POST /admin/logout error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "refresh"))) return;
+
+  if (req.method === "POST") {
+    return handlePost(req, res);
+  } else {
+    res.setHeader("Allow", ["POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
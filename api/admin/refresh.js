@@ -0,0 +1,76 @@
+// Token refresh endpoint (rotates the refresh token)
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { findUser } = require("../users");
+const { issueTokens, consumeRefreshToken } = require("../tokens");
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+});
+
+async function handlePost(req, res) {
+  try {
+    const validation = refreshSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const session = await consumeRefreshToken(validation.data.refreshToken);
+    if (!session) {
+      logInfo("Rejected refresh token", { ip: getRequestContext(req).ip });
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    // Pick up role changes and disabled accounts since the last refresh
+    const user = await findUser(session.username);
+    if (!user || user.disabled) {
+      return res
+        .status(401)
+        .json({ error: "Account is disabled or no longer exists" });
+    }
+
+    const tokens = await issueTokens(user, session.family);
+
+    logInfo("Refreshed token", {
+      ip: getRequestContext(req).ip,
+      username: user._id,
+    });
+
+    return res.status(200).json({
+      ...tokens,
+      user: { username: user._id, role: user.role },
+    });
+  } catch (err) {
+    logError("POST /admin/refresh error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "refresh"))) return;
+
+  if (req.method === "POST") {
+    return handlePost(req, res);
+  } else {
+    res.setHeader("Allow", ["POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
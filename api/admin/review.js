@@ -0,0 +1,156 @@
+// Change set review endpoints (owner only)
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const {
+  listChangeSets,
+  previewChangeSet,
+  approveChangeSet,
+  rejectChangeSet,
+} = require("../review");
+
+const rejectSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
+
+/**
+ * Split /api/admin/review/:number/approve into its parts
+ * @param {Object} req - Request object
+ * @returns {{number: string|undefined, action: string|undefined}}
+ */
+function parseReviewPath(req) {
+  const pathname = (req.url || "").split("?")[0];
+  const [, rest = ""] = pathname.split("/api/admin/review");
+  const [number, action] = rest.split("/").filter(Boolean);
+  return { number, action };
+}
+
+function sendReviewError(err, res, fallback) {
+  if ([404, 409, 501].includes(err.status)) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  return res.status(500).json({ error: err.message || fallback });
+}
+
+// GET /api/admin/review - List change sets waiting for review
+async function handleList(req, res) {
+  try {
+    const changeSets = await listChangeSets();
+    return res.status(200).json({ data: changeSets });
+  } catch (err) {
+    logError("GET /admin/review error", err, getRequestContext(req));
+    return sendReviewError(err, res, "Failed to list change sets");
+  }
+}
+
+// GET /api/admin/review/:number - Preview a change set's per-video diff
+async function handlePreview(req, res, number) {
+  try {
+    const changeSet = await previewChangeSet(number);
+    return res.status(200).json({ data: changeSet });
+  } catch (err) {
+    logError("GET /admin/review/:number error", err, getRequestContext(req));
+    return sendReviewError(err, res, "Failed to load change set");
+  }
+}
+
+// POST /api/admin/review/:number/approve - Merge a change set
+async function handleApprove(req, res, token, number) {
+  try {
+    const result = await approveChangeSet(number, token.sub, getRequestContext(req));
+
+    logInfo("Approved change set", {
+      number,
+      author: result.author,
+      commitSha: result.commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: result,
+      commitSha: result.commitSha,
+      message: "Change set approved and published",
+    });
+  } catch (err) {
+    logError("POST /admin/review/:number/approve error", err, getRequestContext(req));
+    return sendReviewError(err, res, "Failed to approve change set");
+  }
+}
+
+// POST /api/admin/review/:number/reject - Close a change set without merging
+async function handleReject(req, res, token, number) {
+  try {
+    const validation = rejectSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const result = await rejectChangeSet(
+      number,
+      token.sub,
+      getRequestContext(req),
+      validation.data.reason
+    );
+
+    logInfo("Rejected change set", {
+      number,
+      author: result.author,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: result,
+      message: "Change set rejected",
+    });
+  } catch (err) {
+    logError("POST /admin/review/:number/reject error", err, getRequestContext(req));
+    return sendReviewError(err, res, "Failed to reject change set");
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  const policy = req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const { number: rawNumber, action } = parseReviewPath(req);
+  const number = rawNumber === undefined ? undefined : Number(rawNumber);
+  if (rawNumber !== undefined && !(Number.isInteger(number) && number > 0)) {
+    return res.status(400).json({ error: "Invalid change set number" });
+  }
+
+  const isApprove = req.method === "POST" && number && action === "approve";
+  const isReject = req.method === "POST" && number && action === "reject";
+  const isList = req.method === "GET" && !number;
+  const isPreview = req.method === "GET" && number && !action;
+
+  if (!(isList || isPreview || isApprove || isReject)) {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  const token = await requireRole(req, res, "owner");
+  if (!token) return;
+
+  if (isList) return handleList(req, res);
+  if (isPreview) return handlePreview(req, res, number);
+  if (isApprove) return handleApprove(req, res, token, number);
+  return handleReject(req, res, token, number);
+}
@@ -0,0 +1,209 @@
+// Admin user management endpoints (owner only)
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const {
+  ROLES,
+  normalizeUsername,
+  listUsers,
+  createUser,
+  updateUser,
+  resetPassword,
+} = require("../users");
+const { revokeUserSessions } = require("../tokens");
+
+const passwordSchema = z.string().min(8, "Password must be at least 8 characters");
+
+const createUserSchema = z.object({
+  username: z
+    .string()
+    .regex(/^[a-zA-Z0-9._-]{2,32}$/, "Username must be 2-32 letters, digits, '.', '_' or '-'"),
+  password: passwordSchema,
+  role: z.enum(ROLES),
+});
+
+const updateUserSchema = z
+  .object({
+    role: z.enum(ROLES).optional(),
+    disabled: z.boolean().optional(),
+  })
+  .refine((data) => data.role !== undefined || data.disabled !== undefined, {
+    message: "Nothing to update",
+  });
+
+const resetPasswordSchema = z.object({
+  password: passwordSchema,
+});
+
+/**
+ * Split /api/admin/users/:username[/:action] into its parts
+ * @param {Object} req - Request object
+ * @returns {{username: string|undefined, action: string|undefined}}
+ */
+function parseUserPath(req) {
+  const pathname = (req.url || "").split("?")[0];
+  const [, rest = ""] = pathname.split("/api/admin/users");
+  const [username, action] = rest.split("/").filter(Boolean);
+  return {
+    username: username ? decodeURIComponent(username) : undefined,
+    action,
+  };
+}
+
+function sendUserError(err, res, fallback) {
+  if (err.status === 404 || err.status === 409) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  return res.status(500).json({ error: fallback });
+}
+
+// GET /api/admin/users - List users
+async function handleGet(req, res) {
+  try {
+    const users = await listUsers();
+    return res.status(200).json({ data: users });
+  } catch (err) {
+    logError("GET /admin/users error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to fetch users" });
+  }
+}
+
+// POST /api/admin/users - Create user
+async function handlePostUser(req, res, token) {
+  try {
+    const validation = createUserSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const user = await createUser(validation.data);
+
+    logInfo("Created user", {
+      username: user.username,
+      role: user.role,
+      actor: token.sub,
+    });
+
+    return res.status(201).json({
+      data: user,
+      message: "User created successfully",
+    });
+  } catch (err) {
+    logError("POST /admin/users error", err, getRequestContext(req));
+    return sendUserError(err, res, "Failed to create user");
+  }
+}
+
+// POST /api/admin/users/:username/reset-password - Reset password
+async function handleResetPassword(req, res, token, username) {
+  try {
+    const validation = resetPasswordSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const user = await resetPassword(username, validation.data.password);
+    await revokeUserSessions(user.username);
+
+    logInfo("Reset user password", {
+      username: user.username,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: user,
+      message: "Password reset successfully",
+    });
+  } catch (err) {
+    logError("POST /admin/users/:username/reset-password error", err, getRequestContext(req));
+    return sendUserError(err, res, "Failed to reset password");
+  }
+}
+
+// PUT /api/admin/users/:username - Change role or disable/enable
+async function handlePut(req, res, token, username) {
+  try {
+    const validation = updateUserSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    // Owners cannot lock themselves out
+    const changes = validation.data;
+    if (
+      normalizeUsername(username) === token.sub &&
+      (changes.disabled || (changes.role && changes.role !== "owner"))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "You cannot disable or demote your own account" });
+    }
+
+    const user = await updateUser(username, changes);
+    if (user.disabled) {
+      await revokeUserSessions(user.username);
+    }
+
+    logInfo("Updated user", {
+      username: user.username,
+      role: user.role,
+      disabled: user.disabled,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: user,
+      message: "User updated successfully",
+    });
+  } catch (err) {
+    logError("PUT /admin/users/:username error", err, getRequestContext(req));
+    return sendUserError(err, res, "Failed to update user");
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  const policy = req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const token = await requireRole(req, res, "owner");
+  if (!token) return; // Response already sent by requireRole
+
+  const { username, action } = parseUserPath(req);
+
+  if (req.method === "GET" && !username) {
+    return handleGet(req, res);
+  } else if (req.method === "POST" && !username) {
+    return handlePostUser(req, res, token);
+  } else if (req.method === "POST" && username && action === "reset-password") {
+    return handleResetPassword(req, res, token, username);
+  } else if (req.method === "PUT" && username && !action) {
+    return handlePut(req, res, token, username);
+  } else {
+    res.setHeader("Allow", ["GET", "POST", "PUT", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
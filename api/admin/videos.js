@@ -3,54 +3,408 @@
 const { z } = require("zod");
 const {
   applyCors,
-  enforceRateLimit,
   getRequestContext,
+  extractQuery,
   logInfo,
   logError,
 } = require("../utils");
-const { verifyToken } = require("./auth");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const { readVideosJson, writeVideosJson } = require("../catalog");
+const { catalogEntrySchema, dateField } = require("../catalogSchema");
+const { findDuplicatePairs, getVideoKeys } = require("../duplicates");
+const { readCategories, categoryField } = require("../categories");
+const { parseListQuery, queryVideos } = require("../search");
 const {
-  readVideosJson,
-  writeVideosJson,
-  getNextVideoId,
-} = require("../github");
-const { getMetadataFromUrl, extractYouTubeId } = require("../youtube");
-
-const videoSchema = z.object({
-  title: z.string().min(1, "Title is required"),
-  description: z.string().default(""),
-  thumbnail: z.string().default(""),
-  videoUrl: z.string().min(1, "Video URL is required"),
-  youtubeId: z.string().optional(),
-  date: z.string().optional(),
-  category: z.string().min(1, "Category is required"),
-  year: z.number().int().positive(),
-});
+  isMultipart,
+  parseUpload,
+  storeBuffer,
+  copyStoredFile,
+  createClientUpload,
+  removeUploads,
+  discardTempFiles,
+} = require("../uploads");
+const { inspectVideo } = require("../media");
+const { getReviewBranch, openChangeSet } = require("../review");
+const {
+  getMetadataFromUrl,
+  extractYouTubeId,
+  extractPlaylistId,
+  fetchVideosMetadata,
+  fetchPlaylistVideoIds,
+} = require("../youtube");
+const { getVimeoMetadataFromUrl } = require("../vimeo");
+const { resolveVideoUrl } = require("../videoUrls");
+const { toSyncSnapshot } = require("../youtubeSync");
+const {
+  toCsv,
+  parseCsv,
+  buildExportBundle,
+  planImport,
+} = require("../catalogTransfer");
+
+// Largest number of videos accepted by one bulk import
+const MAX_BULK_ITEMS = 200;
+
+// Largest number of operations accepted by one batch
+const MAX_BATCH_OPERATIONS = 200;
+
+// Largest number of rows accepted by one import
+const MAX_IMPORT_ROWS = 1000;
+
+const MB = 1024 * 1024;
+
+// Videos on Vercel go straight from the browser to the blob store
+// (POST /api/admin/videos/upload), so their limit is the store's
+const DEFAULT_UPLOAD_MAX_VIDEO_MB = 500;
+
+// Vercel rejects request bodies over 4.5 MB before the function runs, and
+// thumbnails are always sent through the API, so they stay under it
+const DEFAULT_UPLOAD_MAX_THUMBNAIL_MB = 4;
+
+// Files accepted by a multipart POST /api/admin/videos/local
+const LOCAL_UPLOAD_FILES = {
+  video: {
+    label: "video",
+    types: ["video/mp4", "video/webm", "video/quicktime"],
+    maxBytes:
+      (Number(process.env.UPLOAD_MAX_VIDEO_MB) || DEFAULT_UPLOAD_MAX_VIDEO_MB) * MB,
+    folder: "videos",
+    keepCopy: true, // Inspected for duration, dimensions and a poster frame
+  },
+  thumbnail: {
+    label: "thumbnail",
+    types: ["image/jpeg", "image/png", "image/webp"],
+    maxBytes:
+      (Number(process.env.UPLOAD_MAX_THUMBNAIL_MB) || DEFAULT_UPLOAD_MAX_THUMBNAIL_MB) * MB,
+    folder: "thumbnails",
+  },
+};
+
+/**
+ * Build the request schemas. Categories must be one of the managed
+ * categories, so the schemas are built per request from the current list.
+ * @param {Array} categories - Managed categories ([{ name }]) in display order
+ * @returns {Object} zod schemas keyed by name
+ */
+function createSchemas(categories) {
+  const category = categoryField(categories);
+  const defaultCategory = categories[0].name;
+
+  const { status, publishAt } = catalogEntrySchema.shape;
+
+  // The stored entry shape, minus the generated id and sync snapshot
+  const videoSchema = catalogEntrySchema
+    .omit({ id: true, youtubeSync: true })
+    .extend({
+      description: z.string().default(""),
+      thumbnail: z.string().default(""),
+      category: category,
+    });
+
+  const youtubeVideoSchema = z.object({
+    url: z.string().url("Invalid YouTube URL"),
+    category: category.default(defaultCategory),
+    date: dateField.optional(),
+    featured: z.boolean().optional(),
+    status: status,
+    publishAt: publishAt,
+    allowDuplicate: z.boolean().default(false),
+  });
 
-const youtubeVideoSchema = z.object({
-  url: z.string().url("Invalid YouTube URL"),
-  category: z.string().min(1, "Category is required").default("Family"),
-  date: z.string().optional(),
+  const vimeoVideoSchema = youtubeVideoSchema.extend({
+    url: z.string().url("Invalid Vimeo URL"),
+  });
+
+  const localVideoSchema = videoSchema.omit({ youtubeId: true, vimeoId: true }).extend({
+    allowDuplicate: z.boolean().default(false),
+  });
+
+  const bulkImportSchema = z
+    .object({
+      urls: z.array(z.string().min(1)).max(MAX_BULK_ITEMS).optional(),
+      playlist: z.string().min(1).optional(),
+      category: category.default(defaultCategory),
+      date: dateField.optional(),
+      status: status,
+      publishAt: publishAt,
+    })
+    .refine((data) => data.urls?.length || data.playlist, {
+      message: "Provide a list of urls or a playlist",
+    });
+
+  // Updates change only the fields sent, so they skip the defaults
+  // videoSchema fills in for new entries
+  const videoChangesSchema = catalogEntrySchema
+    .omit({ id: true, youtubeSync: true })
+    .extend({ category: category })
+    .partial();
+
+  const updateVideoSchema = videoChangesSchema.extend({
+    id: z.number().int().positive(),
+  });
+
+  const batchSchema = z.object({
+    operations: z
+      .array(
+        z.discriminatedUnion("op", [
+          z.object({
+            op: z.literal("create"),
+            video: videoSchema,
+            allowDuplicate: z.boolean().default(false),
+          }),
+          z.object({
+            op: z.literal("update"),
+            id: z.number().int().positive(),
+            changes: videoChangesSchema,
+          }),
+          z.object({
+            op: z.literal("delete"),
+            id: z.number().int().positive(),
+          }),
+        ])
+      )
+      .min(1, "Provide at least one operation")
+      .max(MAX_BATCH_OPERATIONS),
+  });
+
+  // Imported rows are whole entries; an id of an existing video updates it
+  const importRowSchema = videoSchema.extend({
+    id: z.number().int().positive().optional(),
+  });
+
+  return {
+    youtubeVideoSchema,
+    vimeoVideoSchema,
+    localVideoSchema,
+    bulkImportSchema,
+    updateVideoSchema,
+    batchSchema,
+    importRowSchema,
+  };
+}
+
+const videoIdField = z.number().int().positive();
+
+const exportQuerySchema = z.object({
+  format: z.enum(["json", "csv", "zip"]).default("json"),
 });
 
-const updateVideoSchema = videoSchema.partial().extend({
-  id: z.number().int().positive(),
+// JSON imports take the `videos` of an export (or any list of entries),
+// CSV imports the text of a sheet with a header row
+const importSchema = z
+  .object({
+    videos: z.array(z.unknown()).max(MAX_IMPORT_ROWS).optional(),
+    csv: z.string().min(1).optional(),
+    dryRun: z.boolean().default(false),
+  })
+  .refine((data) => (data.videos === undefined) !== (data.csv === undefined), {
+    message: "Provide either videos or csv",
+  });
+
+// Token request sent by the blob store's browser client (`upload()` from
+// @vercel/blob/client); completion callbacks are not used
+const clientUploadSchema = z.object({
+  type: z.literal("blob.generate-client-token"),
+  payload: z.object({
+    pathname: z.string().min(1),
+    clientPayload: z.string().nullable().optional(),
+    multipart: z.boolean().optional(),
+  }),
 });
 
-// GET /api/admin/videos - List all videos
+const reorderSchema = z
+  .object({
+    ids: z.array(videoIdField).min(1).optional(),
+    moves: z
+      .array(
+        z
+          .object({
+            id: videoIdField,
+            before: videoIdField.optional(),
+            after: videoIdField.optional(),
+          })
+          .refine((move) => (move.before === undefined) !== (move.after === undefined), {
+            message: "Each move needs exactly one of before or after",
+          })
+      )
+      .min(1)
+      .optional(),
+  })
+  .refine((data) => (data.ids === undefined) !== (data.moves === undefined), {
+    message: "Provide either ids or moves",
+  })
+  .refine((data) => !data.ids || new Set(data.ids).size === data.ids.length, {
+    message: "ids must not repeat",
+    path: ["ids"],
+  });
+
+/**
+ * Convert multipart form fields (always strings) to the JSON body shape
+ * @param {Object} fields - Form fields
+ * @returns {Object} Request body
+ */
+function fromFormFields(fields) {
+  const body = { ...fields };
+  for (const key of ["year", "duration", "width", "height"]) {
+    if (body[key] !== undefined) {
+      body[key] = Number(body[key]);
+    }
+  }
+  for (const key of ["featured", "allowDuplicate"]) {
+    if (body[key] !== undefined) {
+      body[key] = body[key] === "true";
+    }
+  }
+  return body;
+}
+
+/**
+ * Fill in a local entry from the uploaded file, like YouTube entries are
+ * filled in from the YouTube API: duration, dimensions, date and year from
+ * the container, and a poster frame when no thumbnail was given.
+ * @param {Object} video - Uploaded video ({ tempPath })
+ * @param {boolean} needsPoster - Whether to generate a poster frame
+ * @returns {Promise<Object>} { details, poster } where poster is the stored
+ *   poster file, if any
+ */
+async function detectLocalVideoDetails(video, needsPoster) {
+  const inspected = await inspectVideo(video.tempPath, { poster: needsPoster });
+
+  const details = {};
+  if (inspected.duration !== undefined) {
+    details.duration = Math.round(inspected.duration);
+  }
+  if (inspected.width && inspected.height) {
+    details.width = inspected.width;
+    details.height = inspected.height;
+  }
+  if (inspected.createdAt) {
+    details.year = inspected.createdAt.getUTCFullYear();
+    details.date = String(details.year); // YYYY, as for YouTube videos
+  }
+
+  let poster = null;
+  if (inspected.poster) {
+    poster = await storeBuffer("thumbnails", inspected.poster, "image/jpeg");
+    details.thumbnail = poster.url;
+  }
+
+  return { details, poster };
+}
+
+// Minimum role for each method
+const ROUTE_ROLES = {
+  GET: "viewer",
+  POST: "editor",
+  PUT: "editor",
+  DELETE: "owner",
+};
+
+/**
+ * Send the response for a catalog write that was rejected, failed on a
+ * conflict or targeted a missing video
+ * @param {Error} err - Error thrown by writeVideosJson
+ * @param {Object} res - Response object
+ * @returns {boolean} True if a response was sent
+ */
+function sendWriteError(err, res) {
+  if (err.status === 400) {
+    res.status(400).json({ error: err.message });
+    return true;
+  }
+  if (err.status === 404) {
+    res.status(404).json({ error: "Video not found" });
+    return true;
+  }
+  if (err.status === 409) {
+    res.status(409).json({
+      error: err.message,
+      current: err.current,
+      duplicates: err.duplicates,
+    });
+    return true;
+  }
+  if (err.status === 501) {
+    res.status(501).json({ error: err.message });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether an error came from a metadata provider rejecting the input
+ * (unknown video or playlist, unsupported by the provider)
+ * @param {Error} err - Error thrown while fetching metadata
+ * @returns {boolean} True if it should be answered with 400
+ */
+function isMetadataInputError(err) {
+  return /^(YouTube|Vimeo) |Invalid (YouTube|Vimeo)/.test(err.message);
+}
+
+/**
+ * Apply a catalog operation on behalf of the signed-in user. In review
+ * mode, editors' changes are committed to their session's review branch
+ * and collected in a change set (pull request) for an owner to approve.
+ * @param {Object} req - Request object
+ * @param {Object} token - Decoded access token
+ * @param {Object} operation - Catalog operation
+ * @param {string|Function} message - Commit message (see writeVideosJson)
+ * @returns {Promise<Object>} Result of writeVideosJson, plus `changeSet`
+ *   when the change is waiting for review
+ */
+async function writeCatalog(req, token, operation, message) {
+  const branch = await getReviewBranch(token);
+  const result = await writeVideosJson(operation, message, {
+    actor: token.sub,
+    request: getRequestContext(req),
+    branch,
+  });
+  if (branch && result.commitSha) {
+    result.changeSet = await openChangeSet(branch, token.sub);
+  }
+  return result;
+}
+
+// GET /api/admin/videos - List videos (search, filter, sort, paginate)
 async function handleGet(req, res) {
   try {
+    const validation = parseListQuery(extractQuery(req));
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
     const { videos } = await readVideosJson();
-    return res.status(200).json({ data: videos });
+    const { data, meta } = queryVideos(videos, validation.data);
+    return res.status(200).json({ data, meta });
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
     logError("GET /admin/videos error", err, getRequestContext(req));
     return res.status(500).json({ error: "Failed to fetch videos" });
   }
 }
 
+// GET /api/admin/videos/duplicates - Report entries that look like the same video
+async function handleGetDuplicates(req, res) {
+  try {
+    const { videos } = await readVideosJson();
+    const pairs = findDuplicatePairs(videos);
+    return res.status(200).json({ data: pairs });
+  } catch (err) {
+    logError("GET /admin/videos/duplicates error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to scan for duplicates" });
+  }
+}
+
 // POST /api/admin/videos/youtube - Add YouTube video
-async function handlePostYouTube(req, res) {
+async function handlePostYouTube(req, res, token) {
   try {
+    const { youtubeVideoSchema } = createSchemas(await readCategories());
     const validation = youtubeVideoSchema.safeParse(req.body ?? {});
     if (!validation.success) {
       return res.status(400).json({
@@ -59,50 +413,65 @@ async function handlePostYouTube(req, res) {
       });
     }
 
-    const { url, category, date } = validation.data;
+    const { url, category, date, featured, status, publishAt, allowDuplicate } =
+      validation.data;
 
     // Extract metadata from YouTube
     const metadata = await getMetadataFromUrl(url);
-    const videoId = extractYouTubeId(url);
-
-    // Read current videos.json
-    const { videos, sha } = await readVideosJson();
+    const { id: videoId, startTime } = resolveVideoUrl(url);
 
-    // Generate next ID
-    const nextId = await getNextVideoId();
+    // The oEmbed provider has no publish date
+    const videoDate = date || metadata.date;
+    if (!videoDate) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: { date: ["Date is required: the video's publish date is not available"] },
+      });
+    }
 
-    // Create new video entry
+    // Create new video entry (ID is assigned when the write is applied)
     const newVideo = {
-      id: nextId,
       title: metadata.title,
-      description: metadata.description,
+      description: metadata.description ?? "",
       thumbnail: metadata.thumbnail,
       videoUrl: url,
       youtubeId: videoId,
-      date: date || metadata.date,
+      ...(startTime && { startTime }),
+      date: videoDate,
       category: category,
-      year: metadata.year,
+      year: metadata.year ?? Number(videoDate.substring(0, 4)),
+      youtubeSync: toSyncSnapshot(metadata),
+      ...(featured !== undefined && { featured }),
+      ...(status && { status }),
+      ...(publishAt && { publishAt }),
     };
 
-    // Add to videos array
-    videos.push(newVideo);
-
-    // Commit to GitHub
+    // Commit to the catalog
     const commitMessage = `Add video: ${metadata.title}`;
-    await writeVideosJson(videos, sha, commitMessage);
+    const { video, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "add", video: newVideo, allowDuplicate },
+      commitMessage
+    );
 
     logInfo("Added YouTube video", {
-      videoId: nextId,
+      videoId: video.id,
       title: metadata.title,
+      actor: token.sub,
     });
 
     return res.status(201).json({
-      data: newVideo,
-      message: "Video added successfully",
+      data: video,
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "Video added for review"
+        : "Video added successfully",
     });
   } catch (err) {
     logError("POST /admin/videos/youtube error", err, getRequestContext(req));
-    if (err.message.includes("YouTube API") || err.message.includes("Invalid YouTube")) {
+    if (sendWriteError(err, res)) return;
+    if (isMetadataInputError(err)) {
       return res.status(400).json({ error: err.message });
     }
     // Return the actual error message instead of generic one
@@ -113,24 +482,85 @@ async function handlePostYouTube(req, res) {
   }
 }
 
-// POST /api/admin/videos/local - Add local video file
-async function handlePostLocal(req, res) {
+// POST /api/admin/videos/vimeo - Add Vimeo video
+async function handlePostVimeo(req, res, token) {
   try {
-    // For now, we'll accept JSON with file URL
-    // File upload handling would require multipart/form-data parsing
-    const body = req.body ?? {};
-    
-    const localVideoSchema = z.object({
-      title: z.string().min(1, "Title is required"),
-      description: z.string().default(""),
-      thumbnail: z.string().default(""),
-      videoUrl: z.string().min(1, "Video URL is required"),
-      date: z.string().optional(),
-      category: z.string().min(1, "Category is required"),
-      year: z.number().int().positive(),
+    const { vimeoVideoSchema } = createSchemas(await readCategories());
+    const validation = vimeoVideoSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const { url, category, date, featured, status, publishAt, allowDuplicate } =
+      validation.data;
+
+    // Extract metadata from Vimeo
+    const metadata = await getVimeoMetadataFromUrl(url);
+    const { id: videoId, startTime } = resolveVideoUrl(url);
+
+    const videoDate = date || metadata.date;
+    if (!videoDate) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: { date: ["Date is required: the video's upload date is not available"] },
+      });
+    }
+
+    // Create new video entry (ID is assigned when the write is applied)
+    const newVideo = {
+      title: metadata.title,
+      description: metadata.description,
+      thumbnail: metadata.thumbnail,
+      videoUrl: url,
+      vimeoId: videoId,
+      ...(startTime && { startTime }),
+      date: videoDate,
+      category: category,
+      year: metadata.year ?? Number(videoDate.substring(0, 4)),
+      ...(metadata.duration && { duration: metadata.duration }),
+      ...(featured !== undefined && { featured }),
+      ...(status && { status }),
+      ...(publishAt && { publishAt }),
+    };
+
+    const { video, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "add", video: newVideo, allowDuplicate },
+      `Add video: ${metadata.title}`
+    );
+
+    logInfo("Added Vimeo video", {
+      videoId: video.id,
+      title: metadata.title,
+      actor: token.sub,
     });
 
-    const validation = localVideoSchema.safeParse(body);
+    return res.status(201).json({
+      data: video,
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "Video added for review"
+        : "Video added successfully",
+    });
+  } catch (err) {
+    logError("POST /admin/videos/vimeo error", err, getRequestContext(req));
+    if (sendWriteError(err, res)) return;
+    if (isMetadataInputError(err)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: err.message || "Failed to add video" });
+  }
+}
+
+// POST /api/admin/videos/bulk - Add many YouTube videos or a playlist in one commit
+async function handlePostBulk(req, res, token) {
+  try {
+    const { bulkImportSchema } = createSchemas(await readCategories());
+    const validation = bulkImportSchema.safeParse(req.body ?? {});
     if (!validation.success) {
       return res.status(400).json({
         error: "Invalid input",
@@ -138,38 +568,494 @@ async function handlePostLocal(req, res) {
       });
     }
 
-    const videoData = validation.data;
+    const { urls = [], playlist, category, date, status, publishAt } =
+      validation.data;
+
+    const items = urls.map((input) => ({
+      input,
+      youtubeId: extractYouTubeId(input),
+      startTime: resolveVideoUrl(input)?.startTime,
+    }));
+
+    if (playlist) {
+      const playlistId = extractPlaylistId(playlist);
+      if (!playlistId) {
+        return res.status(400).json({ error: "Invalid YouTube playlist" });
+      }
+      const remaining = MAX_BULK_ITEMS - items.length;
+      const playlistVideoIds = await fetchPlaylistVideoIds(playlistId, remaining);
+      for (const youtubeId of playlistVideoIds) {
+        items.push({ input: youtubeId, youtubeId });
+      }
+    }
+
+    // Mark invalid inputs and duplicates before calling the YouTube API
+    const { videos } = await readVideosJson();
+    const seen = new Set(videos.flatMap(getVideoKeys));
+    for (const item of items) {
+      const key = `youtube:${item.youtubeId}`;
+      if (!item.youtubeId) {
+        item.status = "failed";
+        item.error = "Invalid YouTube URL or video ID";
+      } else if (seen.has(key)) {
+        item.status = "duplicate";
+      } else {
+        seen.add(key);
+      }
+    }
 
-    // Read current videos.json
-    const { videos, sha } = await readVideosJson();
+    const pending = items.filter((item) => !item.status);
+    const metadataById = await fetchVideosMetadata(
+      pending.map((item) => item.youtubeId)
+    );
 
-    // Generate next ID
-    const nextId = await getNextVideoId();
+    const newVideos = [];
+    for (const item of pending) {
+      const metadata = metadataById.get(item.youtubeId);
+      if (!metadata) {
+        item.status = "failed";
+        item.error = "Video not found or not public";
+        continue;
+      }
+      const videoDate = date || metadata.date;
+      if (!videoDate) {
+        item.status = "failed";
+        item.error = "Publish date not available; import it with a date";
+        continue;
+      }
+      newVideos.push({
+        title: metadata.title,
+        description: metadata.description ?? "",
+        thumbnail: metadata.thumbnail,
+        videoUrl: /^https?:\/\//.test(item.input)
+          ? item.input
+          : `https://www.youtube.com/watch?v=${item.youtubeId}`,
+        youtubeId: item.youtubeId,
+        ...(item.startTime && { startTime: item.startTime }),
+        date: videoDate,
+        category: category,
+        year: metadata.year ?? Number(videoDate.substring(0, 4)),
+        youtubeSync: toSyncSnapshot(metadata),
+        ...(status && { status }),
+        ...(publishAt && { publishAt }),
+      });
+    }
 
-    // Create new video entry
-    const newVideo = {
-      id: nextId,
-      ...videoData,
+    let commitSha = null;
+    let changeSet;
+    if (newVideos.length > 0) {
+      const result = await writeCatalog(
+        req,
+        token,
+        { type: "addMany", videos: newVideos },
+        (video, { added }) =>
+          added.length === 1
+            ? `Add video: ${added[0].title}`
+            : `Add ${added.length} videos`
+      );
+      commitSha = result.commitSha;
+      changeSet = result.changeSet;
+
+      // Another edit may have added some of them while we were fetching
+      const addedById = new Map(result.added.map((v) => [v.youtubeId, v]));
+      for (const item of pending) {
+        if (item.status) continue;
+        const added = addedById.get(item.youtubeId);
+        item.status = added ? "added" : "duplicate";
+        if (added) item.id = added.id;
+      }
+    }
+
+    const count = (status) => items.filter((i) => i.status === status).length;
+    const summary = {
+      added: count("added"),
+      duplicates: count("duplicate"),
+      failed: count("failed"),
     };
 
-    // Add to videos array
-    videos.push(newVideo);
+    logInfo("Bulk imported YouTube videos", {
+      ...summary,
+      playlist,
+      commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(summary.added > 0 ? 201 : 200).json({
+      data: {
+        ...summary,
+        commitSha,
+        items: items.map(({ input, youtubeId, status, id, error }) => ({
+          input,
+          youtubeId,
+          status,
+          id,
+          error,
+        })),
+      },
+      ...(changeSet && { changeSet }),
+      message: `Added ${summary.added} of ${items.length} videos${changeSet ? " for review" : ""}`,
+    });
+  } catch (err) {
+    logError("POST /admin/videos/bulk error", err, getRequestContext(req));
+    if (sendWriteError(err, res)) return;
+    if (isMetadataInputError(err)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ 
+      error: err.message || "Failed to import videos",
+      details: process.env.NODE_ENV === "development" ? err.stack : undefined
+    });
+  }
+}
+
+/**
+ * Flatten zod issues into field errors keyed by their path, so each
+ * problem names the operation it belongs to ("operations.3.changes.category")
+ * @param {Object} error - ZodError
+ * @returns {Object} Path -> messages
+ */
+function toPathErrors(error) {
+  const details = {};
+  for (const issue of error.issues) {
+    const key = issue.path.join(".") || "body";
+    (details[key] ||= []).push(issue.message);
+  }
+  return details;
+}
+
+/**
+ * Summarize a batch for its commit: a subject with the counts, then one
+ * line per video
+ * @param {Object} result - Batch operation result
+ * @param {string} heading - Subject prefix
+ * @returns {string} Commit message
+ */
+function describeBatch({ created, updated, deleted }, heading = "Batch edit") {
+  const counts = [
+    created.length && `${created.length} added`,
+    updated.length && `${updated.length} updated`,
+    deleted.length && `${deleted.length} deleted`,
+  ].filter(Boolean);
+  const lines = [
+    ...created.map((v) => `- Add video: ${v.title}`),
+    ...updated.map((v) => `- Update video: ${v.title}`),
+    ...deleted.map((v) => `- Delete video: ${v.title}`),
+  ];
+  return `${heading}: ${counts.join(", ")}\n\n${lines.join("\n")}`;
+}
+
+// POST /api/admin/videos/batch - Create, update and delete videos in one commit, all or nothing
+async function handlePostBatch(req, res, token) {
+  try {
+    const { batchSchema } = createSchemas(await readCategories());
+    const validation = batchSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: toPathErrors(validation.error),
+      });
+    }
+
+    const { operations } = validation.data;
+
+    // Deleting needs the same role as DELETE /api/admin/videos/:id
+    if (operations.some((entry) => entry.op === "delete")) {
+      const owner = await requireRole(req, res, ROUTE_ROLES.DELETE);
+      if (!owner) return;
+    }
+
+    const { created, updated, deleted, commitSha, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "batch", operations },
+      (video, result) => describeBatch(result)
+    );
+
+    logInfo("Applied video batch", {
+      created: created.length,
+      updated: updated.length,
+      deleted: deleted.length,
+      commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: {
+        created,
+        updated,
+        deleted: deleted.map((v) => v.id),
+        commitSha,
+      },
+      ...(changeSet && { changeSet }),
+      message: `Applied ${operations.length} operations${changeSet ? " for review" : ""}`,
+    });
+  } catch (err) {
+    logError("POST /admin/videos/batch error", err, getRequestContext(req));
+    // Name the failing operation (sendWriteError would hide it on 404)
+    if (err.index !== undefined) {
+      return res.status(err.status).json({
+        error: err.message,
+        index: err.index,
+        ...(err.duplicates && { duplicates: err.duplicates }),
+      });
+    }
+    if (sendWriteError(err, res)) return;
+    return res.status(500).json({ error: err.message || "Failed to apply batch" });
+  }
+}
+
+// GET /api/admin/videos/export - Download the catalog as JSON, CSV or a zip backup
+async function handleGetExport(req, res) {
+  try {
+    const validation = exportQuerySchema.safeParse(extractQuery(req));
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+    const { format } = validation.data;
+
+    const catalog = await readVideosJson();
+    const exportedAt = new Date().toISOString();
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="catalog-${exportedAt.substring(0, 10)}.${format}"`
+    );
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return res.status(200).send(toCsv(catalog.videos));
+    }
+    if (format === "zip") {
+      const bundle = await buildExportBundle(catalog, exportedAt);
+      res.setHeader("Content-Type", "application/zip");
+      return res.status(200).send(bundle);
+    }
+    return res.status(200).json({ exportedAt, ...catalog });
+  } catch (err) {
+    logError("GET /admin/videos/export error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to export videos" });
+  }
+}
+
+// POST /api/admin/videos/import - Add and update videos from JSON or CSV in one commit
+async function handlePostImport(req, res, token) {
+  try {
+    const validation = importSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const { videos: jsonRows, csv, dryRun } = validation.data;
+    const rows = jsonRows ?? parseCsv(csv);
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "No rows to import" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Import at most ${MAX_IMPORT_ROWS} rows at a time`,
+      });
+    }
+
+    const { importRowSchema } = createSchemas(await readCategories());
+    const { videos } = await readVideosJson();
+    const { operations, operationRows, ...report } = planImport(
+      rows,
+      videos,
+      importRowSchema
+    );
+
+    if (dryRun) {
+      return res.status(200).json({ data: report, dryRun: true });
+    }
+    if (report.invalid.length > 0) {
+      return res.status(400).json({
+        error: `${report.invalid.length} of ${rows.length} rows are invalid`,
+        data: report,
+      });
+    }
+    if (report.conflicts.length > 0) {
+      return res.status(409).json({
+        error: `${report.conflicts.length} of ${rows.length} rows conflict with other videos`,
+        data: report,
+      });
+    }
+    if (operations.length === 0) {
+      return res.status(200).json({
+        data: { ...report, commitSha: null },
+        message: "Nothing to import",
+      });
+    }
+
+    let result;
+    try {
+      result = await writeCatalog(
+        req,
+        token,
+        { type: "batch", operations },
+        (video, batch) => describeBatch(batch, "Import videos")
+      );
+    } catch (err) {
+      // The catalog changed since it was read; name the row that no longer applies
+      if (err.index !== undefined) {
+        return res.status(err.status).json({
+          error: err.message,
+          row: operationRows[err.index],
+          ...(err.duplicates && { duplicates: err.duplicates }),
+        });
+      }
+      throw err;
+    }
+    const { created, commitSha, changeSet } = result;
+
+    // Rows are added in order, so the new ids line up with the adds
+    report.adds.forEach((add, index) => {
+      add.id = created[index].id;
+    });
+
+    logInfo("Imported videos", {
+      added: report.adds.length,
+      updated: report.updates.length,
+      commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: { ...report, commitSha },
+      ...(changeSet && { changeSet }),
+      message: `Imported ${report.adds.length} new and ${report.updates.length} updated videos${changeSet ? " for review" : ""}`,
+    });
+  } catch (err) {
+    logError("POST /admin/videos/import error", err, getRequestContext(req));
+    if (sendWriteError(err, res)) return;
+    return res.status(500).json({ error: err.message || "Failed to import videos" });
+  }
+}
+
+// POST /api/admin/videos/upload - Let the browser upload a video straight to the blob store
+async function handlePostUpload(req, res, token) {
+  try {
+    const validation = clientUploadSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const result = await createClientUpload(
+      validation.data,
+      req,
+      LOCAL_UPLOAD_FILES.video,
+      token.sub
+    );
+
+    logInfo("Issued direct upload token", {
+      pathname: validation.data.payload.pathname,
+      actor: token.sub,
+    });
+
+    return res.status(200).json(result);
+  } catch (err) {
+    logError("POST /admin/videos/upload error", err, getRequestContext(req));
+    if ([400, 501].includes(err.status)) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    return res.status(500).json({ error: "Failed to start upload" });
+  }
+}
+
+// POST /api/admin/videos/local - Add local video (JSON with a videoUrl, or a multipart upload)
+async function handlePostLocal(req, res, token) {
+  let uploaded = {};
+  try {
+    let body;
+    if (!isMultipart(req)) {
+      body = req.body ?? {};
+    } else {
+      const { fields, files } = await parseUpload(req, LOCAL_UPLOAD_FILES);
+      uploaded = files;
+      if (!files.video && !fields.videoUrl) {
+        await removeUploads(uploaded);
+        return res.status(400).json({
+          error: "Invalid input",
+          details: { video: ["Video file or videoUrl is required"] },
+        });
+      }
+      body = {
+        ...fromFormFields(fields),
+        ...(files.video && { videoUrl: files.video.url }),
+        ...(files.thumbnail && { thumbnail: files.thumbnail.url }),
+      };
+    }
+
+    // A video uploaded straight to the blob store is inspected like one in
+    // the form; files hosted elsewhere (e.g. public/videos) are not
+    const videoFile =
+      uploaded.video ||
+      (typeof body.videoUrl === "string"
+        ? await copyStoredFile(body.videoUrl)
+        : null);
+    if (videoFile) {
+      try {
+        // Values detected from the file are defaults; the request overrides them
+        const { details, poster } = await detectLocalVideoDetails(
+          videoFile,
+          !body.thumbnail
+        );
+        if (poster) uploaded = { ...uploaded, poster };
+        body = { ...details, ...body };
+      } finally {
+        await discardTempFiles({ video: videoFile });
+      }
+    }
+
+    const { localVideoSchema } = createSchemas(await readCategories());
+    const validation = localVideoSchema.safeParse(body);
+    if (!validation.success) {
+      await removeUploads(uploaded);
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const { allowDuplicate, ...videoData } = validation.data;
 
-    // Commit to GitHub
+    // Commit to the catalog (ID is assigned when the write is applied)
     const commitMessage = `Add video: ${videoData.title}`;
-    await writeVideosJson(videos, sha, commitMessage);
+    const { video, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "add", video: videoData, allowDuplicate },
+      commitMessage
+    );
 
     logInfo("Added local video", {
-      videoId: nextId,
+      videoId: video.id,
       title: videoData.title,
+      uploaded: Object.keys(uploaded),
+      actor: token.sub,
     });
 
     return res.status(201).json({
-      data: newVideo,
-      message: "Video added successfully",
+      data: video,
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "Video added for review"
+        : "Video added successfully",
     });
   } catch (err) {
+    await removeUploads(uploaded);
     logError("POST /admin/videos/local error", err, getRequestContext(req));
+    if ([400, 413, 415].includes(err.status)) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (sendWriteError(err, res)) return;
     return res.status(500).json({ 
       error: err.message || "Failed to add video",
       details: process.env.NODE_ENV === "development" ? err.stack : undefined
@@ -178,7 +1064,7 @@ async function handlePostLocal(req, res) {
 }
 
 // PUT /api/admin/videos/:id - Update video
-async function handlePut(req, res) {
+async function handlePut(req, res, token) {
   try {
     const urlParts = req.url.split("/");
     const videoId = parseInt(urlParts[urlParts.length - 1], 10);
@@ -187,6 +1073,7 @@ async function handlePut(req, res) {
       return res.status(400).json({ error: "Invalid video ID" });
     }
 
+    const { updateVideoSchema } = createSchemas(await readCategories());
     const validation = updateVideoSchema.safeParse({
       ...req.body,
       id: videoId,
@@ -198,35 +1085,32 @@ async function handlePut(req, res) {
       });
     }
 
-    // Read current videos.json
-    const { videos, sha } = await readVideosJson();
+    const { id, ...changes } = validation.data;
 
-    // Find video index
-    const videoIndex = videos.findIndex((v) => v.id === videoId);
-    if (videoIndex === -1) {
-      return res.status(404).json({ error: "Video not found" });
-    }
+    // Commit to the catalog
+    const { video: updatedVideo, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "update", id, changes },
+      (video) => `Update video: ${video.title}`
+    );
 
-    // Update video
-    const updatedVideo = {
-      ...videos[videoIndex],
-      ...validation.data,
-      id: videoId, // Ensure ID doesn't change
-    };
-    videos[videoIndex] = updatedVideo;
-
-    // Commit to GitHub
-    const commitMessage = `Update video: ${updatedVideo.title}`;
-    await writeVideosJson(videos, sha, commitMessage);
-
-    logInfo("Updated video", { videoId, title: updatedVideo.title });
+    logInfo("Updated video", {
+      videoId,
+      title: updatedVideo.title,
+      actor: token.sub,
+    });
 
     return res.status(200).json({
       data: updatedVideo,
-      message: "Video updated successfully",
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "Video update submitted for review"
+        : "Video updated successfully",
     });
   } catch (err) {
     logError("PUT /admin/videos/:id error", err, getRequestContext(req));
+    if (sendWriteError(err, res)) return;
     return res.status(500).json({ 
       error: err.message || "Failed to update video",
       details: process.env.NODE_ENV === "development" ? err.stack : undefined
@@ -234,8 +1118,55 @@ async function handlePut(req, res) {
   }
 }
 
+// PUT /api/admin/videos/order - Set the display order in one commit
+async function handlePutOrder(req, res, token) {
+  try {
+    const validation = reorderSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const { ids, moves } = validation.data;
+
+    const { videos, commitSha, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "reorder", ids, moves },
+      ids ? "Reorder videos" : `Reorder videos (${moves.length} moves)`
+    );
+
+    logInfo("Reordered videos", {
+      ids: ids?.length,
+      moves: moves?.length,
+      commitSha,
+      actor: token.sub,
+    });
+
+    return res.status(200).json({
+      data: videos.map((v) => v.id),
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "New order submitted for review"
+        : "Videos reordered successfully",
+    });
+  } catch (err) {
+    logError("PUT /admin/videos/order error", err, getRequestContext(req));
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (sendWriteError(err, res)) return;
+    return res.status(500).json({
+      error: err.message || "Failed to reorder videos",
+      details: process.env.NODE_ENV === "development" ? err.stack : undefined
+    });
+  }
+}
+
 // DELETE /api/admin/videos/:id - Delete video
-async function handleDelete(req, res) {
+async function handleDelete(req, res, token) {
   try {
     const urlParts = req.url.split("/");
     const videoId = parseInt(urlParts[urlParts.length - 1], 10);
@@ -244,31 +1175,29 @@ async function handleDelete(req, res) {
       return res.status(400).json({ error: "Invalid video ID" });
     }
 
-    // Read current videos.json
-    const { videos, sha } = await readVideosJson();
-
-    // Find video
-    const videoIndex = videos.findIndex((v) => v.id === videoId);
-    if (videoIndex === -1) {
-      return res.status(404).json({ error: "Video not found" });
-    }
-
-    const deletedVideo = videos[videoIndex];
-
-    // Remove video
-    videos.splice(videoIndex, 1);
-
-    // Commit to GitHub
-    const commitMessage = `Delete video: ${deletedVideo.title}`;
-    await writeVideosJson(videos, sha, commitMessage);
+    // Commit to the catalog
+    const { video: deletedVideo, changeSet } = await writeCatalog(
+      req,
+      token,
+      { type: "delete", id: videoId },
+      (video) => `Delete video: ${video.title}`
+    );
 
-    logInfo("Deleted video", { videoId, title: deletedVideo.title });
+    logInfo("Deleted video", {
+      videoId,
+      title: deletedVideo.title,
+      actor: token.sub,
+    });
 
     return res.status(200).json({
-      message: "Video deleted successfully",
+      ...(changeSet && { changeSet }),
+      message: changeSet
+        ? "Video deletion submitted for review"
+        : "Video deleted successfully",
     });
   } catch (err) {
     logError("DELETE /admin/videos/:id error", err, getRequestContext(req));
+    if (sendWriteError(err, res)) return;
     return res.status(500).json({ 
       error: err.message || "Failed to delete video",
       details: process.env.NODE_ENV === "development" ? err.stack : undefined
@@ -285,30 +1214,57 @@ module.exports = async function handler(req, res) {
 
   const requestMeta = getRequestContext(req);
 
-  if (!enforceRateLimit(requestMeta, res)) return;
+  const isUpload =
+    isMultipart(req) || req.url.split("?")[0].endsWith("/upload");
+  const policy = isUpload ? "upload" : req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const role = ROUTE_ROLES[req.method];
+  if (!role) {
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
 
-  // Verify authentication (except for OPTIONS)
-  const token = verifyToken(req, res);
-  if (!token) return; // Response already sent by verifyToken
+  // Verify authentication and role (except for OPTIONS)
+  const token = await requireRole(req, res, role);
+  if (!token) return; // Response already sent by requireRole
 
   // Route to appropriate handler
   if (req.method === "GET") {
+    if (req.url.split("?")[0].endsWith("/duplicates")) {
+      return handleGetDuplicates(req, res);
+    } else if (req.url.split("?")[0].endsWith("/export")) {
+      return handleGetExport(req, res);
+    }
     return handleGet(req, res);
   } else if (req.method === "POST") {
-    // Check if it's YouTube or local video
-    const body = req.body ?? {};
-    if (body.url && (body.url.includes("youtube.com") || body.url.includes("youtu.be") || /^[a-zA-Z0-9_-]{11}$/.test(body.url))) {
-      return handlePostYouTube(req, res);
+    // Dispatch on the provider the URL resolves to; anything else is a
+    // local video. Multipart bodies are uploads and are left unread for
+    // handlePostLocal to stream.
+    const body = isMultipart(req) ? {} : req.body ?? {};
+    const provider = body.url && resolveVideoUrl(body.url)?.provider;
+    if (req.url.split("?")[0].endsWith("/bulk")) {
+      return handlePostBulk(req, res, token);
+    } else if (req.url.split("?")[0].endsWith("/batch")) {
+      return handlePostBatch(req, res, token);
+    } else if (req.url.split("?")[0].endsWith("/import")) {
+      return handlePostImport(req, res, token);
+    } else if (req.url.split("?")[0].endsWith("/upload")) {
+      return handlePostUpload(req, res, token);
+    } else if (provider === "youtube") {
+      return handlePostYouTube(req, res, token);
+    } else if (provider === "vimeo") {
+      return handlePostVimeo(req, res, token);
     } else {
-      return handlePostLocal(req, res);
+      return handlePostLocal(req, res, token);
     }
   } else if (req.method === "PUT") {
-    return handlePut(req, res);
-  } else if (req.method === "DELETE") {
-    return handleDelete(req, res);
+    if (req.url.split("?")[0].endsWith("/order")) {
+      return handlePutOrder(req, res, token);
+    }
+    return handlePut(req, res, token);
   } else {
-    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE", "OPTIONS"]);
-    return res.status(405).json({ error: "Method Not Allowed" });
+    return handleDelete(req, res, token);
   }
 }
 
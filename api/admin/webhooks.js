@@ -0,0 +1,176 @@
+// Webhook management endpoints: register, list, test and remove hooks (owner only)
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  extractQuery,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole } = require("./auth");
+const {
+  WEBHOOK_EVENTS,
+  listHooks,
+  createHook,
+  removeHook,
+  listDeliveries,
+  testHook,
+} = require("../webhooks");
+
+const createHookSchema = z.object({
+  url: z
+    .string()
+    .url("Invalid URL")
+    .refine((url) => /^https?:\/\//i.test(url), "Use an http or https URL"),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).default(WEBHOOK_EVENTS),
+  description: z.string().max(200).optional(),
+});
+
+const deliveriesQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+/**
+ * Split /api/admin/webhooks/:id[/:action] into its parts
+ * @param {Object} req - Request object
+ * @returns {{id: string|undefined, action: string|undefined}}
+ */
+function parseHookPath(req) {
+  const pathname = (req.url || "").split("?")[0];
+  const [, rest = ""] = pathname.split("/api/admin/webhooks");
+  const [id, action] = rest.split("/").filter(Boolean);
+  return { id: id ? decodeURIComponent(id) : undefined, action };
+}
+
+function sendHookError(err, res, fallback) {
+  if (err.status === 404) {
+    return res.status(404).json({ error: err.message });
+  }
+  return res.status(500).json({ error: fallback });
+}
+
+// GET /api/admin/webhooks - List hooks
+async function handleGet(req, res) {
+  try {
+    const hooks = await listHooks();
+    return res.status(200).json({ data: hooks });
+  } catch (err) {
+    logError("GET /admin/webhooks error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+}
+
+// GET /api/admin/webhooks/:id/deliveries - Recent deliveries and their status
+async function handleGetDeliveries(req, res, id) {
+  try {
+    const validation = deliveriesQuerySchema.safeParse(extractQuery(req));
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid query",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const deliveries = await listDeliveries(id, validation.data.limit);
+    return res.status(200).json({ data: deliveries });
+  } catch (err) {
+    logError("GET /admin/webhooks/:id/deliveries error", err, getRequestContext(req));
+    return sendHookError(err, res, "Failed to fetch deliveries");
+  }
+}
+
+// POST /api/admin/webhooks - Register a hook
+async function handlePost(req, res, token) {
+  try {
+    const validation = createHookSchema.safeParse(req.body ?? {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+
+    const hook = await createHook(validation.data, token.sub);
+
+    logInfo("Registered webhook", {
+      id: hook.id,
+      url: hook.url,
+      events: hook.events,
+      actor: token.sub,
+    });
+
+    return res.status(201).json({
+      data: hook,
+      message: "Webhook registered. Store the secret now; it is not shown again.",
+    });
+  } catch (err) {
+    logError("POST /admin/webhooks error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to register webhook" });
+  }
+}
+
+// POST /api/admin/webhooks/:id/test - Send a ping event
+async function handleTest(req, res, token, id) {
+  try {
+    const delivery = await testHook(id, token.sub);
+    return res.status(200).json({
+      data: delivery,
+      message:
+        delivery.status === "delivered"
+          ? "Test event delivered"
+          : `Test event failed: ${delivery.error}`,
+    });
+  } catch (err) {
+    logError("POST /admin/webhooks/:id/test error", err, getRequestContext(req));
+    return sendHookError(err, res, "Failed to test webhook");
+  }
+}
+
+// DELETE /api/admin/webhooks/:id - Remove a hook and its delivery log
+async function handleDelete(req, res, token, id) {
+  try {
+    await removeHook(id);
+
+    logInfo("Removed webhook", { id, actor: token.sub });
+
+    return res.status(200).json({ message: "Webhook removed" });
+  } catch (err) {
+    logError("DELETE /admin/webhooks/:id error", err, getRequestContext(req));
+    return sendHookError(err, res, "Failed to remove webhook");
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  const policy = req.method === "GET" ? "read" : "write";
+  if (!(await enforceRateLimit(requestMeta, res, policy))) return;
+
+  const token = await requireRole(req, res, "owner");
+  if (!token) return; // Response already sent by requireRole
+
+  const { id, action } = parseHookPath(req);
+
+  if (req.method === "GET" && !id) {
+    return handleGet(req, res);
+  } else if (req.method === "GET" && id && action === "deliveries") {
+    return handleGetDeliveries(req, res, id);
+  } else if (req.method === "POST" && !id) {
+    return handlePost(req, res, token);
+  } else if (req.method === "POST" && id && action === "test") {
+    return handleTest(req, res, token, id);
+  } else if (req.method === "DELETE" && id && !action) {
+    return handleDelete(req, res, token, id);
+  } else {
+    res.setHeader("Allow", ["GET", "POST", "DELETE", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+}
@@ -0,0 +1,229 @@
+// Audit trail of admin actions, kept in an append-only store
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { getCollection } = require("./collections");
+const { logError } = require("./utils");
+
+const AUDIT_ACTIONS = [
+  "login.success",
+  "login.failure",
+  "video.add",
+  "video.update",
+  "video.delete",
+  "review.approve",
+  "review.reject",
+];
+
+const AUDIT_STORE = process.env.AUDIT_STORE || "datastore";
+const AUDIT_LOG_PATH = path.resolve(
+  process.env.AUDIT_LOG_PATH || "data/audit.jsonl"
+);
+
+/**
+ * Check a record against a query
+ * @param {Object} record - Audit record
+ * @param {Object} query - { actor, actions, videoId, from, to }
+ * @returns {boolean} True if the record matches
+ */
+function matchesQuery(record, query) {
+  if (query.actor && record.actor !== query.actor) return false;
+  if (query.actions && !query.actions.includes(record.action)) return false;
+  if (query.videoId !== undefined && record.videoId !== query.videoId) return false;
+  if (query.from && record.timestamp < query.from) return false;
+  if (query.to && record.timestamp > query.to) return false;
+  return true;
+}
+
+// Audit stores only append and query; records are never changed or removed
+const stores = {
+  // Collection in the DATA_STORE (memory or MongoDB)
+  datastore: () => {
+    const collection = getCollection("auditLog");
+    return {
+      async append(record) {
+        await collection.insertOne({ _id: record.id, ...record });
+      },
+      async query(query, limit) {
+        const filter = {};
+        if (query.actor) filter.actor = query.actor;
+        if (query.actions) filter.action = { $in: query.actions };
+        if (query.videoId !== undefined) filter.videoId = query.videoId;
+        if (query.from || query.to) {
+          filter.timestamp = {
+            ...(query.from && { $gte: query.from }),
+            ...(query.to && { $lte: query.to }),
+          };
+        }
+        const docs = await collection.find(filter, {
+          sort: { timestamp: -1 },
+          limit,
+        });
+        return docs.map(({ _id, ...record }) => record);
+      },
+    };
+  },
+  // JSON lines file (offline dev)
+  file: () => ({
+    async append(record) {
+      await fs.mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+      await fs.appendFile(AUDIT_LOG_PATH, `${JSON.stringify(record)}\n`, "utf-8");
+    },
+    async query(query, limit) {
+      let content;
+      try {
+        content = await fs.readFile(AUDIT_LOG_PATH, "utf-8");
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      return content
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .filter((record) => matchesQuery(record, query))
+        .reverse()
+        .slice(0, limit);
+    },
+  }),
+};
+
+/**
+ * Get the audit store selected by AUDIT_STORE
+ * @returns {Object} Store with append(record) and query(query, limit)
+ */
+function getAuditStore() {
+  const load = stores[AUDIT_STORE];
+  if (!load) {
+    throw new Error(
+      `Unknown AUDIT_STORE "${AUDIT_STORE}" (expected ${Object.keys(stores).join(", ")})`
+    );
+  }
+  return load();
+}
+
+/**
+ * Compare two versions of the catalog video by video
+ * @param {Array} before - Videos before the change
+ * @param {Array} after - Videos after the change
+ * @returns {Array} [{ id, type: "added"|"updated"|"deleted", title, fields? }]
+ */
+function diffVideos(before, after) {
+  const beforeById = new Map(before.map((v) => [v.id, v]));
+  const afterById = new Map(after.map((v) => [v.id, v]));
+  const changes = [];
+
+  for (const video of after) {
+    const previous = beforeById.get(video.id);
+    if (!previous) {
+      changes.push({ id: video.id, type: "added", title: video.title });
+      continue;
+    }
+
+    const fields = {};
+    const keys = new Set([...Object.keys(previous), ...Object.keys(video)]);
+    for (const key of keys) {
+      if (JSON.stringify(previous[key]) !== JSON.stringify(video[key])) {
+        fields[key] = { from: previous[key], to: video[key] };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      changes.push({ id: video.id, type: "updated", title: video.title, fields });
+    }
+  }
+
+  for (const video of before) {
+    if (!afterById.has(video.id)) {
+      changes.push({ id: video.id, type: "deleted", title: video.title });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Append a record to the audit trail. Failures are logged, not thrown, so
+ * an audit outage doesn't fail a change that has already been committed.
+ * @param {Object} entry - { action, actor, request, videoId?, changes?, commitSha?, details? }
+ *   where request is the getRequestContext of the request
+ * @returns {Promise<void>}
+ */
+async function recordAudit({ action, actor, request = {}, ...rest }) {
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    action,
+    actor: actor || null,
+    ip: request.ip || null,
+    requestId: request.requestId || null,
+    videoId: rest.videoId ?? null,
+    changes: rest.changes ?? null,
+    commitSha: rest.commitSha ?? null,
+    details: rest.details ?? null,
+  };
+
+  try {
+    await getAuditStore().append(record);
+  } catch (error) {
+    logError("Failed to write audit record", error, { action, actor });
+  }
+}
+
+// Audit action for each kind of catalog change
+const CHANGE_ACTIONS = {
+  added: "video.add",
+  updated: "video.update",
+  deleted: "video.delete",
+};
+
+/**
+ * Record one audit entry per video changed by a catalog write. Updates
+ * carry a field-level diff ({ field: { from, to } }); adds and deletes
+ * carry the whole entry.
+ * @param {Array} before - Catalog before the write
+ * @param {Array} after - Catalog after the write
+ * @param {Object} options - { actor, request, commitSha, details? }
+ * @returns {Promise<void>}
+ */
+async function recordCatalogChanges(before, after, options) {
+  const beforeById = new Map(before.map((v) => [v.id, v]));
+  const afterById = new Map(after.map((v) => [v.id, v]));
+
+  for (const change of diffVideos(before, after)) {
+    let changes = change.fields;
+    if (change.type === "added") {
+      changes = { to: afterById.get(change.id) };
+    } else if (change.type === "deleted") {
+      changes = { from: beforeById.get(change.id) };
+    }
+
+    await recordAudit({
+      action: CHANGE_ACTIONS[change.type],
+      actor: options.actor,
+      request: options.request,
+      videoId: change.id,
+      changes,
+      commitSha: options.commitSha,
+      details: options.details,
+    });
+  }
+}
+
+/**
+ * Query the audit trail, newest first
+ * @param {Object} query - { actor?, actions?, videoId?, from?, to? } (ISO times)
+ * @param {number} limit - Maximum number of records
+ * @returns {Promise<Array>} Audit records
+ */
+async function queryAudit(query, limit) {
+  return getAuditStore().query(query, limit);
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffVideos,
+  recordAudit,
+  recordCatalogChanges,
+  queryAudit,
+};
@@ -0,0 +1,86 @@
+// Blob store backed by a directory on the local filesystem (offline dev and tests)
+
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Files are written under BLOB_LOCAL_DIR and served from BLOB_PUBLIC_URL
+const BLOB_LOCAL_DIR = path.resolve(process.env.BLOB_LOCAL_DIR || "data/uploads");
+const BLOB_PUBLIC_URL = (process.env.BLOB_PUBLIC_URL || "/uploads").replace(/\/$/, "");
+
+/**
+ * Stream a blob to disk
+ * @param {string} key - Path of the blob within the store
+ * @param {Readable} stream - Blob contents
+ * @param {Object} options - { contentType } (unused on disk)
+ * @returns {Promise<Object>} { url }
+ */
+async function put(key, stream, options = {}) {
+  const filePath = path.join(BLOB_LOCAL_DIR, key);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await pipeline(stream, fs.createWriteStream(tempPath));
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  await fs.promises.rename(tempPath, filePath);
+
+  return { url: `${BLOB_PUBLIC_URL}/${key}` };
+}
+
+/**
+ * Get the file behind a blob URL
+ * @param {string} url - Blob URL
+ * @returns {string|null} File path, or null if the URL isn't in this store
+ */
+function resolveFilePath(url) {
+  if (!url.startsWith(`${BLOB_PUBLIC_URL}/`)) return null;
+  const filePath = path.join(BLOB_LOCAL_DIR, url.slice(BLOB_PUBLIC_URL.length + 1));
+  if (!filePath.startsWith(`${BLOB_LOCAL_DIR}${path.sep}`)) return null;
+  return filePath;
+}
+
+/**
+ * Read a blob previously returned by put
+ * @param {string} url - Blob URL
+ * @returns {Promise<Buffer|null>} Contents, or null if the URL isn't in this store
+ */
+async function get(url) {
+  const filePath = resolveFilePath(url);
+  if (!filePath) return null;
+  return await fs.promises.readFile(filePath);
+}
+
+/**
+ * Stream a blob previously returned by put
+ * @param {string} url - Blob URL
+ * @returns {Promise<Readable|null>} Contents, or null if the URL isn't in this store
+ */
+async function open(url) {
+  const filePath = resolveFilePath(url);
+  if (!filePath) return null;
+  await fs.promises.access(filePath);
+  return fs.createReadStream(filePath);
+}
+
+/**
+ * Delete a blob previously returned by put
+ * @param {string} url - Blob URL
+ * @returns {Promise<void>}
+ */
+async function remove(url) {
+  if (!url.startsWith(`${BLOB_PUBLIC_URL}/`)) return;
+  const key = url.slice(BLOB_PUBLIC_URL.length + 1);
+  await fs.promises.rm(path.join(BLOB_LOCAL_DIR, key), { force: true });
+}
+
+module.exports = {
+  name: "local",
+  put,
+  get,
+  open,
+  remove,
+};
@@ -0,0 +1,93 @@
+// Blob store backed by Vercel Blob (uses BLOB_READ_WRITE_TOKEN)
+
+const axios = require("axios");
+const { put: putBlob, del } = require("@vercel/blob");
+const { handleUpload } = require("@vercel/blob/client");
+
+// Public blob URLs: https://<store-id>.public.blob.vercel-storage.com/<key>
+const BLOB_HOST_SUFFIX = ".public.blob.vercel-storage.com";
+
+/**
+ * Stream a blob to Vercel Blob
+ * @param {string} key - Path of the blob within the store
+ * @param {Readable} stream - Blob contents
+ * @param {Object} options - { contentType }
+ * @returns {Promise<Object>} { url }
+ */
+async function put(key, stream, options = {}) {
+  const blob = await putBlob(key, stream, {
+    access: "public",
+    contentType: options.contentType,
+    addRandomSuffix: false,
+  });
+  return { url: blob.url };
+}
+
+function isBlobUrl(url) {
+  try {
+    return new URL(url).hostname.endsWith(BLOB_HOST_SUFFIX);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a blob previously returned by put
+ * @param {string} url - Blob URL
+ * @returns {Promise<Buffer|null>} Contents, or null if the URL isn't a Vercel Blob
+ */
+async function get(url) {
+  if (!isBlobUrl(url)) return null;
+  const response = await axios.get(url, { responseType: "arraybuffer" });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Stream a blob previously returned by put
+ * @param {string} url - Blob URL
+ * @returns {Promise<Readable|null>} Contents, or null if the URL isn't a Vercel Blob
+ */
+async function open(url) {
+  if (!isBlobUrl(url)) return null;
+  const response = await axios.get(url, { responseType: "stream" });
+  return response.data;
+}
+
+/**
+ * Issue a client token so a browser can upload one file straight to
+ * Vercel Blob, bypassing the 4.5 MB function request limit
+ * @param {Object} body - handleUpload "blob.generate-client-token" event
+ * @param {Object} request - Request object
+ * @param {Object} options - { types, maxBytes, tokenPayload }
+ * @returns {Promise<Object>} { type, clientToken }
+ */
+async function createClientUpload(body, request, options) {
+  return handleUpload({
+    body,
+    request,
+    onBeforeGenerateToken: async () => ({
+      allowedContentTypes: options.types,
+      maximumSizeInBytes: options.maxBytes,
+      addRandomSuffix: true,
+      tokenPayload: options.tokenPayload,
+    }),
+  });
+}
+
+/**
+ * Delete a blob previously returned by put
+ * @param {string} url - Blob URL
+ * @returns {Promise<void>}
+ */
+async function remove(url) {
+  await del(url);
+}
+
+module.exports = {
+  name: "vercel",
+  put,
+  get,
+  open,
+  remove,
+  createClientUpload,
+};
@@ -0,0 +1,767 @@
+// Video catalog: reads and writes catalog.json, videos.json and related documents through the configured store
+
+const { createStatusError, logInfo, logWarn, logError } = require("./utils");
+const { findDuplicates, getVideoKeys } = require("./duplicates");
+const { diffVideos, recordCatalogChanges } = require("./audit");
+const { notifyCatalogChange } = require("./webhooks");
+const {
+  CATALOG_SCHEMA_VERSION,
+  STATUSES,
+  parseCatalog,
+  serializeCatalog,
+  validateCatalog,
+} = require("./catalogSchema");
+const { getPendingMigrations, migrateVideos } = require("./migrations");
+const {
+  getCachedPublicVideos,
+  cachePublicVideos,
+  invalidatePublicVideos,
+} = require("./publicCache");
+
+const stores = {
+  github: () => require("./stores/github"),
+  local: () => require("./stores/local"),
+  mongodb: () => require("./stores/mongodb"),
+};
+
+const CATALOG_STORE = process.env.CATALOG_STORE || "github";
+
+// Stale-SHA retry policy for updateDocument
+const MAX_WRITE_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 200;
+
+// The admin catalog holds every entry in any status; the public site reads
+// videos.json, which holds only published entries
+const CATALOG_DOCUMENT = "catalog";
+const PUBLIC_DOCUMENT = "videos";
+
+// Batch operation names, the catalog operation each runs and where its
+// affected video is listed in the result
+const BATCH_OPERATION_TYPES = { create: "add", update: "update", delete: "delete" };
+const BATCH_RESULT_KEYS = { create: "created", update: "updated", delete: "deleted" };
+
+// Fields kept out of videos.json
+const ADMIN_ONLY_FIELDS = ["status", "publishAt", "youtubeSync"];
+
+/**
+ * Get the catalog store selected by CATALOG_STORE.
+ *
+ * A store holds named JSON documents ("videos", "categories", ...). It
+ * exposes read(name, options) -> { data, sha } and
+ * write(name, data, sha, message, options) -> { commitSha }, and rejects a
+ * write whose sha is stale with an error flagged `stale: true`. Stores that
+ * can commit several documents at once also expose
+ * writeMany([{ name, data, sha }], message, options) -> { commitSha }. Stores
+ * that keep history also expose readAt(name, ref) and listCommits(name, limit),
+ * and the github store honors `options.branch` (see review.js).
+ *
+ * @returns {Object} Catalog store
+ */
+function getCatalogStore() {
+  const load = stores[CATALOG_STORE];
+  if (!load) {
+    throw new Error(
+      `Unknown CATALOG_STORE "${CATALOG_STORE}" (expected ${Object.keys(stores).join(", ")})`
+    );
+  }
+  return load();
+}
+
+/**
+ * Compute the next available video ID for a list of videos
+ * @param {Array} videos - Array of video objects
+ * @returns {number} Next available ID
+ */
+function nextVideoId(videos) {
+  if (videos.length === 0) {
+    return 1;
+  }
+  const maxId = Math.max(...videos.map((v) => v.id || 0));
+  return maxId + 1;
+}
+
+/**
+ * Check whether a video belongs in the public videos.json. Entries without
+ * a status predate statuses and count as published.
+ * @param {Object} video - Video object
+ * @returns {boolean} True if published
+ */
+function isPublished(video) {
+  return !video.status || video.status === "published";
+}
+
+/**
+ * Build the public videos.json contents from the admin catalog
+ * @param {Array} videos - Catalog videos
+ * @returns {Array} Published videos without admin-only fields
+ */
+function toPublicVideos(videos) {
+  return videos.filter(isPublished).map((video) => {
+    const entry = { ...video };
+    for (const field of ADMIN_ONLY_FIELDS) delete entry[field];
+    return entry;
+  });
+}
+
+/**
+ * Reject scheduled videos that have no usable publish time
+ * @param {Object} video - Video object
+ */
+function checkSchedule(video) {
+  if (video.status === "scheduled" && isNaN(Date.parse(video.publishAt))) {
+    throw createStatusError(400, "Scheduled videos need a publishAt time");
+  }
+}
+
+/**
+ * Keep featured videos pinned to the top of the catalog. The sort is
+ * stable, so a catalog with no featured videos keeps its order.
+ * @param {Array} videos - Array of video objects
+ * @returns {Array} Videos with featured entries first
+ */
+function pinFeatured(videos) {
+  return [
+    ...videos.filter((v) => v.featured),
+    ...videos.filter((v) => !v.featured),
+  ];
+}
+
+/**
+ * Reorder videos. With `ids`, the listed videos are put in that order in
+ * the positions they already occupy, so listing every id sets the whole
+ * order and unlisted videos stay where they are. With `moves`, each
+ * { id, before } or { id, after } is applied in turn.
+ * @param {Array} videos - Current array of video objects (not mutated)
+ * @param {Object} operation - { ids } or { moves }
+ * @returns {Array} Reordered videos
+ */
+function reorderVideos(videos, { ids, moves }) {
+  const findVideo = (id) => {
+    const video = videos.find((v) => v.id === id);
+    if (!video) {
+      throw createStatusError(404, "Video not found");
+    }
+    return video;
+  };
+
+  if (ids) {
+    const listed = ids.map(findVideo);
+    const slots = new Set(listed);
+    let next = 0;
+    return videos.map((v) => (slots.has(v) ? listed[next++] : v));
+  }
+
+  let next = [...videos];
+  for (const move of moves) {
+    const video = findVideo(move.id);
+    const targetId = move.before !== undefined ? move.before : move.after;
+    const target = findVideo(targetId);
+    if (target === video) {
+      throw createStatusError(400, "Cannot move a video relative to itself");
+    }
+    next = next.filter((v) => v !== video);
+    const index = next.indexOf(target) + (move.before !== undefined ? 0 : 1);
+    next.splice(index, 0, video);
+  }
+  return next;
+}
+
+/**
+ * Apply a single catalog operation to a list of videos
+ * @param {Array} videos - Current array of video objects (not mutated)
+ * @param {Object} operation - { type: "add", video, allowDuplicate? } | { type: "addMany", videos } |
+ *   { type: "update", id, changes } | { type: "put", id, video } |
+ *   { type: "delete", id } | { type: "replace", videos } |
+ *   { type: "renameCategory", from, to } | { type: "reorder", ids } |
+ *   { type: "reorder", moves } | { type: "publishDue", now } |
+ *   { type: "updateMany", updates: [{ id, changes, expected }] } |
+ *   { type: "batch", operations: [{ op: "create", video, allowDuplicate? } |
+ *     { op: "update", id, changes } | { op: "delete", id }] }
+ * @returns {{videos: Array, video: Object}} New array and the affected video
+ *   (addMany also returns `added` and `skipped`, renameCategory `changed`,
+ *   publishDue `published`, updateMany `updated` and `skipped`, batch
+ *   `created`, `updated` and `deleted`)
+ */
+function applyOperation(videos, operation) {
+  switch (operation.type) {
+    case "add": {
+      if (!operation.allowDuplicate) {
+        const duplicates = findDuplicates(videos, operation.video);
+        if (duplicates.length > 0) {
+          throw createStatusError(409, "Video already exists", { duplicates });
+        }
+      }
+      const video = { id: nextVideoId(videos), ...operation.video };
+      checkSchedule(video);
+      return { videos: [...videos, video], video };
+    }
+    case "addMany": {
+      // Skip videos that are already in the catalog, by hosted ID or link
+      const existing = new Set(videos.flatMap(getVideoKeys));
+      const added = [];
+      const skipped = [];
+      let id = nextVideoId(videos);
+      for (const entry of operation.videos) {
+        const keys = getVideoKeys(entry);
+        if (keys.some((key) => existing.has(key))) {
+          skipped.push(entry);
+          continue;
+        }
+        keys.forEach((key) => existing.add(key));
+        checkSchedule(entry);
+        added.push({ id: id++, ...entry });
+      }
+      return { videos: [...videos, ...added], video: null, added, skipped };
+    }
+    case "update": {
+      const index = videos.findIndex((v) => v.id === operation.id);
+      if (index === -1) {
+        throw createStatusError(404, "Video not found");
+      }
+      const video = {
+        ...videos[index],
+        ...operation.changes,
+        id: operation.id, // Ensure ID doesn't change
+      };
+      checkSchedule(video);
+      const next = [...videos];
+      next[index] = video;
+      return { videos: next, video };
+    }
+    case "put": {
+      // Replace the whole entry, re-adding it if it was deleted
+      const video = { ...operation.video, id: operation.id };
+      checkSchedule(video);
+      const index = videos.findIndex((v) => v.id === operation.id);
+      const next = [...videos];
+      if (index === -1) {
+        next.push(video);
+      } else {
+        next[index] = video;
+      }
+      return { videos: next, video };
+    }
+    case "delete": {
+      const video = videos.find((v) => v.id === operation.id);
+      if (!video) {
+        throw createStatusError(404, "Video not found");
+      }
+      return { videos: videos.filter((v) => v.id !== operation.id), video };
+    }
+    case "replace":
+      return { videos: [...operation.videos], video: null };
+    case "renameCategory": {
+      let changed = 0;
+      const next = videos.map((v) => {
+        if (v.category !== operation.from) return v;
+        changed += 1;
+        return { ...v, category: operation.to };
+      });
+      return { videos: next, video: null, changed };
+    }
+    case "reorder": {
+      // Featured videos are pinned after every write, so an order that
+      // puts them lower would be silently rearranged; refuse it instead
+      const reordered = reorderVideos(videos, operation);
+      const pinned = pinFeatured(reordered);
+      if (pinned.some((video, index) => video !== reordered[index])) {
+        throw createStatusError(
+          400,
+          "Featured videos must stay above the others. Unfeature a video to move it lower."
+        );
+      }
+      return { videos: reordered, video: null };
+    }
+    case "publishDue": {
+      // Scheduled videos whose publish time has passed
+      const published = [];
+      const next = videos.map((v) => {
+        if (v.status !== "scheduled" || !(Date.parse(v.publishAt) <= operation.now)) {
+          return v;
+        }
+        const { publishAt, ...rest } = v;
+        const video = { ...rest, status: "published" };
+        published.push(video);
+        return video;
+      });
+      return { videos: next, video: null, published };
+    }
+    case "updateMany": {
+      // Updates planned from an earlier read; an entry deleted or edited
+      // since (its `expected` fields no longer match) is skipped
+      const updates = new Map(operation.updates.map((u) => [u.id, u]));
+      const updated = [];
+      const skipped = [];
+      const next = videos.map((v) => {
+        const update = updates.get(v.id);
+        if (!update) return v;
+        updates.delete(v.id);
+        const unchanged = Object.entries(update.expected || {}).every(
+          ([key, value]) => JSON.stringify(v[key]) === JSON.stringify(value)
+        );
+        if (!unchanged) {
+          skipped.push(v);
+          return v;
+        }
+        const video = { ...v, ...update.changes, id: v.id };
+        updated.push(video);
+        return video;
+      });
+      skipped.push(...[...updates.values()].map(({ id }) => ({ id })));
+      return { videos: next, video: null, updated, skipped };
+    }
+    case "batch": {
+      // All or nothing: the first operation that fails rejects the batch
+      const result = { videos, video: null, created: [], updated: [], deleted: [] };
+      operation.operations.forEach((entry, index) => {
+        const { op, ...rest } = entry;
+        const type = BATCH_OPERATION_TYPES[op];
+        let applied;
+        try {
+          applied = applyOperation(result.videos, { ...rest, type });
+        } catch (error) {
+          throw createStatusError(
+            error.status || 500,
+            `Operation ${index + 1} (${op}): ${error.message}`,
+            { index, duplicates: error.duplicates }
+          );
+        }
+        result.videos = applied.videos;
+        result[BATCH_RESULT_KEYS[op]].push(applied.video);
+      });
+      return result;
+    }
+    default:
+      throw new Error(`Unknown catalog operation: ${operation.type}`);
+  }
+}
+
+/**
+ * List the existing videos an operation targets by id; a write fails if
+ * any of them changed between attempts
+ * @param {Object} operation - Catalog operation
+ * @returns {Array<number>} Video IDs
+ */
+function getTargetIds(operation) {
+  if (operation.type === "batch") {
+    return operation.operations
+      .filter((entry) => entry.id !== undefined)
+      .map((entry) => entry.id);
+  }
+  return operation.id !== undefined ? [operation.id] : [];
+}
+
+/**
+ * Read a catalog document from the configured store
+ * @param {string} name - Document name ("videos", "categories", ...)
+ * @param {Object} options - { branch } to read a review branch
+ * @returns {Promise<Object>} { data, sha } (data is null if missing)
+ */
+async function readDocument(name, options = {}) {
+  return getCatalogStore().read(name, { branch: options.branch });
+}
+
+/**
+ * Read the admin catalog (every video, any status) from the configured
+ * store. Catalogs from before statuses existed only have videos.json, which
+ * is read instead until the first write creates catalog.json.
+ *
+ * Entries are checked against the catalog schema; invalid entries are
+ * logged and returned as `problems` but not dropped.
+ *
+ * @returns {Promise<Object>} { videos, sha, schemaVersion, problems }
+ */
+async function readVideosJson() {
+  let { data, sha } = await readDocument(CATALOG_DOCUMENT);
+  if (!data) {
+    data = (await readDocument(PUBLIC_DOCUMENT)).data;
+    sha = null;
+  }
+
+  const { schemaVersion, videos } = parseCatalog(data);
+  const problems = validateCatalog(videos);
+  if (problems.length > 0) {
+    logWarn("Catalog has invalid entries", {
+      schemaVersion,
+      invalid: problems.map((p) => p.id ?? `#${p.index}`),
+    });
+  }
+
+  return { videos, sha, schemaVersion, problems };
+}
+
+/**
+ * Get the catalog store, requiring it to keep history
+ * @returns {Object} Catalog store with readAt and listCommits
+ */
+function getHistoryStore() {
+  const store = getCatalogStore();
+  if (!store.readAt || !store.listCommits) {
+    throw createStatusError(
+      501,
+      `History is not available with the ${store.name} catalog store`
+    );
+  }
+  return store;
+}
+
+/**
+ * Read the admin catalog as of a given commit, falling back to videos.json
+ * for commits from before catalog.json existed
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Object>} { schemaVersion, videos } as stored at that commit
+ */
+async function readCatalogAt(ref) {
+  const store = getHistoryStore();
+  const data =
+    (await store.readAt(CATALOG_DOCUMENT, ref)) ||
+    (await store.readAt(PUBLIC_DOCUMENT, ref));
+  return parseCatalog(data);
+}
+
+/**
+ * Read the admin catalog's videos as of a given commit (see readCatalogAt)
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Array>} Array of video objects
+ */
+async function readVideosJsonAt(ref) {
+  return (await readCatalogAt(ref)).videos;
+}
+
+/**
+ * List recent commits that changed the admin catalog. Older history is
+ * taken from videos.json commits made before catalog.json existed.
+ * @param {number} limit - Maximum number of commits
+ * @returns {Promise<Array>} [{ sha, parentSha, message, author, date }]
+ */
+async function listCatalogCommits(limit) {
+  const store = getHistoryStore();
+  const commits = await store.listCommits(CATALOG_DOCUMENT, limit);
+  if (commits.length >= limit) {
+    return commits;
+  }
+
+  const first = commits[commits.length - 1];
+  const legacy = (await store.listCommits(PUBLIC_DOCUMENT, limit)).filter(
+    (commit) => !first || commit.date < first.date
+  );
+  return [...commits, ...legacy].slice(0, limit);
+}
+
+/**
+ * Read-modify-write a catalog document, retrying on stale SHA.
+ *
+ * Each attempt re-reads the document and calls `apply` on the fresh
+ * contents, so only the caller's change is re-applied on top of whatever
+ * was committed in the meantime.
+ *
+ * Nothing is written (and commitSha is null) when the document is unchanged.
+ *
+ * `apply` may also return `documents`, other documents derived from this
+ * one ({ name: data }). Those that changed are committed together with it
+ * through the store's writeMany, which only stores that support it offer.
+ *
+ * @param {string} name - Document name
+ * @param {Function} apply - (data, attempt) => { data, documents, ...result },
+ *   may be async; may throw to abort
+ * @param {string|Function} message - Commit message, or a function of the result
+ * @param {Object} options - { actor, branch } username recorded as an
+ *   Edited-by trailer, and a review branch to commit to instead of the
+ *   default branch
+ * @returns {Promise<Object>} Result of apply plus commitSha
+ */
+async function updateDocument(name, apply, message, options = {}) {
+  const store = getCatalogStore();
+  const target = { branch: options.branch };
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const { data, sha } = await store.read(name, target);
+
+    const { documents = {}, ...result } = await apply(data, attempt);
+    if (JSON.stringify(result.data) === JSON.stringify(data)) {
+      return { ...result, commitSha: null };
+    }
+
+    const writes = [{ name, data: result.data, sha }];
+    for (const [other, otherData] of Object.entries(documents)) {
+      const current = await store.read(other, target);
+      if (JSON.stringify(current.data) !== JSON.stringify(otherData)) {
+        writes.push({ name: other, data: otherData, sha: current.sha });
+      }
+    }
+
+    let commitMessage =
+      typeof message === "function" ? message(result) : message;
+    if (options.actor) {
+      commitMessage += `\n\nEdited-by: ${options.actor}`;
+    }
+
+    try {
+      const { commitSha } =
+        writes.length > 1
+          ? await store.writeMany(writes, commitMessage, target)
+          : await store.write(name, result.data, sha, commitMessage, target);
+      return { ...result, commitSha };
+    } catch (error) {
+      if (!error.stale) {
+        throw error;
+      }
+      if (attempt === MAX_WRITE_ATTEMPTS) {
+        throw createStatusError(
+          409,
+          `${name}.json is being edited by someone else. Try again shortly.`
+        );
+      }
+
+      const delay =
+        RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) +
+        Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+      logInfo(`${name}.json SHA conflict, retrying`, {
+        store: store.name,
+        attempt,
+        delayMs: delay,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Rewrite the public videos.json from the admin catalog if it is out of date.
+ * videos.json is read before the catalog, so a concurrent sync that lands
+ * in between makes this write stale and it is redone from the newer catalog.
+ * @param {string} message - Commit message
+ * @param {Object} options - { actor } username recorded as an Edited-by trailer
+ * @returns {Promise<Object>} { data, commitSha } (commitSha null if unchanged)
+ */
+async function syncPublicVideos(message, options = {}) {
+  return updateDocument(
+    PUBLIC_DOCUMENT,
+    async (current) => {
+      const { data } = await readDocument(CATALOG_DOCUMENT);
+      return { data: data ? toPublicVideos(parseCatalog(data).videos) : current };
+    },
+    message,
+    options
+  );
+}
+
+/**
+ * Apply an operation to the admin catalog and commit it, retrying on stale
+ * SHA. If the published entries changed, the public videos.json is
+ * committed with it when the store can write both at once (github, local),
+ * or in a second commit otherwise (mongodb).
+ *
+ * Concurrent edits to other videos are preserved. The write fails with a
+ * 409 only if a targeted video itself changed between attempts. Featured
+ * videos are kept at the top of the written catalog. Every changed video
+ * is recorded in the audit trail and sent to the registered webhooks.
+ *
+ * The catalog keeps the schema version it was stored with; only the
+ * { type: "migrate" } operation upgrades it (see migrations.js).
+ *
+ * With `options.branch` the change is committed to that review branch
+ * only. It is audited, published to videos.json and sent to webhooks when
+ * its change set is approved (see review.js).
+ *
+ * @param {Object} operation - Catalog operation (see applyOperation), or
+ *   { type: "migrate" }
+ * @param {string|Function} message - Commit message, or a function of the
+ *   affected video and the full operation result
+ * @param {Object} options - { actor, request, branch } username recorded as
+ *   an Edited-by trailer, the request context for the audit trail, and an
+ *   optional review branch
+ * @returns {Promise<Object>} Operation result plus `previous` (the catalog
+ *   before the change) and commitSha
+ */
+async function writeVideosJson(operation, message, options = {}) {
+  const originals = new Map();
+  const together = Boolean(getCatalogStore().writeMany) && !options.branch;
+  let commitMessage;
+
+  const { data, ...result } = await updateDocument(
+    CATALOG_DOCUMENT,
+    async (stored, attempt) => {
+      const { schemaVersion, videos } = parseCatalog(
+        stored || (await readDocument(PUBLIC_DOCUMENT, options)).data
+      );
+      if (schemaVersion > CATALOG_SCHEMA_VERSION) {
+        throw createStatusError(
+          409,
+          `The catalog uses schema version ${schemaVersion}, which this deployment does not support`
+        );
+      }
+
+      for (const id of getTargetIds(operation)) {
+        const current = videos.find((v) => v.id === id);
+        if (attempt === 1) {
+          originals.set(id, current);
+        } else if (JSON.stringify(current) !== JSON.stringify(originals.get(id))) {
+          throw createStatusError(
+            409,
+            "Video was changed by another edit. Reload and try again.",
+            { current: current || null }
+          );
+        }
+      }
+
+      const applied =
+        operation.type === "migrate"
+          ? { ...migrateVideos(videos, schemaVersion), video: null }
+          : applyOperation(videos, operation);
+      const ordered = pinFeatured(applied.videos);
+      return {
+        ...applied,
+        previous: videos,
+        videos: ordered,
+        data: serializeCatalog(applied.schemaVersion ?? schemaVersion, ordered),
+        ...(together && {
+          documents: { [PUBLIC_DOCUMENT]: toPublicVideos(ordered) },
+        }),
+      };
+    },
+    (applied) => {
+      commitMessage =
+        typeof message === "function" ? message(applied.video, applied) : message;
+      return commitMessage;
+    },
+    options
+  );
+
+  if (options.branch) {
+    return result;
+  }
+
+  if (result.commitSha) {
+    invalidatePublicVideos();
+    await recordCatalogChanges(result.previous, result.videos, {
+      actor: options.actor,
+      request: options.request,
+      commitSha: result.commitSha,
+    });
+    await notifyCatalogChange(result.previous, result.videos, {
+      actor: options.actor,
+      commitSha: result.commitSha,
+    });
+  }
+
+  if (together && result.commitSha) {
+    return result;
+  }
+
+  // The catalog change is committed either way; a failed sync is retried
+  // by the next write or the scheduled publish run
+  try {
+    await syncPublicVideos(commitMessage || "Sync published videos", options);
+  } catch (error) {
+    logError("Failed to update public videos.json", error);
+  }
+
+  return result;
+}
+
+/**
+ * Read the published videos, without admin-only fields, for the public read
+ * API. Served from the in-process cache (see publicCache.js) when fresh.
+ * @returns {Promise<Array>} Published videos in display order
+ */
+async function readPublicVideos() {
+  const cachedVideos = getCachedPublicVideos();
+  if (cachedVideos) return cachedVideos;
+
+  const { videos } = await readVideosJson();
+  const published = toPublicVideos(videos);
+  cachePublicVideos(published);
+  return published;
+}
+
+/**
+ * Describe the stored catalog: its schema version, the migrations it still
+ * needs and any invalid entries
+ * @returns {Promise<Object>} { schemaVersion, latestVersion, pendingMigrations, problems }
+ */
+async function getCatalogStatus() {
+  const { schemaVersion, problems } = await readVideosJson();
+  return {
+    schemaVersion,
+    latestVersion: CATALOG_SCHEMA_VERSION,
+    pendingMigrations: getPendingMigrations(schemaVersion),
+    problems,
+  };
+}
+
+/**
+ * Work out what migrating the catalog would change, without writing
+ * @returns {Promise<Object>} { from, to, migrations, changes, problems }
+ *   where changes are per-video diffs and problems are the entries that
+ *   would still be invalid afterwards
+ */
+async function previewMigration() {
+  const { videos, schemaVersion } = await readVideosJson();
+  const migrated = migrateVideos(videos, schemaVersion);
+  const ordered = pinFeatured(migrated.videos);
+  return {
+    from: schemaVersion,
+    to: migrated.schemaVersion,
+    migrations: migrated.migrations,
+    changes: diffVideos(videos, ordered),
+    problems: validateCatalog(ordered),
+  };
+}
+
+/**
+ * Upgrade the catalog to the latest schema version in a single commit
+ * listing the migrations applied
+ * @param {string} actor - Username recorded as an Edited-by trailer
+ * @param {Object} request - Request context for the audit trail
+ * @returns {Promise<Object>} { from, to, migrations, commitSha } (commitSha
+ *   null if the catalog was already up to date)
+ */
+async function migrateCatalog(actor, request) {
+  const result = await writeVideosJson(
+    { type: "migrate" },
+    (video, applied) => {
+      const steps = applied.migrations
+        .map((m) => `- v${m.version}: ${m.description}`)
+        .join("\n");
+      return `Migrate catalog to schema version ${applied.schemaVersion}\n\n${steps}`;
+    },
+    { actor, request }
+  );
+  return {
+    from: result.fromVersion,
+    to: result.schemaVersion,
+    migrations: result.migrations,
+    commitSha: result.commitSha,
+  };
+}
+
+/**
+ * Get next available video ID
+ * @returns {Promise<number>} Next available ID
+ */
+async function getNextVideoId() {
+  const { videos } = await readVideosJson();
+  return nextVideoId(videos);
+}
+
+module.exports = {
+  STATUSES,
+  CATALOG_SCHEMA_VERSION,
+  getCatalogStore,
+  readDocument,
+  updateDocument,
+  readVideosJson,
+  readCatalogAt,
+  readVideosJsonAt,
+  readPublicVideos,
+  listCatalogCommits,
+  writeVideosJson,
+  syncPublicVideos,
+  toPublicVideos,
+  getNextVideoId,
+  applyOperation,
+  getCatalogStatus,
+  previewMigration,
+  migrateCatalog,
+};
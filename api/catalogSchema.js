@@ -0,0 +1,134 @@
+// Catalog schema: the stored shape of a video entry and the versioned catalog.json envelope
+
+const { z } = require("zod");
+const { localeField } = require("./locales");
+
+// Version written by the newest migration (see migrations.js). Version 1
+// is the bare array of videos used before the envelope existed.
+const CATALOG_SCHEMA_VERSION = 2;
+
+const STATUSES = ["draft", "scheduled", "published", "hidden"];
+
+// YYYY, YYYY-MM or YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+const dateField = z
+  .string()
+  .regex(DATE_PATTERN, "Use YYYY, YYYY-MM or YYYY-MM-DD");
+
+// A stored catalog entry. Request schemas in admin/videos.js are built
+// from this, adding defaults and the managed category check.
+const catalogEntrySchema = z.object({
+  id: z.number().int().positive(),
+  title: z.string().min(1, "Title is required"),
+  description: z.string(),
+  thumbnail: z.string(),
+  videoUrl: z.string().min(1, "Video URL is required"),
+  youtubeId: z.string().optional(),
+  vimeoId: z.string().optional(),
+  startTime: z.number().int().positive().optional(), // Seconds into a hosted video
+  date: dateField.optional(),
+  category: z.string().min(1, "Category is required"),
+  year: z.number().int().positive(),
+  featured: z.boolean().optional(),
+  duration: z.number().nonnegative().optional(), // Seconds
+  width: z.number().int().positive().optional(),
+  height: z.number().int().positive().optional(),
+  // Videos without a status are published
+  status: z.enum(STATUSES).optional(),
+  publishAt: z.iso.datetime({ offset: true }).optional(),
+  // Title and description in other languages, keyed by locale. title and
+  // description themselves are in DEFAULT_LOCALE (see locales.js).
+  translations: z
+    .record(
+      localeField,
+      z.object({
+        title: z.string().min(1, "Title is required").optional(),
+        description: z.string().optional(),
+      })
+    )
+    .optional(),
+  // YouTube's values when they were last copied (see youtubeSync.js)
+  youtubeSync: z
+    .object({
+      title: z.string().optional(),
+      description: z.string().optional(),
+      thumbnail: z.string().optional(),
+    })
+    .optional(),
+});
+
+/**
+ * Unwrap a stored catalog document. Bare arrays are version 1.
+ * @param {Object|Array|null} data - Stored document
+ * @returns {{schemaVersion: number, videos: Array}}
+ */
+function parseCatalog(data) {
+  if (!data) {
+    return { schemaVersion: CATALOG_SCHEMA_VERSION, videos: [] };
+  }
+  if (Array.isArray(data)) {
+    return { schemaVersion: 1, videos: data };
+  }
+  return { schemaVersion: data.schemaVersion, videos: data.videos || [] };
+}
+
+/**
+ * Build the stored catalog document for a schema version
+ * @param {number} schemaVersion - Schema version
+ * @param {Array} videos - Catalog videos
+ * @returns {Object|Array} Envelope, or a bare array for version 1
+ */
+function serializeCatalog(schemaVersion, videos) {
+  if (schemaVersion === 1) {
+    return videos;
+  }
+  return { schemaVersion, videos };
+}
+
+/**
+ * Check every entry against the current schema
+ * @param {Array} videos - Catalog videos
+ * @returns {Array} Problems: [{ index, id, title, issues }] where issues
+ *   maps field names to messages
+ */
+function validateCatalog(videos) {
+  const problems = [];
+  const seenIds = new Set();
+
+  videos.forEach((video, index) => {
+    const validation = catalogEntrySchema.safeParse(video);
+    let issues = {};
+    if (!validation.success) {
+      const { formErrors, fieldErrors } = validation.error.flatten();
+      // Entries that aren't objects at all only have form errors
+      issues = Object.keys(fieldErrors).length > 0 ? fieldErrors : { entry: formErrors };
+    }
+
+    if (video && seenIds.has(video.id)) {
+      issues.id = [...(issues.id || []), "Duplicate id"];
+    }
+    seenIds.add(video?.id);
+
+    if (Object.keys(issues).length > 0) {
+      problems.push({
+        index,
+        id: video?.id ?? null,
+        title: video?.title ?? null,
+        issues,
+      });
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  CATALOG_SCHEMA_VERSION,
+  STATUSES,
+  dateField,
+  catalogEntrySchema,
+  parseCatalog,
+  serializeCatalog,
+  validateCatalog,
+};
@@ -0,0 +1,357 @@
+// Catalog export and import: JSON, CSV (for spreadsheets) and zip backup bundles
+
+const path = require("path");
+const JSZip = require("jszip");
+const { catalogEntrySchema } = require("./catalogSchema");
+const { LOCALIZED_FIELDS } = require("./locales");
+const { findDuplicates } = require("./duplicates");
+const { readStoredFile } = require("./uploads");
+const { logWarn } = require("./utils");
+
+// Every entry field that fits in a spreadsheet cell, in schema order.
+// Translations get a column per field and locale ("title.es", see toCsv).
+const CSV_COLUMNS = Object.keys(catalogEntrySchema.shape).filter(
+  (column) => column !== "youtubeSync" && column !== "translations"
+);
+
+// "title.es", "description.pt-BR"
+const TRANSLATION_COLUMN_PATTERN = new RegExp(`^(${LOCALIZED_FIELDS.join("|")})\\.(.+)$`);
+
+const NUMBER_COLUMNS = ["id", "year", "startTime", "duration", "width", "height"];
+const BOOLEAN_COLUMNS = ["featured"];
+// Empty cells in these columns are empty strings; elsewhere they leave the field unset
+const STRING_COLUMNS = ["description", "thumbnail"];
+
+// Spreadsheet apps run cells starting with these as formulas; such text is
+// exported with a leading ' (and the ' is removed again on import)
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA_PATTERN = /^'(?=[=+\-@\t\r])/;
+
+/**
+ * Quote a CSV cell when it holds a delimiter, quote or line break, and
+ * keep text that looks like a formula from being run
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo toCsvCell's formula escaping
+ * @param {string} text - Cell text
+ * @returns {string} Text as it was exported
+ */
+function unescapeFormula(text) {
+  return text.replace(ESCAPED_FORMULA_PATTERN, "");
+}
+
+/**
+ * Serialize videos as CSV, one row per video under a header row. Each
+ * translated locale adds a title and description column.
+ * @param {Array} videos - Catalog videos
+ * @returns {string} CSV text
+ */
+function toCsv(videos) {
+  const translated = new Set(videos.flatMap((video) => Object.keys(video.translations || {})));
+  const translationColumns = [...translated].sort().flatMap((locale) =>
+    LOCALIZED_FIELDS.map((field) => ({ field, locale }))
+  );
+
+  const lines = [
+    [
+      ...CSV_COLUMNS,
+      ...translationColumns.map(({ field, locale }) => `${field}.${locale}`),
+    ].join(","),
+  ];
+  for (const video of videos) {
+    const translations = video.translations || {};
+    lines.push(
+      [
+        ...CSV_COLUMNS.map((column) => toCsvCell(video[column])),
+        ...translationColumns.map(({ field, locale }) =>
+          toCsvCell(translations[locale]?.[field])
+        ),
+      ].join(",")
+    );
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold
+ * commas, doubled quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ""); // Spreadsheet apps add a BOM
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Convert one CSV cell to the field's type. Values that don't convert are
+ * passed through for the schema to reject.
+ * @param {string} column - Column name
+ * @param {string} value - Cell text
+ * @returns {*} Field value, or undefined to leave the field unset
+ */
+function fromCsvCell(column, value) {
+  const text = value.trim();
+  if (text === "") {
+    return STRING_COLUMNS.includes(column) ? "" : undefined;
+  }
+  if (NUMBER_COLUMNS.includes(column)) {
+    return Number.isNaN(Number(text)) ? text : Number(text);
+  }
+  if (BOOLEAN_COLUMNS.includes(column)) {
+    if (/^(true|yes|1)$/i.test(text)) return true;
+    if (/^(false|no|0)$/i.test(text)) return false;
+    return text;
+  }
+  return unescapeFormula(value);
+}
+
+/**
+ * Parse CSV text with a header row into video objects. Only the columns
+ * present in the header are set, so a sheet can carry a subset of fields.
+ * Translation columns ("title.es") are collected into `translations`,
+ * which replace the video's translations when any of them is filled in.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((name) => name.trim());
+
+  return rows.map((cells) => {
+    const entry = {};
+    const translations = {};
+    columns.forEach((column, index) => {
+      if (!column) return;
+      const cell = cells[index] ?? "";
+      const translation = column.match(TRANSLATION_COLUMN_PATTERN);
+      if (translation) {
+        const [, field, locale] = translation;
+        if (cell.trim() !== "") {
+          translations[locale] = {
+            ...translations[locale],
+            [field]: unescapeFormula(cell),
+          };
+        }
+        return;
+      }
+      const value = fromCsvCell(column, cell);
+      if (value !== undefined) entry[column] = value;
+    });
+    if (Object.keys(translations).length > 0) {
+      entry.translations = translations;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Build a zip backup: catalog.json, videos.csv, the thumbnails stored in
+ * the blob store (thumbnails/<id>.<ext>) and a manifest listing them.
+ * Thumbnails hosted elsewhere (YouTube, Vimeo) stay links.
+ * @param {Object} catalog - readVideosJson result
+ * @param {string} exportedAt - Export time (ISO 8601)
+ * @returns {Promise<Buffer>} Zip file
+ */
+async function buildExportBundle(catalog, exportedAt) {
+  const { schemaVersion, sha, videos } = catalog;
+  const zip = new JSZip();
+  const thumbnails = [];
+  const missingThumbnails = [];
+
+  for (const video of videos) {
+    let body = null;
+    try {
+      body = await readStoredFile(video.thumbnail);
+    } catch (error) {
+      // Deleted from the store, or the store is unreachable
+      logWarn("Thumbnail left out of export", {
+        id: video.id,
+        url: video.thumbnail,
+        error: error.message,
+      });
+      missingThumbnails.push({ id: video.id, url: video.thumbnail });
+      continue;
+    }
+    if (!body) continue;
+
+    const extension = path.extname(new URL(video.thumbnail, "http://localhost").pathname);
+    const file = `thumbnails/${video.id}${extension}`;
+    zip.file(file, body);
+    thumbnails.push({ id: video.id, url: video.thumbnail, file });
+  }
+
+  zip.file("catalog.json", JSON.stringify({ exportedAt, ...catalog }, null, 2));
+  zip.file("videos.csv", toCsv(videos));
+  zip.file(
+    "manifest.json",
+    JSON.stringify(
+      {
+        exportedAt,
+        schemaVersion,
+        sha,
+        videos: videos.length,
+        files: ["catalog.json", "videos.csv"],
+        thumbnails,
+        missingThumbnails,
+      },
+      null,
+      2
+    )
+  );
+
+  return await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Plan an import against the current catalog.
+ *
+ * Each row is validated against the video schema. Rows with the id of an
+ * existing video update the fields they contain; other rows are added
+ * under a new id. A new row that duplicates a video in the catalog or an
+ * earlier row, and an id used by two rows, are conflicts.
+ *
+ * @param {Array} rows - Imported videos
+ * @param {Array} videos - Catalog videos
+ * @param {Object} rowSchema - zod schema for one row (videoSchema plus an optional id)
+ * @returns {Object} { adds, updates, unchanged, conflicts, invalid, operations,
+ *   operationRows } where operations are batch operations and
+ *   operationRows their 1-based row numbers
+ */
+function planImport(rows, videos, rowSchema) {
+  const plan = {
+    adds: [],
+    updates: [],
+    unchanged: [],
+    conflicts: [],
+    invalid: [],
+    operations: [],
+    operationRows: [],
+  };
+  const byId = new Map(videos.map((video) => [video.id, video]));
+  const seenIds = new Map();
+  const added = []; // Entries added by earlier rows, for duplicate checks
+  const addedRows = new Map();
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+    const validation = rowSchema.safeParse(raw);
+    if (!validation.success) {
+      plan.invalid.push({
+        row,
+        title: raw?.title ?? null,
+        errors: validation.error.flatten().fieldErrors,
+      });
+      return;
+    }
+
+    const { id, ...entry } = validation.data;
+    const summary = { row, title: entry.title };
+
+    if (id !== undefined && seenIds.has(id)) {
+      plan.conflicts.push({ ...summary, reason: "id", existingRow: seenIds.get(id) });
+      return;
+    }
+    if (id !== undefined) seenIds.set(id, row);
+
+    const existing = id !== undefined && byId.get(id);
+    if (existing) {
+      // Only the fields in the row, not the schema's defaults for missing ones
+      const fields = Object.keys(entry).filter(
+        (field) =>
+          field in raw && JSON.stringify(entry[field]) !== JSON.stringify(existing[field])
+      );
+      if (fields.length === 0) {
+        plan.unchanged.push(id);
+        return;
+      }
+      const changes = Object.fromEntries(fields.map((field) => [field, entry[field]]));
+      plan.updates.push({ ...summary, id, fields });
+      plan.operations.push({ op: "update", id, changes });
+      plan.operationRows.push(row);
+      return;
+    }
+
+    const [inCatalog] = findDuplicates(videos, entry);
+    if (inCatalog) {
+      plan.conflicts.push({
+        ...summary,
+        reason: inCatalog.reason,
+        existing: { id: inCatalog.video.id, title: inCatalog.video.title },
+      });
+      return;
+    }
+    const [inImport] = findDuplicates(added, entry);
+    if (inImport) {
+      plan.conflicts.push({
+        ...summary,
+        reason: inImport.reason,
+        existingRow: addedRows.get(inImport.video),
+      });
+      return;
+    }
+
+    added.push(entry);
+    addedRows.set(entry, row);
+    plan.adds.push(summary);
+    plan.operations.push({ op: "create", video: entry });
+    plan.operationRows.push(row);
+  });
+
+  return plan;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  toCsv,
+  parseCsv,
+  buildExportBundle,
+  planImport,
+};
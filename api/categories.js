@@ -0,0 +1,321 @@
+// Managed category taxonomy, stored as categories.json beside videos.json
+
+const { z } = require("zod");
+const {
+  readDocument,
+  updateDocument,
+  readVideosJson,
+  writeVideosJson,
+} = require("./catalog");
+const { createStatusError } = require("./utils");
+
+// Used when there is no categories.json and no videos to derive it from
+const DEFAULT_CATEGORY = "Family";
+
+/**
+ * Find a category by name, ignoring case and surrounding spaces
+ * @param {Array} categories - [{ name }]
+ * @param {string} name - Name to look up
+ * @returns {Object|undefined} Matching category
+ */
+function findCategory(categories, name) {
+  const trimmed = String(name).trim();
+  const key = trimmed.toLowerCase();
+  return (
+    categories.find((c) => c.name === trimmed) ||
+    categories.find((c) => c.name.toLowerCase() === key)
+  );
+}
+
+/**
+ * Build the initial category list from the categories videos already use.
+ * Spellings that differ only in case collapse to the first one seen; the
+ * others show up as unmanaged and can be merged.
+ * @param {Array} videos - Catalog videos
+ * @returns {Array} [{ name }] in order of first use
+ */
+function deriveCategories(videos) {
+  const categories = [];
+  for (const video of videos) {
+    if (video.category && !findCategory(categories, video.category)) {
+      categories.push({ name: video.category });
+    }
+  }
+  if (categories.length === 0) categories.push({ name: DEFAULT_CATEGORY });
+  return categories;
+}
+
+/**
+ * Read the managed categories in display order. Until categories.json
+ * exists, the list is derived from the catalog.
+ * @returns {Promise<Array>} [{ name }]
+ */
+async function readCategories() {
+  const { data } = await readDocument("categories");
+  if (data) return data;
+
+  const { videos } = await readVideosJson();
+  return deriveCategories(videos);
+}
+
+/**
+ * Read-modify-write categories.json
+ * @param {Function} apply - categories => new categories (may throw)
+ * @param {string} message - Commit message
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Array>} Updated categories
+ */
+async function updateCategories(apply, message, actor) {
+  // Seed from the catalog as it is now, before any video is rewritten
+  const seed = await readCategories();
+  const { data } = await updateDocument(
+    "categories",
+    (stored) => ({ data: apply(stored || seed) }),
+    message,
+    { actor }
+  );
+  return data;
+}
+
+/**
+ * Move every video in one category to another, in a single commit.
+ * Nothing is committed when no video uses the category.
+ * @param {string} from - Exact category name on the videos
+ * @param {string} to - New category name
+ * @param {string} message - Commit message
+ * @param {string} actor - Username making the change
+ * @param {Object} request - Request context for the audit trail
+ * @returns {Promise<number>} Number of videos changed
+ */
+async function recategorizeVideos(from, to, message, actor, request) {
+  const { videos } = await readVideosJson();
+  if (!videos.some((v) => v.category === from)) return 0;
+
+  const { changed } = await writeVideosJson(
+    { type: "renameCategory", from, to },
+    message,
+    { actor, request }
+  );
+  return changed;
+}
+
+/**
+ * zod schema for a category field that only accepts managed categories.
+ * Matching ignores case and resolves to the managed spelling.
+ * @param {Array} categories - [{ name }]
+ * @returns {ZodType} Category schema
+ */
+function categoryField(categories) {
+  return z
+    .string()
+    .min(1, "Category is required")
+    .transform((value, ctx) => {
+      const match = findCategory(categories, value);
+      if (!match) {
+        ctx.addIssue({
+          code: "custom",
+          message: `Unknown category "${value}". Use one of: ${categories
+            .map((c) => c.name)
+            .join(", ")}`,
+        });
+        return z.NEVER;
+      }
+      return match.name;
+    });
+}
+
+/**
+ * List categories in display order with the number of videos in each.
+ * Categories used by videos but not managed are listed last with
+ * `known: false` so they can be merged.
+ * @returns {Promise<Array>} [{ name, count, known }]
+ */
+async function listCategoriesWithCounts() {
+  const [categories, { videos }] = await Promise.all([
+    readCategories(),
+    readVideosJson(),
+  ]);
+
+  const counts = new Map();
+  for (const video of videos) {
+    counts.set(video.category, (counts.get(video.category) || 0) + 1);
+  }
+
+  const result = categories.map((c) => ({
+    name: c.name,
+    count: counts.get(c.name) || 0,
+    known: true,
+  }));
+  for (const [name, count] of counts) {
+    if (name && !categories.some((c) => c.name === name)) {
+      result.push({ name, count, known: false });
+    }
+  }
+  return result;
+}
+
+/**
+ * Add a category at the end of the display order
+ * @param {string} name - Category name
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Array>} Updated categories
+ */
+async function createCategory(name, actor) {
+  return updateCategories(
+    (categories) => {
+      if (findCategory(categories, name)) {
+        throw createStatusError(409, "Category already exists");
+      }
+      return [...categories, { name }];
+    },
+    `Add category: ${name}`,
+    actor
+  );
+}
+
+/**
+ * Rename a category and rewrite every video that uses it in one commit.
+ *
+ * categories.json and the catalog are separate commits, so the new name
+ * is added before any video moves to it and the old name removed last:
+ * if a step fails, every video still has a managed category.
+ *
+ * @param {string} from - Current name (any case)
+ * @param {string} to - New name
+ * @param {string} actor - Username making the change
+ * @param {Object} request - Request context for the audit trail
+ * @returns {Promise<Object>} { categories, videosChanged }
+ */
+async function renameCategory(from, to, actor, request) {
+  const categories = await readCategories();
+  const source = findCategory(categories, from);
+  if (!source) {
+    throw createStatusError(404, "Category not found");
+  }
+  const existing = findCategory(categories, to);
+  if (existing && existing !== source) {
+    throw createStatusError(
+      409,
+      `Category "${existing.name}" already exists. Merge the categories instead.`
+    );
+  }
+
+  const message = `Rename category: ${source.name} -> ${to}`;
+  if (source.name === to) {
+    return { categories, videosChanged: 0 };
+  }
+
+  // List the new name right after the old one, where it takes its place
+  await updateCategories(
+    (current) =>
+      current.some((c) => c.name === to)
+        ? current
+        : current.flatMap((c) =>
+            c.name === source.name ? [c, { ...c, name: to }] : [c]
+          ),
+    `Add category: ${to} (renaming ${source.name})`,
+    actor
+  );
+
+  const changed = await recategorizeVideos(
+    source.name,
+    to,
+    message,
+    actor,
+    request
+  );
+
+  const updated = await updateCategories(
+    (current) => current.filter((c) => c.name !== source.name),
+    message,
+    actor
+  );
+
+  return { categories: updated, videosChanged: changed };
+}
+
+/**
+ * Move every video from one category into another and remove the first.
+ * The first is removed from categories.json only after the videos have
+ * moved, so a failed step never leaves videos in an unmanaged category.
+ * @param {string} from - Category to merge away (any case; may be unmanaged)
+ * @param {string} into - Category to keep
+ * @param {string} actor - Username making the change
+ * @param {Object} request - Request context for the audit trail
+ * @returns {Promise<Object>} { categories, videosChanged }
+ */
+async function mergeCategories(from, into, actor, request) {
+  const categories = await readCategories();
+  const target = findCategory(categories, into);
+  if (!target) {
+    throw createStatusError(404, "Target category not found");
+  }
+  // Unmanaged spellings (e.g. "family") are matched exactly so they can
+  // be merged into their managed counterpart
+  const { videos } = await readVideosJson();
+  const unmanaged = videos.some(
+    (v) => v.category === from && !categories.some((c) => c.name === from)
+  );
+  const source = unmanaged ? { name: from } : findCategory(categories, from);
+  if (!source) {
+    throw createStatusError(404, "Category not found");
+  }
+  if (source.name === target.name) {
+    throw createStatusError(400, "Cannot merge a category into itself");
+  }
+
+  const message = `Merge category: ${source.name} into ${target.name}`;
+  const changed = await recategorizeVideos(
+    source.name,
+    target.name,
+    message,
+    actor,
+    request
+  );
+
+  const updated = await updateCategories(
+    (current) => current.filter((c) => c.name !== source.name),
+    message,
+    actor
+  );
+
+  return { categories: updated, videosChanged: changed };
+}
+
+/**
+ * Set the display order of categories
+ * @param {Array<string>} names - Every category name, in the new order
+ * @param {string} actor - Username making the change
+ * @returns {Promise<Array>} Updated categories
+ */
+async function reorderCategories(names, actor) {
+  return updateCategories(
+    (categories) => {
+      const ordered = names.map((name) => findCategory(categories, name));
+      const unique = new Set(ordered);
+      if (
+        ordered.includes(undefined) ||
+        unique.size !== names.length ||
+        unique.size !== categories.length
+      ) {
+        throw createStatusError(
+          400,
+          "Order must list every category exactly once"
+        );
+      }
+      return ordered;
+    },
+    "Reorder categories",
+    actor
+  );
+}
+
+module.exports = {
+  readCategories,
+  categoryField,
+  listCategoriesWithCounts,
+  createCategory,
+  renameCategory,
+  mergeCategories,
+  reorderCategories,
+};
@@ -0,0 +1,183 @@
+// Document collections for admin data (users, tokens, ...) kept in memory or MongoDB
+
+const { getDb } = require("./mongodb");
+
+// Memory keeps data per instance and loses it on a cold start, so it is
+// only used when asked for (DATA_STORE=memory, for dev and tests)
+const DATA_STORE =
+  process.env.DATA_STORE || (process.env.MONGODB_URI ? "mongodb" : undefined);
+
+const memoryCollections = new Map();
+
+/**
+ * Check a single field value against a filter condition.
+ * Supports equality and the $in, $gt, $gte, $lt and $lte operators.
+ * @param {*} value - Document field value
+ * @param {*} condition - Filter condition
+ * @returns {boolean} True if the value satisfies the condition
+ */
+function matchesCondition(value, condition) {
+  if (
+    condition === null ||
+    typeof condition !== "object" ||
+    condition instanceof Date
+  ) {
+    return value instanceof Date && condition instanceof Date
+      ? value.getTime() === condition.getTime()
+      : value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$in":
+        return operand.includes(value);
+      case "$gt":
+        return value > operand;
+      case "$gte":
+        return value >= operand;
+      case "$lt":
+        return value < operand;
+      case "$lte":
+        return value <= operand;
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  });
+}
+
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) =>
+    matchesCondition(doc[field], condition)
+  );
+}
+
+function sortDocs(docs, sort) {
+  const [[field, direction]] = Object.entries(sort);
+  return docs.sort((a, b) => {
+    if (a[field] === b[field]) return 0;
+    return (a[field] > b[field] ? 1 : -1) * direction;
+  });
+}
+
+/**
+ * In-memory collection, per process (dev and tests)
+ * @param {string} name - Collection name
+ * @returns {Object} Collection
+ */
+function createMemoryCollection(name) {
+  if (!memoryCollections.has(name)) {
+    memoryCollections.set(name, []);
+  }
+  const docs = memoryCollections.get(name);
+
+  return {
+    async find(filter, { sort, limit } = {}) {
+      let result = docs.filter((doc) => matchesFilter(doc, filter));
+      if (sort) result = sortDocs(result, sort);
+      if (limit) result = result.slice(0, limit);
+      return result.map((doc) => ({ ...doc }));
+    },
+    async findOne(filter) {
+      const doc = docs.find((d) => matchesFilter(d, filter));
+      return doc ? { ...doc } : null;
+    },
+    async insertOne(doc) {
+      if (doc._id !== undefined && docs.some((d) => d._id === doc._id)) {
+        const error = new Error(`Duplicate key in ${name}: ${doc._id}`);
+        error.code = 11000;
+        throw error;
+      }
+      docs.push({ ...doc });
+    },
+    async updateOne(filter, changes) {
+      const doc = docs.find((d) => matchesFilter(d, filter));
+      if (!doc) return false;
+      Object.assign(doc, changes);
+      return true;
+    },
+    async deleteOne(filter) {
+      const index = docs.findIndex((d) => matchesFilter(d, filter));
+      if (index === -1) return false;
+      docs.splice(index, 1);
+      return true;
+    },
+    async deleteMany(filter) {
+      const remaining = docs.filter((d) => !matchesFilter(d, filter));
+      const removed = docs.length - remaining.length;
+      docs.splice(0, docs.length, ...remaining);
+      return removed;
+    },
+    async countDocuments(filter) {
+      return docs.filter((doc) => matchesFilter(doc, filter)).length;
+    },
+  };
+}
+
+/**
+ * MongoDB collection exposing the same subset of operations
+ * @param {string} name - Collection name
+ * @returns {Object} Collection
+ */
+function createMongoCollection(name) {
+  const collection = async () => (await getDb()).collection(name);
+
+  return {
+    async find(filter, { sort, limit } = {}) {
+      let cursor = (await collection()).find(filter);
+      if (sort) cursor = cursor.sort(sort);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.toArray();
+    },
+    async findOne(filter) {
+      return (await collection()).findOne(filter);
+    },
+    async insertOne(doc) {
+      await (await collection()).insertOne(doc);
+    },
+    async updateOne(filter, changes) {
+      const result = await (await collection()).updateOne(filter, {
+        $set: changes,
+      });
+      return result.matchedCount > 0;
+    },
+    async deleteOne(filter) {
+      const result = await (await collection()).deleteOne(filter);
+      return result.deletedCount > 0;
+    },
+    async deleteMany(filter) {
+      const result = await (await collection()).deleteMany(filter);
+      return result.deletedCount;
+    },
+    async countDocuments(filter) {
+      return (await collection()).countDocuments(filter);
+    },
+  };
+}
+
+/**
+ * Get a collection from the store selected by DATA_STORE
+ * (mongodb, the default when MONGODB_URI is set, or memory). Checked on
+ * use rather than at load, so routes that need no admin data still work.
+ * @param {string} name - Collection name
+ * @returns {Object} Collection
+ */
+function getCollection(name) {
+  if (!DATA_STORE) {
+    throw new Error(
+      "No persistent data store configured: set MONGODB_URI, or DATA_STORE=memory for dev and tests"
+    );
+  }
+  if (DATA_STORE === "memory") {
+    return createMemoryCollection(name);
+  }
+  if (DATA_STORE === "mongodb") {
+    return createMongoCollection(name);
+  }
+  throw new Error(
+    `Unknown DATA_STORE "${DATA_STORE}" (expected memory or mongodb)`
+  );
+}
+
+module.exports = {
+  getCollection,
+};
@@ -0,0 +1,70 @@
+// Scheduled publishing: flips scheduled videos whose publish time has passed
+
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole, isCronRequest } = require("../admin/auth");
+const { writeVideosJson } = require("../catalog");
+
+// GET (cron) or POST (editor) /api/cron/publish - Publish due scheduled videos
+async function handlePublish(req, res, actor) {
+  try {
+    const { published, commitSha } = await writeVideosJson(
+      { type: "publishDue", now: Date.now() },
+      (video, { published }) =>
+        published.length === 1
+          ? `Publish video: ${published[0].title}`
+          : `Publish ${published.length} scheduled videos`,
+      { actor, request: getRequestContext(req) }
+    );
+
+    logInfo("Published scheduled videos", {
+      count: published.length,
+      ids: published.map((v) => v.id),
+      commitSha,
+      actor,
+    });
+
+    return res.status(200).json({
+      data: { published: published.map(({ id, title }) => ({ id, title })), commitSha },
+      message: `Published ${published.length} videos`,
+    });
+  } catch (err) {
+    logError("Publish scheduled videos error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to publish scheduled videos" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  if (isCronRequest(req)) {
+    return handlePublish(req, res, "cron");
+  }
+  if (req.method === "GET") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "write"))) return;
+
+  // Outside the cron job, publishing early is an editor action
+  const token = await requireRole(req, res, "editor");
+  if (!token) return;
+
+  return handlePublish(req, res, token.sub);
+}
@@ -0,0 +1,58 @@
+// Webhook retries: re-sends failed deliveries whose backoff has passed
+
+const {
+  applyCors,
+  getRequestContext,
+  logInfo,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole, isCronRequest } = require("../admin/auth");
+const { retryDueDeliveries } = require("../webhooks");
+
+// GET (cron) or POST (owner) /api/cron/webhooks - Retry due deliveries
+async function handleRetry(req, res, actor) {
+  try {
+    const summary = await retryDueDeliveries();
+
+    logInfo("Retried webhook deliveries", { ...summary, actor });
+
+    return res.status(200).json({
+      data: summary,
+      message: `Retried ${summary.retried} webhook deliveries`,
+    });
+  } catch (err) {
+    logError("Webhook retry error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to retry webhook deliveries" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  if (isCronRequest(req)) {
+    return handleRetry(req, res, "cron");
+  }
+  if (req.method === "GET") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "write"))) return;
+
+  // Webhooks are managed by owners
+  const token = await requireRole(req, res, "owner");
+  if (!token) return;
+
+  return handleRetry(req, res, token.sub);
+}
@@ -0,0 +1,76 @@
+// YouTube resync: reports catalog entries that drifted from YouTube or no longer play, optionally writing updates back
+
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  extractQuery,
+  logError,
+} = require("../utils");
+const { enforceRateLimit } = require("../rateLimit");
+const { requireRole, isCronRequest } = require("../admin/auth");
+const { syncYouTubeVideos } = require("../youtubeSync");
+
+const syncSchema = z.object({
+  write: z.boolean().default(false),
+});
+
+// GET (cron) or POST (editor) /api/cron/youtube-sync - Re-fetch every YouTube entry
+async function handleSync(req, res, actor, write) {
+  try {
+    const report = await syncYouTubeVideos({
+      write,
+      actor,
+      request: getRequestContext(req),
+    });
+
+    return res.status(200).json({
+      data: report,
+      commitSha: report.commitSha,
+      message: write
+        ? `Synced ${report.updated.length} of ${report.checked} YouTube videos`
+        : `Checked ${report.checked} YouTube videos`,
+    });
+  } catch (err) {
+    logError("YouTube sync error", err, getRequestContext(req));
+    return res.status(500).json({ error: err.message || "Failed to sync YouTube videos" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  if (isCronRequest(req)) {
+    // The cron job's path sets ?write=true to apply updates
+    return handleSync(req, res, "cron", extractQuery(req).write === "true");
+  }
+  if (req.method === "GET") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "write"))) return;
+
+  const token = await requireRole(req, res, "editor");
+  if (!token) return;
+
+  const validation = syncSchema.safeParse(req.body ?? {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid input",
+      details: validation.error.flatten().fieldErrors,
+    });
+  }
+
+  return handleSync(req, res, token.sub, validation.data.write);
+}
@@ -0,0 +1,150 @@
+// Duplicate detection for catalog entries
+
+const { resolveVideoUrl } = require("./videoUrls");
+
+// Titles within this share of edits (Levenshtein) count as near-identical
+const TITLE_DISTANCE_RATIO = 0.1;
+
+/**
+ * Normalize a video URL so different spellings of the same link compare equal
+ * @param {string} url - Video URL or local path
+ * @returns {string} Comparison key
+ */
+function normalizeVideoUrl(url) {
+  if (!url) return "";
+
+  // Hosted videos compare by ID, whatever the link form or start time
+  const resolved = resolveVideoUrl(url);
+  if (resolved?.id) return `${resolved.provider}:${resolved.id}`;
+
+  try {
+    const parsed = new URL(url, "http://local");
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (key.startsWith("utm_")) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+
+    const host =
+      parsed.host === "local" ? "" : parsed.host.toLowerCase().replace(/^www\./, "");
+    const pathname = decodeURIComponent(parsed.pathname).replace(/\/+$/, "");
+    return `${host}${pathname}${parsed.search}`;
+  } catch {
+    return url.trim();
+  }
+}
+
+/**
+ * Get the keys that identify a video regardless of how its link is written:
+ * its hosted ID and its normalized URL. Two videos sharing a key are the same.
+ * @param {Object} video - Video
+ * @returns {Array<string>} Comparison keys
+ */
+function getVideoKeys(video) {
+  const keys = [];
+  if (video.youtubeId) keys.push(`youtube:${video.youtubeId}`);
+  if (video.vimeoId) keys.push(`vimeo:${video.vimeoId}`);
+  const url = normalizeVideoUrl(video.videoUrl);
+  if (url) keys.push(url);
+  return [...new Set(keys)];
+}
+
+function normalizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isSameDate(a, b) {
+  return String(a.date ?? a.year) === String(b.date ?? b.year);
+}
+
+function isNearIdenticalTitle(a, b) {
+  const titleA = normalizeTitle(a.title);
+  const titleB = normalizeTitle(b.title);
+  if (!titleA || !titleB) return false;
+  if (titleA === titleB) return true;
+
+  const allowed = Math.floor(
+    Math.max(titleA.length, titleB.length) * TITLE_DISTANCE_RATIO
+  );
+  return allowed > 0 && levenshtein(titleA, titleB) <= allowed;
+}
+
+/**
+ * Explain why two videos look like the same video
+ * @param {Object} a - Video
+ * @param {Object} b - Video
+ * @returns {string|null} "youtubeId", "vimeoId", "videoUrl", "titleAndDate" or null
+ */
+function getDuplicateReason(a, b) {
+  if (a.youtubeId && a.youtubeId === b.youtubeId) {
+    return "youtubeId";
+  }
+  if (a.vimeoId && a.vimeoId === b.vimeoId) {
+    return "vimeoId";
+  }
+  if (a.videoUrl && normalizeVideoUrl(a.videoUrl) === normalizeVideoUrl(b.videoUrl)) {
+    return "videoUrl";
+  }
+  if (isSameDate(a, b) && isNearIdenticalTitle(a, b)) {
+    return "titleAndDate";
+  }
+  return null;
+}
+
+/**
+ * Find catalog entries that duplicate a candidate video
+ * @param {Array} videos - Catalog videos
+ * @param {Object} candidate - Video about to be added
+ * @returns {Array} [{ reason, video }]
+ */
+function findDuplicates(videos, candidate) {
+  const duplicates = [];
+  for (const video of videos) {
+    const reason = getDuplicateReason(candidate, video);
+    if (reason) duplicates.push({ reason, video });
+  }
+  return duplicates;
+}
+
+/**
+ * Scan the catalog for pairs of entries that look like the same video
+ * @param {Array} videos - Catalog videos
+ * @returns {Array} [{ reason, videos: [a, b] }]
+ */
+function findDuplicatePairs(videos) {
+  const pairs = [];
+  for (let i = 0; i < videos.length; i++) {
+    for (let j = i + 1; j < videos.length; j++) {
+      const reason = getDuplicateReason(videos[i], videos[j]);
+      if (reason) pairs.push({ reason, videos: [videos[i], videos[j]] });
+    }
+  }
+  return pairs;
+}
+
+module.exports = {
+  normalizeVideoUrl,
+  getVideoKeys,
+  findDuplicates,
+  findDuplicatePairs,
+};
@@ -0,0 +1,145 @@
+// Catalog edit history and rollback built on the store's commit history
+
+const {
+  CATALOG_SCHEMA_VERSION,
+  readCatalogAt,
+  readVideosJsonAt,
+  listCatalogCommits,
+  writeVideosJson,
+} = require("./catalog");
+const { diffVideos } = require("./audit");
+const { migrateVideos } = require("./migrations");
+const { createStatusError } = require("./utils");
+
+/**
+ * Get the admin who made a commit from its Edited-by trailer
+ * @param {Object} commit - Commit from listCatalogCommits
+ * @returns {string|null} Username, or the git author for older commits
+ */
+function getCommitActor(commit) {
+  const match = commit.message.match(/^Edited-by:\s*(.+)$/m);
+  return match ? match[1].trim() : commit.author;
+}
+
+/**
+ * List recent catalog commits with a per-video diff for each
+ * @param {number} limit - Maximum number of commits
+ * @returns {Promise<Array>} [{ sha, message, author, date, changes }]
+ */
+async function getHistory(limit) {
+  const commits = await listCatalogCommits(limit);
+
+  // Each commit's parent is the next (older) commit, so fetch every
+  // version once
+  const refs = new Set();
+  for (const commit of commits) {
+    refs.add(commit.sha);
+    if (commit.parentSha) refs.add(commit.parentSha);
+  }
+  const versions = new Map();
+  await Promise.all(
+    [...refs].map(async (ref) => {
+      versions.set(ref, await readVideosJsonAt(ref));
+    })
+  );
+
+  return commits.map((commit) => ({
+    sha: commit.sha,
+    message: commit.message.split("\n")[0],
+    author: getCommitActor(commit),
+    date: commit.date,
+    changes: diffVideos(
+      commit.parentSha ? versions.get(commit.parentSha) : [],
+      versions.get(commit.sha)
+    ),
+  }));
+}
+
+/**
+ * Read the catalog at a commit for a restore, upgraded to the current
+ * schema by the migrations it predates (see migrations.js)
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Array>} Migrated videos
+ */
+async function readSnapshot(sha) {
+  const { schemaVersion, videos } = await readCatalogAt(sha);
+  if (schemaVersion > CATALOG_SCHEMA_VERSION) {
+    throw createStatusError(
+      409,
+      `That commit uses schema version ${schemaVersion}, which this deployment does not support`
+    );
+  }
+  return migrateVideos(videos, schemaVersion).videos;
+}
+
+/**
+ * Restore the whole catalog to its state at a commit. Snapshots from an
+ * older schema version are migrated before they are written.
+ * @param {string} sha - Commit SHA
+ * @param {string} actor - Username making the change
+ * @param {Object} request - Request context for the audit trail
+ * @returns {Promise<Object>} Result of writeVideosJson
+ */
+async function restoreCatalog(sha, actor, request) {
+  const videos = await readSnapshot(sha);
+  return writeVideosJson(
+    { type: "replace", videos },
+    `Restore catalog to ${sha.substring(0, 7)}`,
+    { actor, request }
+  );
+}
+
+/**
+ * Check whether a video existed at a commit, so callers can tell a restore
+ * that deletes the video apart from one that rewrites it
+ * @param {string} sha - Commit SHA
+ * @param {number} videoId - Video ID
+ * @returns {Promise<boolean>} True if the video is in that commit's catalog
+ */
+async function videoExistsAt(sha, videoId) {
+  return (await readSnapshot(sha)).some((v) => v.id === videoId);
+}
+
+/**
+ * Restore one video to its state at a commit. A video that did not exist
+ * at that commit is deleted.
+ * @param {string} sha - Commit SHA
+ * @param {number} videoId - Video ID
+ * @param {string} actor - Username making the change
+ * @param {Object} request - Request context for the audit trail
+ * @param {string} branch - Review branch to commit to (review mode)
+ * @returns {Promise<Object>} Result of writeVideosJson
+ */
+async function restoreVideo(sha, videoId, actor, request, branch) {
+  const snapshot = (await readSnapshot(sha)).find((v) => v.id === videoId);
+  const shortSha = sha.substring(0, 7);
+
+  if (!snapshot) {
+    try {
+      return await writeVideosJson(
+        { type: "delete", id: videoId },
+        (video) => `Restore video: ${video.title} (removed as of ${shortSha})`,
+        { actor, request, branch }
+      );
+    } catch (err) {
+      if (err.status === 404) {
+        throw createStatusError(404, "Video not found at that commit or now");
+      }
+      throw err;
+    }
+  }
+
+  return writeVideosJson(
+    { type: "put", id: videoId, video: snapshot },
+    (video) => `Restore video: ${video.title} (from ${shortSha})`,
+    { actor, request, branch }
+  );
+}
+
+module.exports = {
+  diffVideos,
+  getHistory,
+  restoreCatalog,
+  restoreVideo,
+  videoExistsAt,
+};
@@ -0,0 +1,124 @@
+// Locales: translated video titles and descriptions, and Accept-Language negotiation
+
+const { z } = require("zod");
+
+// Language of each entry's own title and description; other languages are
+// kept in the entry's `translations`
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || "en";
+
+// BCP 47 language tags as browsers send them: en, es, pt-BR, zh-Hant-TW
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+const LOCALIZED_FIELDS = ["title", "description"];
+
+const localeField = z
+  .string()
+  .regex(LOCALE_PATTERN, "Use a language tag such as en, es or pt-BR");
+
+// Language tags are case-insensitive ("pt-BR" and "pt-br" are the same)
+function isSameLocale(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function primaryLanguage(locale) {
+  return locale.toLowerCase().split("-")[0];
+}
+
+/**
+ * Parse an Accept-Language header
+ * @param {string|undefined} header - e.g. "es-MX,es;q=0.9,en;q=0.5"
+ * @returns {Array<string>} Language tags, most preferred first (without
+ *   "*" and tags with q=0)
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((param) => param.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return { tag: tag.trim(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => q > 0 && LOCALE_PATTERN.test(tag))
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * List the locales the catalog has text in
+ * @param {Array} videos - Catalog videos
+ * @returns {Array<string>} The default locale, then translated locales (sorted)
+ */
+function listLocales(videos) {
+  const locales = [DEFAULT_LOCALE];
+  for (const video of videos) {
+    for (const locale of Object.keys(video.translations || {})) {
+      if (!locales.some((known) => isSameLocale(known, locale))) {
+        locales.push(locale);
+      }
+    }
+  }
+  const [defaultLocale, ...translated] = locales;
+  return [defaultLocale, ...translated.sort()];
+}
+
+/**
+ * Pick the best available locale for a list of requested ones. A tag
+ * matches exactly (case-insensitive), or else by language ("es-MX" and "es").
+ * @param {Array<string>} requested - Requested tags, most preferred first
+ * @param {Array<string>} available - Available locales (from listLocales)
+ * @returns {string} Chosen locale, the default locale if none match
+ */
+function negotiateLocale(requested, available) {
+  for (const tag of requested) {
+    const match =
+      available.find((locale) => isSameLocale(locale, tag)) ||
+      available.find((locale) => primaryLanguage(locale) === primaryLanguage(tag));
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Find an entry's translation for a locale, exactly or by language
+ * @param {Object|undefined} translations - Entry translations
+ * @param {string} locale - Locale
+ * @returns {Object|undefined} { title?, description? }
+ */
+function findTranslation(translations, locale) {
+  const entries = Object.entries(translations || {});
+  const match =
+    entries.find(([key]) => isSameLocale(key, locale)) ||
+    entries.find(([key]) => primaryLanguage(key) === primaryLanguage(locale));
+  return match?.[1];
+}
+
+/**
+ * Give a video its title and description in a locale. Fields without a
+ * translation keep the default locale's text.
+ * @param {Object} video - Catalog video
+ * @param {string} locale - Locale from negotiateLocale
+ * @returns {Object} Video without `translations`
+ */
+function localizeVideo(video, locale) {
+  const { translations, ...entry } = video;
+  if (isSameLocale(locale, DEFAULT_LOCALE)) return entry;
+
+  const translation = findTranslation(translations, locale);
+  for (const field of LOCALIZED_FIELDS) {
+    if (translation?.[field]) entry[field] = translation[field];
+  }
+  return entry;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALIZED_FIELDS,
+  localeField,
+  parseAcceptLanguage,
+  listLocales,
+  negotiateLocale,
+  localizeVideo,
+};
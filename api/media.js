@@ -0,0 +1,409 @@
+// Local video inspection: container metadata (MP4/WebM) and poster frames
+
+const fs = require("fs/promises");
+const { spawn } = require("child_process");
+const { logError } = require("./utils");
+
+// Poster frames need ffmpeg; without it, only container metadata is read
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const POSTER_TIMEOUT_MS = 20000;
+
+// moov boxes larger than this are not read
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+// WebM Info and Tracks elements sit near the start of the file
+const WEBM_HEAD_BYTES = 1024 * 1024;
+
+// MP4 times count seconds from 1904-01-01, WebM dates nanoseconds from 2001-01-01
+const MP4_EPOCH_OFFSET_S = 2082844800;
+const WEBM_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+// Matroska/WebM element IDs
+const EBML = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  DATE_UTC: 0x4461,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  CLUSTER: 0x1f43b675,
+};
+
+/**
+ * Read part of an open file
+ * @param {FileHandle} handle - Open file
+ * @param {number} position - Byte offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} Bytes read (shorter at end of file)
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Parse an MP4 box header
+ * @param {Buffer} buffer - Bytes starting at the box
+ * @param {number} offset - Offset of the box in buffer
+ * @param {number} remaining - Bytes left in the parent (for size 0)
+ * @returns {Object|null} { type, headerSize, size }
+ */
+function parseBoxHeader(buffer, offset, remaining) {
+  if (offset + 8 > buffer.length) return null;
+  let size = buffer.readUInt32BE(offset);
+  const type = buffer.toString("latin1", offset + 4, offset + 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > buffer.length) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = remaining;
+  }
+  if (size < headerSize) return null;
+  return { type, headerSize, size };
+}
+
+/**
+ * Iterate the child boxes in a range of an MP4 buffer
+ * @param {Buffer} buffer - Box data
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @yields {Object} { type, start, end } of each box's contents
+ */
+function* mp4Boxes(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset < end) {
+    const header = parseBoxHeader(buffer, offset, end - offset);
+    if (!header) return;
+    yield {
+      type: header.type,
+      start: offset + header.headerSize,
+      end: Math.min(offset + header.size, end),
+    };
+    offset += header.size;
+  }
+}
+
+/**
+ * Find the moov box, which may come before or after the media data
+ * @param {FileHandle} handle - Open file
+ * @param {number} fileSize - File size in bytes
+ * @returns {Promise<Buffer|null>} moov contents
+ */
+async function readMoov(handle, fileSize) {
+  let offset = 0;
+  while (offset < fileSize) {
+    const header = parseBoxHeader(
+      await readAt(handle, offset, 16),
+      0,
+      fileSize - offset
+    );
+    if (!header) return null;
+
+    if (header.type === "moov") {
+      const length = header.size - header.headerSize;
+      if (length > MAX_MOOV_BYTES) return null;
+      return readAt(handle, offset + header.headerSize, length);
+    }
+    offset += header.size;
+  }
+  return null;
+}
+
+/**
+ * Read duration, creation time and dimensions from an MP4 moov box
+ * @param {Buffer} moov - moov contents
+ * @returns {Object} { duration?, createdAt?, width?, height? }
+ */
+function parseMp4(moov) {
+  const result = {};
+  const boxes = [...mp4Boxes(moov)];
+
+  const mvhd = boxes.find((box) => box.type === "mvhd");
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const p = mvhd.start + 4;
+    const created =
+      version === 1 ? Number(moov.readBigUInt64BE(p)) : moov.readUInt32BE(p);
+    const timescale = moov.readUInt32BE(version === 1 ? p + 16 : p + 8);
+    const duration =
+      version === 1
+        ? Number(moov.readBigUInt64BE(p + 20))
+        : moov.readUInt32BE(p + 12);
+
+    if (timescale) result.duration = duration / timescale;
+    // Encoders that don't know the time write 0
+    if (created > 0) {
+      result.createdAt = new Date((created - MP4_EPOCH_OFFSET_S) * 1000);
+    }
+  }
+
+  for (const trak of boxes.filter((box) => box.type === "trak")) {
+    const tkhd = [...mp4Boxes(moov, trak.start, trak.end)].find(
+      (box) => box.type === "tkhd"
+    );
+    if (!tkhd) continue;
+    // tkhd ends with width and height as 16.16 fixed point; audio tracks are 0x0
+    const width = moov.readUInt32BE(tkhd.end - 8) / 0x10000;
+    const height = moov.readUInt32BE(tkhd.end - 4) / 0x10000;
+    if (width && height) {
+      result.width = Math.round(width);
+      result.height = Math.round(height);
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Offset of the integer
+ * @param {boolean} isId - Keep the length marker (element IDs do)
+ * @returns {Object|null} { value, length, unknown }
+ */
+function readVint(buffer, offset, isId) {
+  const first = buffer[offset];
+  if (!first) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  const mask = 0xff >> length;
+  let value = isId ? first : first & mask;
+  let allOnes = (first & mask) === mask;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !isId && allOnes };
+}
+
+/**
+ * Iterate the EBML elements in a range of a WebM buffer
+ * @param {Buffer} buffer - File head
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @yields {Object} { id, start, end } of each element's data
+ */
+function* ebmlElements(buffer, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) return;
+
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    yield { id: id.value, start: dataStart, end: dataEnd };
+    offset = dataEnd;
+  }
+}
+
+/**
+ * Read an unsigned integer element
+ * @param {Buffer} buffer - File head
+ * @param {Object} element - { start, end }
+ * @returns {number} Value
+ */
+function readEbmlUint(buffer, element) {
+  let value = 0;
+  for (let i = element.start; i < element.end; i++) {
+    value = value * 256 + buffer[i];
+  }
+  return value;
+}
+
+/**
+ * Read a float element (4 or 8 bytes)
+ * @param {Buffer} buffer - File head
+ * @param {Object} element - { start, end }
+ * @returns {number|undefined} Value
+ */
+function readEbmlFloat(buffer, element) {
+  const length = element.end - element.start;
+  if (length === 4) return buffer.readFloatBE(element.start);
+  if (length === 8) return buffer.readDoubleBE(element.start);
+  return undefined;
+}
+
+/**
+ * Read duration, creation date and dimensions from the start of a WebM file
+ * @param {Buffer} head - Start of the file
+ * @returns {Object} { duration?, createdAt?, width?, height? }
+ */
+function parseWebm(head) {
+  const result = {};
+  const segment = [...ebmlElements(head, 0, head.length)].find(
+    (element) => element.id === EBML.SEGMENT
+  );
+  if (!segment) return result;
+
+  for (const element of ebmlElements(head, segment.start, segment.end)) {
+    if (element.id === EBML.CLUSTER) break;
+
+    if (element.id === EBML.INFO) {
+      let scale = 1000000;
+      let duration;
+      for (const child of ebmlElements(head, element.start, element.end)) {
+        if (child.id === EBML.TIMECODE_SCALE) {
+          scale = readEbmlUint(head, child);
+        } else if (child.id === EBML.DURATION) {
+          duration = readEbmlFloat(head, child);
+        } else if (
+          child.id === EBML.DATE_UTC &&
+          child.end - child.start === 8
+        ) {
+          const ns = head.readBigInt64BE(child.start);
+          result.createdAt = new Date(WEBM_EPOCH_MS + Number(ns / 1000000n));
+        }
+      }
+      if (duration !== undefined) {
+        result.duration = (duration * scale) / 1e9;
+      }
+    }
+
+    if (element.id === EBML.TRACKS && result.width === undefined) {
+      for (const entry of ebmlElements(head, element.start, element.end)) {
+        if (entry.id !== EBML.TRACK_ENTRY) continue;
+        const video = [...ebmlElements(head, entry.start, entry.end)].find(
+          (child) => child.id === EBML.VIDEO
+        );
+        if (!video) continue;
+        for (const child of ebmlElements(head, video.start, video.end)) {
+          if (child.id === EBML.PIXEL_WIDTH) {
+            result.width = readEbmlUint(head, child);
+          } else if (child.id === EBML.PIXEL_HEIGHT) {
+            result.height = readEbmlUint(head, child);
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read container metadata from an MP4/MOV or WebM file. Values that are
+ * missing or can't be parsed are left out.
+ * @param {string} filePath - Video file
+ * @returns {Promise<Object>} { duration?, width?, height?, createdAt? }
+ */
+async function probeVideo(filePath) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = await readAt(handle, 0, Math.min(size, WEBM_HEAD_BYTES));
+
+    let result = {};
+    if (head.toString("latin1", 4, 8) === "ftyp") {
+      const moov = await readMoov(handle, size);
+      if (moov) result = parseMp4(moov);
+    } else if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) {
+      result = parseWebm(head);
+    }
+
+    if (result.createdAt && isNaN(result.createdAt.getTime())) {
+      delete result.createdAt;
+    }
+    return result;
+  } catch (error) {
+    // Truncated or malformed headers
+    if (error instanceof RangeError) return {};
+    throw error;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Grab one frame as a JPEG using ffmpeg
+ * @param {string} filePath - Video file
+ * @param {number} seconds - Time of the frame
+ * @returns {Promise<Buffer|null>} JPEG data, or null if ffmpeg is
+ *   unavailable or fails
+ */
+function extractPosterFrame(filePath, seconds) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let stderr = "";
+    let settled = false;
+
+    const finish = (frame, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        logError("Poster frame extraction failed", error, { filePath });
+      }
+      resolve(frame);
+    };
+
+    const child = spawn(
+      FFMPEG_PATH,
+      [
+        "-hide_banner",
+        "-loglevel", "error",
+        "-ss", seconds.toFixed(2),
+        "-i", filePath,
+        "-frames:v", "1",
+        "-f", "image2pipe",
+        "-vcodec", "mjpeg",
+        "pipe:1",
+      ],
+      { stdio: ["ignore", "pipe", "pipe"] }
+    );
+
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      finish(null, new Error("ffmpeg timed out"));
+    }, POSTER_TIMEOUT_MS);
+
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) => finish(null, error));
+    child.on("close", (code) => {
+      if (code === 0 && chunks.length > 0) {
+        finish(Buffer.concat(chunks));
+      } else {
+        finish(null, new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Inspect an uploaded video: container metadata plus a poster frame taken
+ * a little way in (10% of the duration, at most 5 seconds)
+ * @param {string} filePath - Video file
+ * @param {Object} options - { poster } set false to skip the poster frame
+ * @returns {Promise<Object>} { duration?, width?, height?, createdAt?, poster? }
+ */
+async function inspectVideo(filePath, options = {}) {
+  const details = await probeVideo(filePath);
+
+  if (options.poster !== false) {
+    const at = details.duration ? Math.min(details.duration * 0.1, 5) : 0;
+    const poster = await extractPosterFrame(filePath, at);
+    if (poster) details.poster = poster;
+  }
+
+  return details;
+}
+
+module.exports = {
+  probeVideo,
+  extractPosterFrame,
+  inspectVideo,
+};
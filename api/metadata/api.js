@@ -0,0 +1,181 @@
+// YouTube metadata provider backed by the YouTube Data API v3
+
+const axios = require("axios");
+
+const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
+const YOUTUBE_API_BASE = "https://www.googleapis.com/youtube/v3";
+
+// videos.list and playlistItems.list accept at most 50 IDs/results per call
+const MAX_IDS_PER_REQUEST = 50;
+
+// snippet for metadata; status and contentDetails tell whether it can be embedded
+const VIDEO_PARTS = "snippet,status,contentDetails";
+
+if (!YOUTUBE_API_KEY) {
+  console.warn("YOUTUBE_API_KEY not set. YouTube metadata extraction will fail.");
+}
+
+/**
+ * Convert a videos.list item into our metadata shape
+ * @param {Object} item - YouTube API video resource
+ * @returns {Object} Video metadata
+ */
+function toMetadata(item) {
+  const snippet = item.snippet;
+
+  // Extract published date
+  const publishedAt = new Date(snippet.publishedAt);
+  const year = publishedAt.getFullYear();
+  const date = publishedAt.toISOString().split("T")[0].substring(0, 4); // YYYY format
+
+  // Get thumbnail (prefer maxres, fallback to high)
+  const thumbnail =
+    snippet.thumbnails.maxres?.url ||
+    snippet.thumbnails.high?.url ||
+    snippet.thumbnails.medium?.url ||
+    snippet.thumbnails.default?.url ||
+    "";
+
+  return {
+    title: snippet.title,
+    description: snippet.description || "",
+    thumbnail: thumbnail,
+    date: date,
+    year: year,
+    publishedAt: snippet.publishedAt,
+    channelTitle: snippet.channelTitle,
+    privacyStatus: item.status?.privacyStatus,
+    uploadStatus: item.status?.uploadStatus,
+    embeddable: item.status?.embeddable !== false,
+    // Age-restricted videos don't play in embedded players
+    ageRestricted:
+      item.contentDetails?.contentRating?.ytRating === "ytAgeRestricted",
+  };
+}
+
+/**
+ * Turn an axios failure into an error with a readable message
+ * @param {Error} error - Error thrown while calling the API
+ * @returns {Error} Error to rethrow
+ */
+function toApiError(error) {
+  if (error.response) {
+    return new Error(
+      `YouTube API error: ${error.response.status} - ${error.response.data?.error?.message || error.message}`
+    );
+  }
+  return new Error(`Failed to fetch YouTube metadata: ${error.message}`);
+}
+
+/**
+ * Fetch video metadata from YouTube Data API
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object>} Video metadata
+ */
+async function fetchVideo(videoId) {
+  if (!YOUTUBE_API_KEY) {
+    throw new Error("YOUTUBE_API_KEY is not configured");
+  }
+
+  try {
+    const response = await axios.get(`${YOUTUBE_API_BASE}/videos`, {
+      params: {
+        part: VIDEO_PARTS,
+        id: videoId,
+        key: YOUTUBE_API_KEY,
+      },
+    });
+
+    if (!response.data.items || response.data.items.length === 0) {
+      throw new Error(`Video not found: ${videoId}`);
+    }
+
+    return toMetadata(response.data.items[0]);
+  } catch (error) {
+    throw toApiError(error);
+  }
+}
+
+/**
+ * Fetch metadata for many videos, 50 IDs per videos.list call
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Map>} Video ID -> metadata (missing for unavailable videos)
+ */
+async function fetchVideos(videoIds) {
+  if (!YOUTUBE_API_KEY) {
+    throw new Error("YOUTUBE_API_KEY is not configured");
+  }
+
+  const metadataById = new Map();
+  const uniqueIds = [...new Set(videoIds)];
+
+  for (let i = 0; i < uniqueIds.length; i += MAX_IDS_PER_REQUEST) {
+    const batch = uniqueIds.slice(i, i + MAX_IDS_PER_REQUEST);
+    try {
+      const response = await axios.get(`${YOUTUBE_API_BASE}/videos`, {
+        params: {
+          part: VIDEO_PARTS,
+          id: batch.join(","),
+          key: YOUTUBE_API_KEY,
+          maxResults: MAX_IDS_PER_REQUEST,
+        },
+      });
+
+      for (const item of response.data.items || []) {
+        metadataById.set(item.id, toMetadata(item));
+      }
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  return metadataById;
+}
+
+/**
+ * List the video IDs in a playlist
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {number} limit - Maximum number of IDs to return
+ * @returns {Promise<Array<string>>} Video IDs in playlist order
+ */
+async function fetchPlaylistVideoIds(playlistId, limit) {
+  if (!YOUTUBE_API_KEY) {
+    throw new Error("YOUTUBE_API_KEY is not configured");
+  }
+
+  const videoIds = [];
+  let pageToken;
+
+  do {
+    try {
+      const response = await axios.get(`${YOUTUBE_API_BASE}/playlistItems`, {
+        params: {
+          part: "contentDetails",
+          playlistId,
+          maxResults: MAX_IDS_PER_REQUEST,
+          pageToken,
+          key: YOUTUBE_API_KEY,
+        },
+      });
+
+      for (const item of response.data.items || []) {
+        videoIds.push(item.contentDetails.videoId);
+      }
+      pageToken = response.data.nextPageToken;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`YouTube API error: Playlist not found: ${playlistId}`);
+      }
+      throw toApiError(error);
+    }
+  } while (pageToken && videoIds.length < limit);
+
+  return videoIds.slice(0, limit);
+}
+
+module.exports = {
+  name: "api",
+  fetchVideo,
+  fetchVideos,
+  fetchPlaylistVideoIds,
+};
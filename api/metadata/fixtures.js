@@ -0,0 +1,102 @@
+// YouTube metadata provider backed by a local fixtures file (offline dev and tests)
+
+const fs = require("fs");
+const path = require("path");
+
+// { "videos": { "<videoId>": { title, description, thumbnail, publishedAt, ... } },
+//   "playlists": { "<playlistId>": ["<videoId>", ...] } }
+const YOUTUBE_FIXTURES_PATH = path.resolve(
+  process.env.YOUTUBE_FIXTURES_PATH || "data/youtube-fixtures.json"
+);
+
+/**
+ * Read the fixtures file on every call, so edits apply without a restart
+ * @returns {Object} { videos, playlists }
+ */
+function readFixtures() {
+  let fixtures = {};
+  try {
+    fixtures = JSON.parse(fs.readFileSync(YOUTUBE_FIXTURES_PATH, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Failed to read YouTube fixtures: ${error.message}`);
+    }
+  }
+  return { videos: fixtures.videos || {}, playlists: fixtures.playlists || {} };
+}
+
+/**
+ * Convert a fixture into our metadata shape, filling in what it leaves out
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} fixture - Fixture entry
+ * @returns {Object} Video metadata
+ */
+function toMetadata(videoId, fixture) {
+  const publishedAt = fixture.publishedAt || "2000-01-01T00:00:00Z";
+  const year = new Date(publishedAt).getUTCFullYear();
+
+  return {
+    title: fixture.title || `Video ${videoId}`,
+    description: fixture.description || "",
+    thumbnail:
+      fixture.thumbnail || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+    date: String(year),
+    year: year,
+    publishedAt: publishedAt,
+    channelTitle: fixture.channelTitle || "Fixtures",
+    privacyStatus: fixture.privacyStatus || "public",
+    uploadStatus: fixture.uploadStatus || "processed",
+    embeddable: fixture.embeddable !== false,
+    ageRestricted: fixture.ageRestricted === true,
+  };
+}
+
+/**
+ * Look up a video's fixture
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object>} Video metadata
+ */
+async function fetchVideo(videoId) {
+  const fixture = readFixtures().videos[videoId];
+  if (!fixture) {
+    throw new Error(`YouTube fixtures: Video not found: ${videoId}`);
+  }
+  return toMetadata(videoId, fixture);
+}
+
+/**
+ * Look up many videos' fixtures
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Map>} Video ID -> metadata (missing without a fixture)
+ */
+async function fetchVideos(videoIds) {
+  const { videos } = readFixtures();
+  const metadataById = new Map();
+  for (const videoId of videoIds) {
+    if (videos[videoId]) {
+      metadataById.set(videoId, toMetadata(videoId, videos[videoId]));
+    }
+  }
+  return metadataById;
+}
+
+/**
+ * Look up a playlist's fixture
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {number} limit - Maximum number of IDs to return
+ * @returns {Promise<Array<string>>} Video IDs in playlist order
+ */
+async function fetchPlaylistVideoIds(playlistId, limit) {
+  const videoIds = readFixtures().playlists[playlistId];
+  if (!videoIds) {
+    throw new Error(`YouTube fixtures: Playlist not found: ${playlistId}`);
+  }
+  return videoIds.slice(0, limit);
+}
+
+module.exports = {
+  name: "fixtures",
+  fetchVideo,
+  fetchVideos,
+  fetchPlaylistVideoIds,
+};
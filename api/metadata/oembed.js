@@ -0,0 +1,108 @@
+// YouTube metadata provider backed by the keyless oEmbed endpoint (title and thumbnail only)
+
+const axios = require("axios");
+
+const OEMBED_URL = "https://www.youtube.com/oembed";
+
+// oEmbed answers one video per call; this many calls run at once
+const CONCURRENT_REQUESTS = 5;
+
+/**
+ * Convert an oEmbed response into our metadata shape. oEmbed has no
+ * description, publish date or status, so those stay undefined.
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} data - oEmbed response
+ * @returns {Object} Video metadata
+ */
+function toMetadata(videoId, data) {
+  return {
+    title: data.title,
+    description: undefined,
+    // oEmbed returns the hqdefault frame; use the same URL the API would
+    thumbnail: data.thumbnail_url || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+    date: undefined,
+    year: undefined,
+    publishedAt: undefined,
+    channelTitle: data.author_name,
+    privacyStatus: undefined,
+    uploadStatus: undefined,
+    embeddable: true, // Videos with embedding disabled get 401, not a response
+    ageRestricted: false,
+  };
+}
+
+/**
+ * Request a video's oEmbed data
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object|null>} Metadata, or null if YouTube won't share
+ *   it (deleted, private or embedding disabled)
+ */
+async function requestOEmbed(videoId) {
+  try {
+    const response = await axios.get(OEMBED_URL, {
+      params: {
+        url: `https://www.youtube.com/watch?v=${videoId}`,
+        format: "json",
+      },
+    });
+    return toMetadata(videoId, response.data);
+  } catch (error) {
+    if ([400, 401, 403, 404].includes(error.response?.status)) {
+      return null;
+    }
+    if (error.response) {
+      throw new Error(`YouTube oEmbed error: ${error.response.status}`);
+    }
+    throw new Error(`Failed to fetch YouTube metadata: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch video metadata from oEmbed
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object>} Video metadata
+ */
+async function fetchVideo(videoId) {
+  const metadata = await requestOEmbed(videoId);
+  if (!metadata) {
+    throw new Error(
+      `YouTube oEmbed error: Video not found, private or not embeddable: ${videoId}`
+    );
+  }
+  return metadata;
+}
+
+/**
+ * Fetch metadata for many videos, a few oEmbed calls at a time
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Map>} Video ID -> metadata (missing for unavailable videos)
+ */
+async function fetchVideos(videoIds) {
+  const metadataById = new Map();
+
+  for (let i = 0; i < videoIds.length; i += CONCURRENT_REQUESTS) {
+    const batch = videoIds.slice(i, i + CONCURRENT_REQUESTS);
+    const results = await Promise.all(batch.map(requestOEmbed));
+    batch.forEach((videoId, index) => {
+      if (results[index]) metadataById.set(videoId, results[index]);
+    });
+  }
+
+  return metadataById;
+}
+
+/**
+ * oEmbed can't list playlists
+ */
+async function fetchPlaylistVideoIds() {
+  throw new Error(
+    "YouTube playlists need the api metadata provider (set YOUTUBE_API_KEY)"
+  );
+}
+
+module.exports = {
+  name: "oembed",
+  fetchVideo,
+  fetchVideos,
+  fetchPlaylistVideoIds,
+};
@@ -0,0 +1,95 @@
+// Catalog schema migrations, applied in order to bring catalog.json up to CATALOG_SCHEMA_VERSION
+
+const { CATALOG_SCHEMA_VERSION } = require("./catalogSchema");
+
+/**
+ * Normalize a date to YYYY, YYYY-MM or YYYY-MM-DD. Values that can't be
+ * read are left alone for the validator to report.
+ * @param {*} value - Stored date
+ * @returns {*} Normalized date
+ */
+function normalizeDate(value) {
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return String(value);
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(trimmed)) {
+    return trimmed;
+  }
+  // ISO timestamps keep their calendar date
+  const isoDate = trimmed.match(/^(\d{4}-\d{2}-\d{2})T/);
+  if (isoDate) {
+    return isoDate[1];
+  }
+  const parsed = Date.parse(trimmed);
+  if (!Number.isNaN(parsed)) {
+    return new Date(parsed).toISOString().split("T")[0];
+  }
+  return value;
+}
+
+// Each migration upgrades the videos of a catalog at `version - 1` to
+// `version`. Migrations must be pure and safe to re-run on upgraded entries.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description:
+      "Wrap the catalog in a versioned envelope, normalize dates to YYYY[-MM[-DD]], store years as numbers and fill in missing descriptions and thumbnails",
+    up(videos) {
+      return videos.map((video) => {
+        const next = { ...video };
+        if (next.date !== undefined) {
+          next.date = normalizeDate(next.date);
+        }
+        if (typeof next.year === "string" && /^\d{4}$/.test(next.year.trim())) {
+          next.year = Number(next.year);
+        }
+        if (next.description === undefined) next.description = "";
+        if (next.thumbnail === undefined) next.thumbnail = "";
+        return next;
+      });
+    },
+  },
+];
+
+/**
+ * List the migrations a catalog at the given version still needs
+ * @param {number} schemaVersion - Current catalog version
+ * @returns {Array} [{ version, description }]
+ */
+function getPendingMigrations(schemaVersion) {
+  return MIGRATIONS.filter((m) => m.version > schemaVersion).map(
+    ({ version, description }) => ({ version, description })
+  );
+}
+
+/**
+ * Run every pending migration over a catalog's videos
+ * @param {Array} videos - Catalog videos (not mutated)
+ * @param {number} schemaVersion - Version the videos are at
+ * @returns {{videos: Array, fromVersion: number, schemaVersion: number, migrations: Array}}
+ *   Upgraded videos, the versions before and after, and the migrations applied
+ */
+function migrateVideos(videos, schemaVersion) {
+  let next = videos;
+  for (const migration of MIGRATIONS) {
+    if (migration.version > schemaVersion) {
+      next = migration.up(next);
+    }
+  }
+  return {
+    videos: next,
+    fromVersion: schemaVersion,
+    schemaVersion: Math.max(schemaVersion, CATALOG_SCHEMA_VERSION),
+    migrations: getPendingMigrations(schemaVersion),
+  };
+}
+
+module.exports = {
+  getPendingMigrations,
+  migrateVideos,
+};
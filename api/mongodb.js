@@ -0,0 +1,33 @@
+// MongoDB client shared by the MongoDB-backed stores
+
+const { MongoClient } = require("mongodb");
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const MONGODB_DB = process.env.MONGODB_DB || "gaby-website-admin";
+
+// Reused across invocations of a warm serverless instance
+let clientPromise = null;
+
+/**
+ * Get the MongoDB database, connecting on first use
+ * @returns {Promise<Db>} MongoDB database handle
+ */
+async function getDb() {
+  if (!MONGODB_URI) {
+    throw new Error("MONGODB_URI must be defined");
+  }
+
+  if (!clientPromise) {
+    clientPromise = new MongoClient(MONGODB_URI).connect().catch((error) => {
+      clientPromise = null;
+      throw error;
+    });
+  }
+
+  const client = await clientPromise;
+  return client.db(MONGODB_DB);
+}
+
+module.exports = {
+  getDb,
+};
@@ -0,0 +1,40 @@
+// In-process cache of the published catalog served by the public read API
+
+// How long a cached catalog is served before the store is read again.
+// Writes in this instance clear it at once; other instances catch up
+// within this time.
+const PUBLIC_CACHE_TTL_MS =
+  Number(process.env.PUBLIC_CACHE_TTL_SECONDS || 60) * 1000;
+
+let cached = null;
+
+/**
+ * Get the cached published videos, if they are still fresh
+ * @returns {Array|null} Published videos, or null on a miss
+ */
+function getCachedPublicVideos() {
+  if (!cached || cached.expiresAt <= Date.now()) return null;
+  return cached.videos;
+}
+
+/**
+ * Cache the published videos for PUBLIC_CACHE_TTL_SECONDS
+ * @param {Array} videos - Published videos
+ */
+function cachePublicVideos(videos) {
+  cached = { videos, expiresAt: Date.now() + PUBLIC_CACHE_TTL_MS };
+}
+
+/**
+ * Drop the cached videos after the catalog changed
+ */
+function invalidatePublicVideos() {
+  cached = null;
+}
+
+module.exports = {
+  PUBLIC_CACHE_TTL_MS,
+  getCachedPublicVideos,
+  cachePublicVideos,
+  invalidatePublicVideos,
+};
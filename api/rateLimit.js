@@ -0,0 +1,251 @@
+// Rate limiting and login lockout, shared across instances through Redis when configured
+
+const axios = require("axios");
+const { logInfo, logError } = require("./utils");
+
+// Requests allowed per window, by route policy
+const RATE_LIMIT_POLICIES = {
+  login: { limit: 10, windowMs: 60 * 1000 },
+  refresh: { limit: 30, windowMs: 60 * 1000 },
+  read: { limit: 120, windowMs: 60 * 1000 },
+  write: { limit: 30, windowMs: 60 * 1000 },
+  upload: { limit: 10, windowMs: 10 * 60 * 1000 },
+  default: { limit: 60, windowMs: 60 * 1000 },
+};
+
+// Progressive login lockout: after `threshold` failures within the window,
+// each further failure locks the IP or account for twice as long
+const LOGIN_LOCKOUT = {
+  failureWindowMs: 60 * 60 * 1000,
+  baseLockMs: 60 * 1000,
+  maxLockMs: 60 * 60 * 1000,
+  threshold: { account: 5, ip: 20 },
+};
+
+// Upstash / Vercel KV REST API (Redis commands over HTTPS)
+const REDIS_REST_URL =
+  process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
+const REDIS_REST_TOKEN =
+  process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+const REDIS_TIMEOUT_MS = 2000;
+
+// Prune expired in-memory entries once the map grows past this
+const MEMORY_PRUNE_SIZE = 10000;
+
+/**
+ * In-memory limiter store, per process (dev, tests, and the fallback when
+ * Redis is unavailable)
+ * @returns {Object} Limiter store
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const prune = () => {
+    if (entries.size < MEMORY_PRUNE_SIZE) return;
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    name: "memory",
+    async increment(key, windowMs) {
+      prune();
+      const entry = get(key);
+      if (!entry) {
+        entries.set(key, { count: 1, expiresAt: Date.now() + windowMs });
+        return { count: 1, resetMs: windowMs };
+      }
+      entry.count += 1;
+      return { count: entry.count, resetMs: entry.expiresAt - Date.now() };
+    },
+    async setExpiring(key, ttlMs) {
+      prune();
+      entries.set(key, { count: 1, expiresAt: Date.now() + ttlMs });
+    },
+    async ttl(key) {
+      const entry = get(key);
+      return entry ? entry.expiresAt - Date.now() : 0;
+    },
+    async del(...keys) {
+      for (const key of keys) entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Redis limiter store using the Upstash REST protocol
+ * @returns {Object} Limiter store
+ */
+function createRedisStore() {
+  const pipeline = async (commands) => {
+    const { data } = await axios.post(`${REDIS_REST_URL}/pipeline`, commands, {
+      headers: { Authorization: `Bearer ${REDIS_REST_TOKEN}` },
+      timeout: REDIS_TIMEOUT_MS,
+    });
+    const failed = data.find((reply) => reply.error);
+    if (failed) {
+      throw new Error(`Redis error: ${failed.error}`);
+    }
+    return data.map((reply) => reply.result);
+  };
+
+  return {
+    name: "redis",
+    async increment(key, windowMs) {
+      const [count, , ttl] = await pipeline([
+        ["INCR", key],
+        ["PEXPIRE", key, windowMs, "NX"],
+        ["PTTL", key],
+      ]);
+      return { count, resetMs: ttl > 0 ? ttl : windowMs };
+    },
+    async setExpiring(key, ttlMs) {
+      await pipeline([["SET", key, "1", "PX", ttlMs]]);
+    },
+    async ttl(key) {
+      const [ttl] = await pipeline([["PTTL", key]]);
+      return ttl > 0 ? ttl : 0;
+    },
+    async del(...keys) {
+      await pipeline([["DEL", ...keys]]);
+    },
+  };
+}
+
+const memoryStore = createMemoryStore();
+const sharedStore = REDIS_REST_URL && REDIS_REST_TOKEN ? createRedisStore() : null;
+
+/**
+ * Run a store call against Redis, falling back to this process's memory
+ * when Redis is not configured or fails
+ * @param {Function} call - store => Promise
+ * @returns {Promise<*>} Result of the call
+ */
+async function withStore(call) {
+  if (sharedStore) {
+    try {
+      return await call(sharedStore);
+    } catch (error) {
+      logError("Rate limit store unavailable, using memory", error);
+    }
+  }
+  return call(memoryStore);
+}
+
+/**
+ * Count a request against a route policy and set the RateLimit-* headers.
+ * Sends 429 with Retry-After when the limit is exceeded.
+ * @param {Object} meta - Request context from getRequestContext
+ * @param {Object} res - Response object
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function enforceRateLimit(meta, res, policyName = "default") {
+  const policy = RATE_LIMIT_POLICIES[policyName] || RATE_LIMIT_POLICIES.default;
+  const ip = meta.ip || "unknown";
+
+  const { count, resetMs } = await withStore((store) =>
+    store.increment(`ratelimit:${policyName}:${ip}`, policy.windowMs)
+  );
+  const resetSeconds = Math.ceil(resetMs / 1000);
+
+  res.setHeader("RateLimit-Policy", `${policy.limit};w=${policy.windowMs / 1000}`);
+  res.setHeader("RateLimit-Limit", String(policy.limit));
+  res.setHeader("RateLimit-Remaining", String(Math.max(policy.limit - count, 0)));
+  res.setHeader("RateLimit-Reset", String(resetSeconds));
+
+  if (count > policy.limit) {
+    logInfo("Rate limit hit", { ip, policy: policyName });
+    res.setHeader("Retry-After", String(resetSeconds));
+    res.status(429).json({ error: "Too many requests" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Lockout subjects for a login attempt
+ * @param {string} ip - Client IP
+ * @param {string} username - Username tried (normalized)
+ * @returns {Array} [{ kind, id }]
+ */
+function getLoginSubjects(ip, username) {
+  return [
+    { kind: "ip", id: ip || "unknown" },
+    { kind: "account", id: username },
+  ];
+}
+
+/**
+ * Check whether logins from this IP or for this account are locked out
+ * @param {string} ip - Client IP
+ * @param {string} username - Username tried (normalized)
+ * @returns {Promise<number>} Milliseconds until the lockout ends (0 if none)
+ */
+async function getLoginLockout(ip, username) {
+  const remaining = await Promise.all(
+    getLoginSubjects(ip, username).map(({ kind, id }) =>
+      withStore((store) => store.ttl(`login:lock:${kind}:${id}`))
+    )
+  );
+  return Math.max(...remaining);
+}
+
+/**
+ * Count a failed login for the IP and the account, locking either out once
+ * it passes its threshold
+ * @param {string} ip - Client IP
+ * @param {string} username - Username tried (normalized)
+ * @returns {Promise<number>} Milliseconds of lockout now in effect (0 if none)
+ */
+async function recordLoginFailure(ip, username) {
+  let lockedMs = 0;
+
+  for (const { kind, id } of getLoginSubjects(ip, username)) {
+    const { count } = await withStore((store) =>
+      store.increment(`login:fail:${kind}:${id}`, LOGIN_LOCKOUT.failureWindowMs)
+    );
+    const over = count - LOGIN_LOCKOUT.threshold[kind];
+    if (over < 0) continue;
+
+    const lockMs = Math.min(
+      LOGIN_LOCKOUT.baseLockMs * 2 ** over,
+      LOGIN_LOCKOUT.maxLockMs
+    );
+    await withStore((store) => store.setExpiring(`login:lock:${kind}:${id}`, lockMs));
+    logInfo("Login locked out", { kind, id, failures: count, lockMs });
+    lockedMs = Math.max(lockedMs, lockMs);
+  }
+
+  return lockedMs;
+}
+
+/**
+ * Reset an account's failed login count after a successful login
+ * @param {string} username - Username (normalized)
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(username) {
+  await withStore((store) =>
+    store.del(`login:fail:account:${username}`, `login:lock:account:${username}`)
+  );
+}
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  enforceRateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+};
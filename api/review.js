@@ -0,0 +1,354 @@
+// Review mode: editors' catalog changes go to a branch per session and a pull request an owner approves or rejects
+
+const { config, getOctokit } = require("./github");
+const {
+  getCatalogStore,
+  readVideosJsonAt,
+  syncPublicVideos,
+} = require("./catalog");
+const { diffVideos, recordAudit, recordCatalogChanges } = require("./audit");
+const { hasRole } = require("./users");
+const { invalidatePublicVideos } = require("./publicCache");
+const { notifyCatalogChange } = require("./webhooks");
+const { createStatusError, logInfo, logError } = require("./utils");
+
+// REVIEW_MODE=pr sends editors' video changes through pull requests
+const REVIEW_MODE = process.env.REVIEW_MODE === "pr";
+
+const BRANCH_PREFIX = "review/";
+
+// Largest number of open change sets listed
+const MAX_CHANGE_SETS = 100;
+
+/**
+ * Get the branch an editor's changes go to in review mode, creating it
+ * from the default branch on the session's first change.
+ * @param {Object} token - Decoded access token ({ sub, role, sid })
+ * @returns {Promise<string|undefined>} Branch name, or undefined when the
+ *   change should be committed directly (review mode off, or an owner)
+ */
+async function getReviewBranch(token) {
+  if (!REVIEW_MODE || hasRole(token.role, "owner")) {
+    return undefined;
+  }
+  if (getCatalogStore().name !== "github") {
+    throw createStatusError(
+      501,
+      "Review mode needs the github catalog store"
+    );
+  }
+
+  const session = (token.sid || token.jti || "session").substring(0, 8);
+  const branch = `${BRANCH_PREFIX}${token.sub}/${session}`;
+  const octokit = getOctokit();
+
+  try {
+    await octokit.git.getRef({
+      owner: config.owner,
+      repo: config.repo,
+      ref: `heads/${branch}`,
+    });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+
+    const { data: base } = await octokit.git.getRef({
+      owner: config.owner,
+      repo: config.repo,
+      ref: `heads/${config.branch}`,
+    });
+    try {
+      await octokit.git.createRef({
+        owner: config.owner,
+        repo: config.repo,
+        ref: `refs/heads/${branch}`,
+        sha: base.object.sha,
+      });
+      logInfo("Created review branch", { branch, actor: token.sub });
+    } catch (createError) {
+      // 422: a concurrent request from the same session created it first
+      if (createError.status !== 422) throw createError;
+    }
+  }
+
+  return branch;
+}
+
+/**
+ * Summarize a pull request as a change set
+ * @param {Object} pull - Pull request from the GitHub API
+ * @returns {Object} { number, title, author, branch, url, headSha, createdAt, updatedAt }
+ */
+function toChangeSet(pull) {
+  const requestedBy = (pull.body || "").match(/^Requested-by:\s*(.+)$/m);
+  return {
+    number: pull.number,
+    title: pull.title,
+    author: requestedBy
+      ? requestedBy[1].trim()
+      : pull.head.ref.substring(BRANCH_PREFIX.length).split("/")[0],
+    branch: pull.head.ref,
+    url: pull.html_url,
+    headSha: pull.head.sha,
+    createdAt: pull.created_at,
+    updatedAt: pull.updated_at,
+  };
+}
+
+/**
+ * Open the pull request for a review branch, or return the one already open
+ * @param {string} branch - Review branch
+ * @param {string} actor - Username whose changes these are
+ * @returns {Promise<Object>} Change set
+ */
+async function openChangeSet(branch, actor) {
+  const octokit = getOctokit();
+  const { data: open } = await octokit.pulls.list({
+    owner: config.owner,
+    repo: config.repo,
+    state: "open",
+    head: `${config.owner}:${branch}`,
+    base: config.branch,
+  });
+  if (open.length > 0) {
+    return toChangeSet(open[0]);
+  }
+
+  const { data: pull } = await octokit.pulls.create({
+    owner: config.owner,
+    repo: config.repo,
+    head: branch,
+    base: config.branch,
+    title: `Catalog changes by ${actor}`,
+    body: `Video changes made in the admin by ${actor}, waiting for an owner to approve or reject them.\n\nRequested-by: ${actor}`,
+  });
+  logInfo("Opened change set", { number: pull.number, branch, actor });
+  return toChangeSet(pull);
+}
+
+/**
+ * List change sets waiting for review, oldest first
+ * @returns {Promise<Array>} Change sets
+ */
+async function listChangeSets() {
+  const { data } = await getOctokit().pulls.list({
+    owner: config.owner,
+    repo: config.repo,
+    state: "open",
+    base: config.branch,
+    sort: "created",
+    direction: "asc",
+    per_page: MAX_CHANGE_SETS,
+  });
+  return data
+    .filter((pull) => pull.head.ref.startsWith(BRANCH_PREFIX))
+    .map(toChangeSet);
+}
+
+/**
+ * Get an open change set's pull request
+ * @param {number} number - Pull request number
+ * @returns {Promise<Object>} Pull request from the GitHub API
+ */
+async function getOpenPull(number) {
+  let pull;
+  try {
+    ({ data: pull } = await getOctokit().pulls.get({
+      owner: config.owner,
+      repo: config.repo,
+      pull_number: number,
+    }));
+  } catch (error) {
+    if (error.status === 404) {
+      throw createStatusError(404, "Change set not found");
+    }
+    throw error;
+  }
+
+  if (!pull.head.ref.startsWith(BRANCH_PREFIX) || pull.state !== "open") {
+    throw createStatusError(404, "Change set not found");
+  }
+  return pull;
+}
+
+/**
+ * Read the catalog where a change set's branch started and at its head
+ * @param {Object} pull - Pull request from the GitHub API
+ * @returns {Promise<Object>} { before, after } video arrays
+ */
+async function readChangeSetCatalogs(pull) {
+  const { data: comparison } = await getOctokit().repos.compareCommits({
+    owner: config.owner,
+    repo: config.repo,
+    base: config.branch,
+    head: pull.head.sha,
+  });
+  const [before, after] = await Promise.all([
+    readVideosJsonAt(comparison.merge_base_commit.sha),
+    readVideosJsonAt(pull.head.sha),
+  ]);
+  return { before, after };
+}
+
+/**
+ * Delete a review branch once its change set is closed
+ * @param {string} branch - Review branch
+ * @returns {Promise<void>}
+ */
+async function deleteBranch(branch) {
+  try {
+    await getOctokit().git.deleteRef({
+      owner: config.owner,
+      repo: config.repo,
+      ref: `heads/${branch}`,
+    });
+  } catch (error) {
+    // The change set is already closed; a leftover branch is harmless
+    logError("Failed to delete review branch", error, { branch });
+  }
+}
+
+/**
+ * Preview a change set: the per-video diff against the catalog it started from
+ * @param {number} number - Pull request number
+ * @returns {Promise<Object>} Change set plus mergeable and changes
+ */
+async function previewChangeSet(number) {
+  const pull = await getOpenPull(number);
+  const { before, after } = await readChangeSetCatalogs(pull);
+  return {
+    ...toChangeSet(pull),
+    mergeable: pull.mergeable,
+    changes: diffVideos(before, after),
+  };
+}
+
+/**
+ * Approve a change set: squash-merge it into the default branch in one
+ * commit, record its changes in the audit trail, send them to the
+ * registered webhooks and update videos.json
+ * @param {number} number - Pull request number
+ * @param {string} actor - Owner approving it
+ * @param {Object} request - Request context for the audit trail
+ * @returns {Promise<Object>} Change set plus commitSha and changes
+ */
+async function approveChangeSet(number, actor, request) {
+  const octokit = getOctokit();
+  const pull = await getOpenPull(number);
+  const changeSet = toChangeSet(pull);
+  const { before, after } = await readChangeSetCatalogs(pull);
+
+  // The squashed commit lists each change on the branch
+  const { data: commits } = await octokit.pulls.listCommits({
+    owner: config.owner,
+    repo: config.repo,
+    pull_number: number,
+    per_page: 100,
+  });
+  const summary = commits
+    .map((commit) => `- ${commit.commit.message.split("\n")[0]}`)
+    .join("\n");
+  const title = `${pull.title} (#${number})`;
+
+  let merged;
+  try {
+    ({ data: merged } = await octokit.pulls.merge({
+      owner: config.owner,
+      repo: config.repo,
+      pull_number: number,
+      sha: pull.head.sha, // Merge only what was previewed
+      merge_method: "squash",
+      commit_title: title,
+      commit_message: `${summary}\n\nEdited-by: ${changeSet.author}\nApproved-by: ${actor}`,
+    }));
+  } catch (error) {
+    if (error.status === 405 || error.status === 409) {
+      throw createStatusError(
+        409,
+        "Change set cannot be merged: it conflicts with the catalog or changed since it was loaded. Reject it and redo the changes, or preview it again."
+      );
+    }
+    throw error;
+  }
+
+  await deleteBranch(changeSet.branch);
+  invalidatePublicVideos();
+
+  const details = { changeSet: number, approvedBy: actor };
+  await recordCatalogChanges(before, after, {
+    actor: changeSet.author,
+    request,
+    commitSha: merged.sha,
+    details,
+  });
+  await recordAudit({
+    action: "review.approve",
+    actor,
+    request,
+    commitSha: merged.sha,
+    details: { changeSet: number, author: changeSet.author },
+  });
+  await notifyCatalogChange(before, after, {
+    actor: changeSet.author,
+    commitSha: merged.sha,
+  });
+
+  // The merge is in either way; a failed sync is retried by the next write
+  try {
+    await syncPublicVideos(title, { actor });
+  } catch (error) {
+    logError("Failed to update public videos.json", error);
+  }
+
+  return {
+    ...changeSet,
+    commitSha: merged.sha,
+    changes: diffVideos(before, after),
+  };
+}
+
+/**
+ * Reject a change set: close its pull request and delete its branch
+ * @param {number} number - Pull request number
+ * @param {string} actor - Owner rejecting it
+ * @param {Object} request - Request context for the audit trail
+ * @param {string} reason - Optional note left on the pull request
+ * @returns {Promise<Object>} Change set
+ */
+async function rejectChangeSet(number, actor, request, reason) {
+  const octokit = getOctokit();
+  const pull = await getOpenPull(number);
+  const changeSet = toChangeSet(pull);
+
+  await octokit.issues.createComment({
+    owner: config.owner,
+    repo: config.repo,
+    issue_number: number,
+    body: reason ? `Rejected by ${actor}: ${reason}` : `Rejected by ${actor}`,
+  });
+  await octokit.pulls.update({
+    owner: config.owner,
+    repo: config.repo,
+    pull_number: number,
+    state: "closed",
+  });
+  await deleteBranch(changeSet.branch);
+
+  await recordAudit({
+    action: "review.reject",
+    actor,
+    request,
+    details: { changeSet: number, author: changeSet.author, reason: reason || null },
+  });
+
+  return changeSet;
+}
+
+module.exports = {
+  REVIEW_MODE,
+  getReviewBranch,
+  openChangeSet,
+  listChangeSets,
+  previewChangeSet,
+  approveChangeSet,
+  rejectChangeSet,
+};
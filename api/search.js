@@ -0,0 +1,147 @@
+// Search, filtering, sorting and pagination for video lists
+
+const { z } = require("zod");
+const { createStatusError } = require("./utils");
+
+const MAX_LIMIT = 200;
+
+const SORT_FIELDS = ["catalog", "date", "title", "id"];
+
+const listQuerySchema = z
+  .object({
+    q: z.string().trim().optional(),
+    category: z.string().optional(),
+    yearFrom: z.coerce.number().int().optional(),
+    yearTo: z.coerce.number().int().optional(),
+    source: z.enum(["youtube", "vimeo", "local"]).optional(),
+    status: z.string().optional(),
+    sort: z.enum(SORT_FIELDS).default("catalog"),
+    order: z.enum(["asc", "desc"]).default("asc"),
+    limit: z.coerce.number().int().min(1).max(MAX_LIMIT).optional(),
+    offset: z.coerce.number().int().min(0).optional(),
+    cursor: z.string().optional(),
+  })
+  .refine((query) => query.offset === undefined || query.cursor === undefined, {
+    message: "Use either offset or cursor, not both",
+  });
+
+/**
+ * Validate list query parameters (as returned by extractQuery)
+ * @param {Object} query - Raw query parameters
+ * @returns {Object} zod safeParse result
+ */
+function parseListQuery(query) {
+  return listQuerySchema.safeParse(query);
+}
+
+function getSource(video) {
+  if (video.youtubeId) return "youtube";
+  if (video.vimeoId) return "vimeo";
+  return "local";
+}
+
+function getSortValue(video, sort, index) {
+  switch (sort) {
+    case "date":
+      return String(video.date || video.year || "");
+    case "title":
+      return String(video.title || "").toLowerCase();
+    case "id":
+      return video.id;
+    default:
+      return index;
+  }
+}
+
+function compareKeys(a, b) {
+  if (a.value !== b.value) {
+    return a.value < b.value ? -1 : 1;
+  }
+  return a.id - b.id;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (key && typeof key.id === "number" && "value" in key) return key;
+  } catch {
+    // Fall through
+  }
+  return null;
+}
+
+/**
+ * Filter, sort and paginate videos
+ * @param {Array} videos - Catalog videos
+ * @param {Object} query - Parsed list query
+ * @returns {{data: Array, meta: Object}} Page of videos and paging info
+ */
+function queryVideos(videos, query) {
+  const terms = (query.q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const categories = query.category
+    ? query.category.split(",").map((c) => c.trim()).filter(Boolean)
+    : null;
+  const statuses = query.status
+    ? query.status.split(",").map((s) => s.trim()).filter(Boolean)
+    : null;
+
+  const matches = videos
+    .map((video, index) => ({
+      video,
+      key: { value: getSortValue(video, query.sort, index), id: video.id },
+    }))
+    .filter(({ video }) => {
+      if (terms.length > 0) {
+        const text = `${video.title || ""} ${video.description || ""}`.toLowerCase();
+        if (!terms.every((term) => text.includes(term))) return false;
+      }
+      if (categories && !categories.includes(video.category)) return false;
+      if (query.yearFrom !== undefined && !(video.year >= query.yearFrom)) return false;
+      if (query.yearTo !== undefined && !(video.year <= query.yearTo)) return false;
+      if (query.source && getSource(video) !== query.source) return false;
+      if (statuses && !statuses.includes(video.status || "published")) return false;
+      return true;
+    });
+
+  const direction = query.order === "desc" ? -1 : 1;
+  matches.sort((a, b) => compareKeys(a.key, b.key) * direction);
+
+  let start = query.offset || 0;
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    if (!after) {
+      throw createStatusError(400, "Invalid cursor");
+    }
+    start = matches.findIndex(
+      (match) => compareKeys(match.key, after) * direction > 0
+    );
+    if (start === -1) start = matches.length;
+  }
+
+  const end = query.limit ? start + query.limit : matches.length;
+  const page = matches.slice(start, end);
+  const hasMore = end < matches.length;
+
+  return {
+    data: page.map((match) => match.video),
+    meta: {
+      total: matches.length,
+      count: page.length,
+      offset: start,
+      limit: query.limit ?? null,
+      nextCursor:
+        hasMore && page.length > 0
+          ? encodeCursor(page[page.length - 1].key)
+          : null,
+    },
+  };
+}
+
+module.exports = {
+  parseListQuery,
+  queryVideos,
+};
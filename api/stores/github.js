@@ -0,0 +1,349 @@
+// Catalog store backed by JSON files in the website's GitHub repository
+
+const { config, getOctokit } = require("../github");
+const { createStatusError } = require("../utils");
+
+/**
+ * Check whether a GitHub error means our file SHA is stale
+ * @param {Error} error - Error thrown by the GitHub API
+ * @returns {boolean} True if the write should be retried against a fresh read
+ */
+function isShaConflict(error) {
+  if (error.status === 409) return true;
+  // 422 is returned when the file was created since we read it (no sha sent)
+  return error.status === 422 && /sha/i.test(error.message || "");
+}
+
+function getPath(name) {
+  return config.privatePaths[name] || `${config.dataPath}/${name}.json`;
+}
+
+/**
+ * Read a catalog document (e.g. videos.json) from GitHub repository
+ * @param {string} name - Document name ("videos", "categories", ...)
+ * @param {Object} options - { branch } to read from instead of the default branch
+ * @returns {Promise<Object>} { data, sha } (data is null if the file is missing)
+ */
+async function read(name, options = {}) {
+  const path = getPath(name);
+  try {
+    const response = await getOctokit().repos.getContent({
+      owner: config.owner,
+      repo: config.repo,
+      path,
+      ...(options.branch && { ref: options.branch }),
+    });
+
+    if (response.data.type !== "file") {
+      throw new Error("Path is not a file");
+    }
+
+    // Decode base64 content
+    const content = Buffer.from(response.data.content, "base64").toString(
+      "utf-8"
+    );
+    const data = JSON.parse(content);
+
+    return {
+      data,
+      sha: response.data.sha, // Required for updating the file
+    };
+  } catch (error) {
+    if (error.status === 404) {
+      // File doesn't exist yet
+      console.log(JSON.stringify({
+        level: "info",
+        message: `${name}.json not found`,
+        timestamp: new Date().toISOString(),
+        path,
+      }));
+      return { data: null, sha: null };
+    }
+    
+    // Log read errors
+    console.error(JSON.stringify({
+      level: "error",
+      message: `Failed to read ${name}.json from GitHub`,
+      timestamp: new Date().toISOString(),
+      error: {
+        message: error.message,
+        status: error.status,
+        responseData: error.response?.data,
+      },
+    }));
+    
+    throw error;
+  }
+}
+
+/**
+ * Commit a full catalog document to the GitHub repository
+ * @param {string} name - Document name
+ * @param {*} data - Document contents (serialized as JSON)
+ * @param {string} sha - SHA of the current file (for update)
+ * @param {string} message - Commit message
+ * @param {Object} options - { branch } to commit to instead of the default branch
+ * @returns {Promise<Object>} { commitSha }
+ */
+async function write(name, data, sha, message, options = {}) {
+  const path = getPath(name);
+  try {
+    // Encode content to base64
+    const content = JSON.stringify(data, null, 2);
+    const encodedContent = Buffer.from(content, "utf-8").toString("base64");
+
+    const params = {
+      owner: config.owner,
+      repo: config.repo,
+      path,
+      message: message,
+      content: encodedContent,
+      branch: options.branch || config.branch,
+    };
+
+    // Include sha if updating existing file
+    if (sha) {
+      params.sha = sha;
+    }
+
+    // Log the attempt (without sensitive data)
+    console.log(JSON.stringify({
+      level: "info",
+      message: `Attempting to write ${name}.json to GitHub`,
+      timestamp: new Date().toISOString(),
+      itemCount: Array.isArray(data) ? data.length : undefined,
+      hasSha: !!sha,
+      commitMessage: message,
+      path,
+      branch: params.branch,
+      repo: `${config.owner}/${config.repo}`,
+    }));
+
+    const response = await getOctokit().repos.createOrUpdateFileContents(
+      params
+    );
+    
+    // Log success
+    console.log(JSON.stringify({
+      level: "info",
+      message: `Successfully wrote ${name}.json to GitHub`,
+      timestamp: new Date().toISOString(),
+      commitSha: response.data.commit?.sha,
+      contentSha: response.data.content?.sha,
+    }));
+
+    return { commitSha: response.data.commit?.sha };
+  } catch (error) {
+    // Stale SHA is expected under concurrent edits; the caller retries it
+    if (isShaConflict(error)) {
+      throw createStatusError(409, `${name}.json changed since it was read`, {
+        stale: true,
+      });
+    }
+
+    // Extract detailed error information
+    const errorDetails = {
+      message: error.message,
+      status: error.status,
+      name: error.name,
+    };
+
+    // Try to get response data if available
+    if (error.response) {
+      errorDetails.responseStatus = error.response.status;
+      errorDetails.responseData = error.response.data;
+      errorDetails.responseHeaders = error.response.headers;
+    }
+
+    // Try to get request info if available
+    if (error.request) {
+      errorDetails.requestUrl = error.request.url;
+      errorDetails.requestMethod = error.request.method;
+    }
+
+    // Log full error details
+    console.error(JSON.stringify({
+      level: "error",
+      message: `Failed to write ${name}.json to GitHub`,
+      timestamp: new Date().toISOString(),
+      error: errorDetails,
+      stack: error.stack,
+    }));
+
+    // Throw error with more context
+    const errorMessage = errorDetails.responseData?.message 
+      ? `GitHub API error: ${errorDetails.responseData.message}`
+      : `Failed to write ${name}.json: ${error.message}`;
+    
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Commit several catalog documents to the GitHub repository in one commit,
+ * through the git data API, so readers never see one without the others
+ * @param {Array} writes - [{ name, data, sha }] documents and the SHA of
+ *   each file as it was read (null if it did not exist)
+ * @param {string} message - Commit message
+ * @param {Object} options - { branch } to commit to instead of the default branch
+ * @returns {Promise<Object>} { commitSha }
+ */
+async function writeMany(writes, message, options = {}) {
+  const octokit = getOctokit();
+  const repo = { owner: config.owner, repo: config.repo };
+  const branch = options.branch || config.branch;
+  const names = writes.map((w) => w.name).join(", ");
+  const stale = createStatusError(409, `${names} changed since they were read`, {
+    stale: true,
+  });
+
+  try {
+    const ref = await octokit.git.getRef({ ...repo, ref: `heads/${branch}` });
+    const parentSha = ref.data.object.sha;
+    const parent = await octokit.git.getCommit({ ...repo, commit_sha: parentSha });
+
+    // Every file must still be the version that was read
+    for (const { name, sha } of writes) {
+      let currentSha = null;
+      try {
+        const response = await octokit.repos.getContent({
+          ...repo,
+          path: getPath(name),
+          ref: parentSha,
+        });
+        currentSha = response.data.sha;
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+      if (currentSha !== (sha || null)) throw stale;
+    }
+
+    const tree = await octokit.git.createTree({
+      ...repo,
+      base_tree: parent.data.tree.sha,
+      tree: writes.map(({ name, data }) => ({
+        path: getPath(name),
+        mode: "100644",
+        type: "blob",
+        content: JSON.stringify(data, null, 2),
+      })),
+    });
+    const commit = await octokit.git.createCommit({
+      ...repo,
+      message,
+      tree: tree.data.sha,
+      parents: [parentSha],
+    });
+    // Not forced: fails if the branch moved since it was read
+    await octokit.git.updateRef({
+      ...repo,
+      ref: `heads/${branch}`,
+      sha: commit.data.sha,
+      force: false,
+    });
+
+    console.log(JSON.stringify({
+      level: "info",
+      message: `Successfully wrote ${names} to GitHub`,
+      timestamp: new Date().toISOString(),
+      commitSha: commit.data.sha,
+      commitMessage: message,
+      branch,
+      repo: `${config.owner}/${config.repo}`,
+    }));
+
+    return { commitSha: commit.data.sha };
+  } catch (error) {
+    if (error.stale) throw error;
+    // 422 from updateRef: not a fast-forward, another commit landed first
+    if (error.status === 409 || error.status === 422) throw stale;
+
+    console.error(JSON.stringify({
+      level: "error",
+      message: `Failed to write ${names} to GitHub`,
+      timestamp: new Date().toISOString(),
+      error: {
+        message: error.message,
+        status: error.status,
+        responseData: error.response?.data,
+      },
+    }));
+
+    const errorMessage = error.response?.data?.message
+      ? `GitHub API error: ${error.response.data.message}`
+      : `Failed to write ${names}: ${error.message}`;
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Read a catalog document as of a given commit
+ * @param {string} name - Document name
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<*>} Document contents (null if the file did not exist)
+ */
+async function readAt(name, ref) {
+  try {
+    const response = await getOctokit().repos.getContent({
+      owner: config.owner,
+      repo: config.repo,
+      path: getPath(name),
+      ref,
+    });
+
+    const content = Buffer.from(response.data.content, "base64").toString(
+      "utf-8"
+    );
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+
+    // Either the file did not exist yet, or the commit does not exist
+    try {
+      await getOctokit().repos.getCommit({
+        owner: config.owner,
+        repo: config.repo,
+        ref,
+      });
+    } catch (commitError) {
+      if (commitError.status === 404 || commitError.status === 422) {
+        throw createStatusError(404, "Commit not found");
+      }
+      throw commitError;
+    }
+    return null;
+  }
+}
+
+/**
+ * List recent commits that touched a catalog document
+ * @param {string} name - Document name
+ * @param {number} limit - Maximum number of commits
+ * @returns {Promise<Array>} [{ sha, parentSha, message, author, date }]
+ */
+async function listCommits(name, limit) {
+  const response = await getOctokit().repos.listCommits({
+    owner: config.owner,
+    repo: config.repo,
+    path: getPath(name),
+    sha: config.branch,
+    per_page: limit,
+  });
+
+  return response.data.map((commit) => ({
+    sha: commit.sha,
+    parentSha: commit.parents[0]?.sha || null,
+    message: commit.commit.message,
+    author: commit.commit.author?.name || commit.author?.login || null,
+    date: commit.commit.author?.date || null,
+  }));
+}
+
+module.exports = {
+  name: "github",
+  read,
+  write,
+  writeMany,
+  readAt,
+  listCommits,
+};
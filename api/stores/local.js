@@ -0,0 +1,129 @@
+// Catalog store backed by JSON files on the local filesystem (offline dev and tests)
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { createStatusError } = require("../utils");
+
+// videos.json lives at CATALOG_LOCAL_PATH; other documents sit beside it
+const CATALOG_LOCAL_PATH = path.resolve(
+  process.env.CATALOG_LOCAL_PATH || "data/videos.json"
+);
+
+function getPath(name) {
+  return name === "videos"
+    ? CATALOG_LOCAL_PATH
+    : path.join(path.dirname(CATALOG_LOCAL_PATH), `${name}.json`);
+}
+
+/**
+ * Hash file contents so writes can detect a stale read
+ * @param {string} content - Raw file contents
+ * @returns {string} SHA-1 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * Read a raw catalog file
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} File contents or null if missing
+ */
+async function readFile(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a catalog document from the local filesystem
+ * @param {string} name - Document name ("videos", "categories", ...)
+ * @returns {Promise<Object>} { data, sha } (data is null if the file is missing)
+ */
+async function read(name) {
+  const content = await readFile(getPath(name));
+  if (content === null) {
+    return { data: null, sha: null };
+  }
+
+  return {
+    data: JSON.parse(content),
+    sha: hashContent(content),
+  };
+}
+
+/**
+ * Write a full catalog document to the local filesystem
+ * @param {string} name - Document name
+ * @param {*} data - Document contents (serialized as JSON)
+ * @param {string|null} sha - Hash of the contents that were read
+ * @param {string} message - Change description (logged only)
+ * @returns {Promise<Object>} { commitSha }
+ */
+async function write(name, data, sha, message) {
+  const filePath = getPath(name);
+  const existing = await readFile(filePath);
+  const currentSha = existing === null ? null : hashContent(existing);
+  if (currentSha !== (sha || null)) {
+    throw createStatusError(409, `${name}.json changed since it was read`, {
+      stale: true,
+    });
+  }
+
+  const content = JSON.stringify(data, null, 2);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, content, "utf-8");
+  await fs.rename(tempPath, filePath);
+
+  console.log(JSON.stringify({
+    level: "info",
+    message: `Wrote ${name}.json to local filesystem`,
+    timestamp: new Date().toISOString(),
+    itemCount: Array.isArray(data) ? data.length : undefined,
+    commitMessage: message,
+    path: filePath,
+  }));
+
+  return { commitSha: hashContent(content) };
+}
+
+/**
+ * Write several catalog documents as one change: all are checked for a
+ * stale read before any is written
+ * @param {Array} writes - [{ name, data, sha }] documents and the hash of
+ *   each as it was read (null if it did not exist)
+ * @param {string} message - Change description (logged only)
+ * @returns {Promise<Object>} { commitSha }
+ */
+async function writeMany(writes, message) {
+  for (const { name, sha } of writes) {
+    const existing = await readFile(getPath(name));
+    const currentSha = existing === null ? null : hashContent(existing);
+    if (currentSha !== (sha || null)) {
+      throw createStatusError(409, `${name}.json changed since it was read`, {
+        stale: true,
+      });
+    }
+  }
+
+  const commitShas = [];
+  for (const { name, data, sha } of writes) {
+    commitShas.push((await write(name, data, sha, message)).commitSha);
+  }
+  return { commitSha: hashContent(commitShas.join("\n")) };
+}
+
+module.exports = {
+  name: "local",
+  read,
+  write,
+  writeMany,
+};
@@ -0,0 +1,82 @@
+// Catalog store backed by one MongoDB document per catalog file
+
+const crypto = require("crypto");
+const { getDb } = require("../mongodb");
+const { createStatusError } = require("../utils");
+
+const COLLECTION = "catalog";
+
+/**
+ * Hash the serialized document so writes can detect a stale read
+ * @param {*} data - Document contents
+ * @returns {string} SHA-1 hex digest
+ */
+function hashData(data) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(data))
+    .digest("hex");
+}
+
+/**
+ * Read a catalog document from MongoDB
+ * @param {string} name - Document name ("videos", "categories", ...)
+ * @returns {Promise<Object>} { data, sha } (data is null if missing)
+ */
+async function read(name) {
+  const db = await getDb();
+  const doc = await db.collection(COLLECTION).findOne({ _id: name });
+  if (!doc) {
+    return { data: null, sha: null };
+  }
+
+  return { data: doc.data, sha: doc.sha };
+}
+
+/**
+ * Replace a catalog document, guarded by the SHA that was read
+ * @param {string} name - Document name
+ * @param {*} data - Document contents
+ * @param {string|null} sha - SHA of the document that was read
+ * @param {string} message - Change description
+ * @returns {Promise<Object>} { commitSha }
+ */
+async function write(name, data, sha, message) {
+  const db = await getDb();
+  const collection = db.collection(COLLECTION);
+  const nextSha = hashData(data);
+  const doc = {
+    data,
+    sha: nextSha,
+    message,
+    updatedAt: new Date(),
+  };
+
+  const stale = createStatusError(409, `${name}.json changed since it was read`, {
+    stale: true,
+  });
+
+  if (!sha) {
+    try {
+      await collection.insertOne({ _id: name, ...doc });
+    } catch (error) {
+      // Duplicate key: someone created the document since we read it
+      if (error.code === 11000) throw stale;
+      throw error;
+    }
+  } else {
+    const result = await collection.updateOne(
+      { _id: name, sha },
+      { $set: doc }
+    );
+    if (result.matchedCount === 0) throw stale;
+  }
+
+  return { commitSha: nextSha };
+}
+
+module.exports = {
+  name: "mongodb",
+  read,
+  write,
+};
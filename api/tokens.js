@@ -0,0 +1,164 @@
+// Access/refresh token issuing, rotation and revocation
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getCollection } = require("./collections");
+const { logInfo } = require("./utils");
+
+const JWT_SECRET = process.env.JWT_SECRET || "change-me-in-production";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 14) * 24 * 60 * 60 * 1000;
+
+function refreshTokens() {
+  return getCollection("refreshTokens");
+}
+
+function revokedTokens() {
+  return getCollection("revokedTokens");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a short-lived access token and a refresh token for a user.
+ * Refresh tokens are stored hashed and grouped in a family so that
+ * reuse of a rotated token can revoke the whole session.
+ * @param {Object} user - Stored user record
+ * @param {string} family - Session family to continue (new session if omitted)
+ * @returns {Promise<Object>} { token, expiresAt, refreshToken, refreshExpiresAt }
+ */
+async function issueTokens(user, family = crypto.randomUUID()) {
+  // sid identifies the session (e.g. for its review branch)
+  const token = jwt.sign(
+    { sub: user._id, role: user.role, sid: family },
+    JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL,
+      jwtid: crypto.randomUUID(),
+    }
+  );
+  const expiresAt = jwt.decode(token).exp * 1000; // Convert to milliseconds
+
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  const refreshExpiresAt = Date.now() + REFRESH_TOKEN_TTL_MS;
+
+  await refreshTokens().insertOne({
+    _id: hashToken(refreshToken),
+    username: user._id,
+    family,
+    expiresAt: refreshExpiresAt,
+    usedAt: null,
+  });
+
+  return { token, expiresAt, refreshToken, refreshExpiresAt };
+}
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} token - Encoded JWT
+ * @returns {Object} Decoded token (throws jsonwebtoken errors)
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting an already-used refresh token revokes its whole family.
+ * @param {string} refreshToken - Refresh token from a previous issue
+ * @returns {Promise<Object|null>} { username, family } or null if rejected
+ */
+async function consumeRefreshToken(refreshToken) {
+  const id = hashToken(refreshToken);
+  const record = await refreshTokens().findOne({ _id: id });
+  if (!record) return null;
+
+  if (record.usedAt) {
+    await refreshTokens().deleteMany({ family: record.family });
+    logInfo("Refresh token reuse detected, session revoked", {
+      username: record.username,
+    });
+    return null;
+  }
+
+  if (record.expiresAt < Date.now()) {
+    await refreshTokens().deleteOne({ _id: id });
+    return null;
+  }
+
+  // Only one caller can mark the token used
+  const claimed = await refreshTokens().updateOne(
+    { _id: id, usedAt: null },
+    { usedAt: Date.now() }
+  );
+  if (!claimed) return null;
+
+  return { username: record.username, family: record.family };
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<void>}
+ */
+async function revokeRefreshToken(refreshToken) {
+  const record = await refreshTokens().findOne({
+    _id: hashToken(refreshToken),
+  });
+  if (record) {
+    await refreshTokens().deleteMany({ family: record.family });
+  }
+}
+
+/**
+ * Revoke every refresh token of a user (disable, password reset)
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+async function revokeUserSessions(username) {
+  await refreshTokens().deleteMany({ username });
+}
+
+/**
+ * Add an access token to the revocation list until it expires
+ * @param {Object} decoded - Decoded access token ({ jti, exp })
+ * @returns {Promise<void>}
+ */
+async function revokeAccessToken(decoded) {
+  if (!decoded.jti) return;
+
+  const now = Date.now();
+  await revokedTokens().deleteMany({ expiresAt: { $lt: now } });
+  try {
+    await revokedTokens().insertOne({
+      _id: decoded.jti,
+      expiresAt: decoded.exp * 1000,
+    });
+  } catch (err) {
+    // Already revoked
+    if (err.code !== 11000) throw err;
+  }
+}
+
+/**
+ * Check the revocation list for an access token
+ * @param {string} jti - Token ID
+ * @returns {Promise<boolean>} True if the token was revoked
+ */
+async function isTokenRevoked(jti) {
+  if (!jti) return false;
+  return (await revokedTokens().findOne({ _id: jti })) !== null;
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  revokeAccessToken,
+  isTokenRevoked,
+};
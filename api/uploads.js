@@ -0,0 +1,431 @@
+// Multipart upload parsing: streams files to the configured blob store
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough, Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const busboy = require("busboy");
+const { createStatusError, logError } = require("./utils");
+
+const stores = {
+  local: () => require("./blobs/local"),
+  vercel: () => require("./blobs/vercel"),
+};
+
+// The local store writes to the function's disk, which serverless hosts
+// throw away, so it is only used when asked for (BLOB_STORE=local)
+const BLOB_STORE =
+  process.env.BLOB_STORE ||
+  (process.env.BLOB_READ_WRITE_TOKEN ? "vercel" : undefined);
+
+// Bytes needed to recognise every supported file type
+const SNIFF_BYTES = 12;
+
+const EXTENSIONS = {
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "video/webm": ".webm",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+/**
+ * Check whether a blob store is configured, so callers that only read
+ * stored files can skip the store when there is none
+ * @returns {boolean} True if BLOB_STORE or BLOB_READ_WRITE_TOKEN is set
+ */
+function hasBlobStore() {
+  return Boolean(BLOB_STORE);
+}
+
+/**
+ * Get the blob store selected by BLOB_STORE.
+ *
+ * A blob store exposes put(key, stream, { contentType }) -> { url },
+ * get(url) -> Buffer and open(url) -> Readable (both null for URLs outside
+ * the store) and remove(url). Stores that take uploads straight from the
+ * browser also expose createClientUpload(body, request, options).
+ *
+ * @returns {Object} Blob store
+ */
+function getBlobStore() {
+  if (!BLOB_STORE) {
+    throw new Error(
+      "No blob store configured: set BLOB_READ_WRITE_TOKEN, or BLOB_STORE=local for dev and tests"
+    );
+  }
+  const load = stores[BLOB_STORE];
+  if (!load) {
+    throw new Error(
+      `Unknown BLOB_STORE "${BLOB_STORE}" (expected ${Object.keys(stores).join(", ")})`
+    );
+  }
+  return load();
+}
+
+/**
+ * Check whether a request carries a multipart/form-data body
+ * @param {Object} req - Request object
+ * @returns {boolean} True for multipart requests
+ */
+function isMultipart(req) {
+  return /^multipart\/form-data/i.test(req.headers["content-type"] || "");
+}
+
+/**
+ * Detect a file's type from its first bytes rather than trusting the client
+ * @param {Buffer} head - Start of the file
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+function sniffContentType(head) {
+  const ascii = (start, end) => head.toString("latin1", start, end);
+
+  if (ascii(4, 8) === "ftyp") {
+    return ascii(8, 12) === "qt  " ? "video/quicktime" : "video/mp4";
+  }
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) {
+    return "video/webm";
+  }
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") {
+    return "image/png";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * Build a pass-through stream that checks the file type from its first
+ * bytes and fails once the file grows past the size limit
+ * @param {Object} spec - { label, types, maxBytes }
+ * @returns {Transform} Stream with a `contentType` promise
+ */
+function createUploadCheck(spec) {
+  let head = Buffer.alloc(0);
+  let size = 0;
+  let resolveType;
+  let rejectType;
+
+  const check = (callback) => {
+    const contentType = sniffContentType(head);
+    if (!spec.types.includes(contentType)) {
+      const error = createStatusError(
+        415,
+        `Unsupported ${spec.label} type. Use ${spec.types.join(", ")}`
+      );
+      rejectType(error);
+      return callback(error);
+    }
+    resolveType(contentType);
+    const chunk = head;
+    head = null;
+    callback(null, chunk);
+  };
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > spec.maxBytes) {
+        return callback(
+          createStatusError(
+            413,
+            `The ${spec.label} is larger than ${Math.floor(spec.maxBytes / 1024 / 1024)} MB`
+          )
+        );
+      }
+      if (head === null) return callback(null, chunk);
+
+      head = Buffer.concat([head, chunk]);
+      if (head.length < SNIFF_BYTES) return callback();
+      check(callback);
+    },
+    flush(callback) {
+      if (head === null) return callback();
+      check(callback);
+    },
+  });
+
+  stream.contentType = new Promise((resolve, reject) => {
+    resolveType = resolve;
+    rejectType = reject;
+  });
+  stream.contentType.catch(() => {}); // Surfaced through the stream error
+  stream.on("error", (error) => rejectType(error));
+  stream.size = () => size;
+  return stream;
+}
+
+/**
+ * Delete the local copies kept for files uploaded with `keepCopy`
+ * @param {Object} files - { [field]: { tempPath? } }
+ * @returns {Promise<void>}
+ */
+async function discardTempFiles(files) {
+  await Promise.all(
+    Object.values(files)
+      .filter((file) => file.tempPath)
+      .map((file) => fs.promises.rm(file.tempPath, { force: true }))
+  );
+}
+
+/**
+ * Delete stored files and their local copies, logging (not throwing) failures
+ * @param {Object} files - { [field]: { url, tempPath? } }
+ * @returns {Promise<void>}
+ */
+async function removeUploads(files) {
+  const stored = Object.values(files);
+  if (stored.length === 0) return;
+
+  const store = getBlobStore();
+  await Promise.all(
+    stored.map((file) =>
+      store.remove(file.url).catch((error) => {
+        logError("Failed to remove uploaded file", error, { url: file.url });
+      })
+    )
+  );
+  await discardTempFiles(files);
+}
+
+/**
+ * Build a unique blob key for a file
+ * @param {string} folder - Folder within the store
+ * @param {string} contentType - File MIME type
+ * @returns {string} Blob key
+ */
+function createBlobKey(folder, contentType) {
+  const suffix = crypto.randomBytes(6).toString("hex");
+  return `${folder}/${Date.now()}-${suffix}${EXTENSIONS[contentType]}`;
+}
+
+/**
+ * Store a file produced by the server (e.g. a generated poster frame)
+ * @param {string} folder - Folder within the store
+ * @param {Buffer} body - File contents
+ * @param {string} contentType - File MIME type
+ * @returns {Promise<Object>} { url, contentType, size }
+ */
+async function storeBuffer(folder, body, contentType) {
+  const { url } = await getBlobStore().put(
+    createBlobKey(folder, contentType),
+    Readable.from([body]),
+    { contentType }
+  );
+  return { url, contentType, size: body.length };
+}
+
+/**
+ * Read a file stored by this API (an uploaded thumbnail, a poster frame)
+ * @param {string} url - File URL
+ * @returns {Promise<Buffer|null>} Contents, or null if the URL isn't in the blob store
+ */
+async function readStoredFile(url) {
+  if (!url || !hasBlobStore()) return null;
+  return await getBlobStore().get(url);
+}
+
+/**
+ * Copy a stored file to a temp file so it can be inspected, e.g. a video
+ * the browser uploaded straight to the store
+ * @param {string} url - File URL
+ * @returns {Promise<Object|null>} { tempPath }, or null if the URL isn't in the blob store
+ */
+async function copyStoredFile(url) {
+  if (!url || !hasBlobStore()) return null;
+  const stream = await getBlobStore().open(url);
+  if (!stream) return null;
+
+  const extension = path.extname(new URL(url, "http://localhost").pathname);
+  const tempPath = path.join(
+    os.tmpdir(),
+    `upload-${crypto.randomBytes(6).toString("hex")}${extension}`
+  );
+  try {
+    await pipeline(stream, fs.createWriteStream(tempPath));
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+  return { tempPath };
+}
+
+/**
+ * Let the browser upload a file straight to the blob store, for files too
+ * large to send through the API
+ * @param {Object} body - Upload event sent by the store's browser client
+ * @param {Object} req - Request object
+ * @param {Object} spec - { types, maxBytes, folder }
+ * @param {string} actor - Username the upload is for
+ * @returns {Promise<Object>} Response for the store's browser client
+ */
+async function createClientUpload(body, req, spec, actor) {
+  const store = getBlobStore();
+  if (!store.createClientUpload) {
+    throw createStatusError(
+      501,
+      `Direct uploads are not available with the ${store.name} blob store; upload the file with a multipart request`
+    );
+  }
+  const pathname = body.payload?.pathname;
+  if (typeof pathname !== "string" || !pathname.startsWith(`${spec.folder}/`)) {
+    throw createStatusError(400, `Uploads must go in the ${spec.folder}/ folder`);
+  }
+  return store.createClientUpload(body, req, {
+    types: spec.types,
+    maxBytes: spec.maxBytes,
+    tokenPayload: JSON.stringify({ actor }),
+  });
+}
+
+/**
+ * Store one uploaded file once its type is known. With `keepCopy`, the
+ * file is also written to a temp file so it can be inspected afterwards.
+ * @param {Object} store - Blob store
+ * @param {Transform} checked - Stream from createUploadCheck
+ * @param {Object} spec - { folder, keepCopy }
+ * @returns {Promise<Object>} { url, contentType, size, tempPath? }
+ */
+async function storeFile(store, checked, spec) {
+  const contentType = await checked.contentType;
+  const key = createBlobKey(spec.folder, contentType);
+
+  // Stop reading the upload if the store gives up on it
+  const put = (body) =>
+    store.put(key, body, { contentType }).catch((error) => {
+      checked.destroy(error);
+      throw error;
+    });
+
+  if (!spec.keepCopy) {
+    const { url } = await put(checked);
+    return { url, contentType, size: checked.size() };
+  }
+
+  const tempPath = path.join(os.tmpdir(), `upload-${path.basename(key)}`);
+  const toStore = new PassThrough();
+  const results = await Promise.allSettled([
+    put(toStore),
+    pipeline(checked, toStore),
+    pipeline(checked, fs.createWriteStream(tempPath)),
+  ]);
+
+  const failure = results.find((result) => result.status === "rejected");
+  if (failure) {
+    if (results[0].status === "fulfilled") {
+      await removeUploads({ file: results[0].value });
+    }
+    await fs.promises.rm(tempPath, { force: true });
+    throw failure.reason;
+  }
+
+  return { url: results[0].value.url, contentType, size: checked.size(), tempPath };
+}
+
+/**
+ * Parse a multipart/form-data request, streaming each expected file to the
+ * blob store as it arrives. If any file fails its checks, the files that
+ * were already stored are removed.
+ * @param {Object} req - Request object (body not yet read)
+ * @param {Object} fileSpecs - { [field]: { label, types, maxBytes, folder, keepCopy? } }
+ * @returns {Promise<Object>} { fields, files: { [field]: { url, contentType, size, filename, tempPath? } } }
+ */
+function parseUpload(req, fileSpecs) {
+  const store = getBlobStore();
+
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: Object.keys(fileSpecs).length },
+      });
+    } catch (error) {
+      reject(createStatusError(400, "Invalid multipart request"));
+      return;
+    }
+
+    const fields = {};
+    const uploads = [];
+    const track = (upload) => {
+      upload.catch(() => {}); // Collected once the whole form is read
+      uploads.push(upload);
+    };
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on("file", (name, file, info) => {
+      const spec = fileSpecs[name];
+      if (!spec) {
+        file.resume();
+        track(
+          Promise.reject(createStatusError(400, `Unexpected file field "${name}"`))
+        );
+        return;
+      }
+
+      const checked = createUploadCheck(spec);
+      file.pipe(checked);
+      // Keep the request flowing if the check rejects the file
+      checked.on("error", () => {
+        file.unpipe(checked);
+        file.resume();
+      });
+
+      track(
+        storeFile(store, checked, spec).then((stored) => ({
+          name,
+          ...stored,
+          filename: info.filename,
+        }))
+      );
+    });
+
+    parser.on("error", () => {
+      reject(createStatusError(400, "Invalid multipart request"));
+    });
+
+    parser.on("close", async () => {
+      const results = await Promise.allSettled(uploads);
+      const files = {};
+      for (const result of results) {
+        if (result.status === "fulfilled") {
+          const { name, ...file } = result.value;
+          files[name] = file;
+        }
+      }
+
+      const failure = results.find((result) => result.status === "rejected");
+      if (failure) {
+        await removeUploads(files);
+        reject(failure.reason);
+        return;
+      }
+      resolve({ fields, files });
+    });
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  hasBlobStore,
+  getBlobStore,
+  isMultipart,
+  parseUpload,
+  storeBuffer,
+  readStoredFile,
+  copyStoredFile,
+  createClientUpload,
+  removeUploads,
+  discardTempFiles,
+};
@@ -0,0 +1,200 @@
+// Admin user accounts with hashed passwords and roles
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { getCollection } = require("./collections");
+const { createStatusError, logInfo } = require("./utils");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged
+const ROLES = ["viewer", "editor", "owner"];
+
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || "admin").toLowerCase();
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+const KEY_LENGTH = 64;
+
+function users() {
+  return getCollection("users");
+}
+
+function normalizeUsername(username) {
+  return String(username).trim().toLowerCase();
+}
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string} role - Role held by the user
+ * @param {string} required - Minimum role needed
+ * @returns {boolean} True if allowed
+ */
+function hasRole(role, required) {
+  const held = ROLES.indexOf(role);
+  return held !== -1 && held >= ROLES.indexOf(required);
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strip secrets from a user record before returning it
+ * @param {Object} user - Stored user record
+ * @returns {Object} Public user fields
+ */
+function toPublicUser(user) {
+  return {
+    username: user._id,
+    role: user.role,
+    disabled: !!user.disabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+}
+
+/**
+ * Create the first owner from ADMIN_USERNAME/ADMIN_PASSWORD when no
+ * accounts exist yet, so a fresh deployment can log in
+ */
+async function ensureBootstrapOwner() {
+  if (!ADMIN_PASSWORD) return;
+  if ((await users().countDocuments({})) > 0) return;
+
+  try {
+    await createUser({
+      username: ADMIN_USERNAME,
+      password: ADMIN_PASSWORD,
+      role: "owner",
+    });
+    logInfo("Created bootstrap owner account", { username: ADMIN_USERNAME });
+  } catch (err) {
+    // Another instance created it first
+    if (err.status !== 409) throw err;
+  }
+}
+
+/**
+ * Find a user by username
+ * @param {string} username - Username
+ * @returns {Promise<Object|null>} Stored user record
+ */
+async function findUser(username) {
+  return users().findOne({ _id: normalizeUsername(username) });
+}
+
+/**
+ * List all users
+ * @returns {Promise<Array>} Public user records
+ */
+async function listUsers() {
+  const records = await users().find({}, { sort: { _id: 1 } });
+  return records.map(toPublicUser);
+}
+
+/**
+ * Create a user
+ * @param {Object} input - { username, password, role }
+ * @returns {Promise<Object>} Public user record
+ */
+async function createUser({ username, password, role }) {
+  const now = new Date().toISOString();
+  const user = {
+    _id: normalizeUsername(username),
+    role,
+    passwordHash: await hashPassword(password),
+    disabled: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await users().insertOne(user);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw createStatusError(409, "User already exists");
+    }
+    throw err;
+  }
+
+  return toPublicUser(user);
+}
+
+/**
+ * Update a user's role or disabled flag
+ * @param {string} username - Username
+ * @param {Object} changes - { role?, disabled? }
+ * @returns {Promise<Object>} Public user record
+ */
+async function updateUser(username, changes) {
+  const id = normalizeUsername(username);
+  const updated = await users().updateOne(
+    { _id: id },
+    { ...changes, updatedAt: new Date().toISOString() }
+  );
+  if (!updated) {
+    throw createStatusError(404, "User not found");
+  }
+  return toPublicUser(await users().findOne({ _id: id }));
+}
+
+/**
+ * Replace a user's password
+ * @param {string} username - Username
+ * @param {string} password - New plain-text password
+ * @returns {Promise<Object>} Public user record
+ */
+async function resetPassword(username, password) {
+  return updateUser(username, { passwordHash: await hashPassword(password) });
+}
+
+/**
+ * Check a username and password
+ * @param {string} username - Username
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} Stored user record, or null if rejected
+ */
+async function authenticate(username, password) {
+  await ensureBootstrapOwner();
+
+  const user = await findUser(username);
+  if (!user || user.disabled) return null;
+
+  const valid = await verifyPassword(password, user.passwordHash);
+  return valid ? user : null;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  normalizeUsername,
+  toPublicUser,
+  findUser,
+  listUsers,
+  createUser,
+  updateUser,
+  resetPassword,
+  authenticate,
+};
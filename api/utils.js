@@ -1,9 +1,8 @@
 // Shared utilities for admin API
 
+const crypto = require("crypto");
+
 const allowedOrigins = parseAllowedOrigins(process.env.ALLOWED_ORIGINS || "*");
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX = 10;
-const rateLimitBuckets = new Map();
 
 function parseAllowedOrigins(raw) {
   return raw
@@ -28,34 +27,14 @@ function applyCors(req, res) {
     "Access-Control-Allow-Headers",
     "Content-Type,Authorization"
   );
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "RateLimit-Limit,RateLimit-Remaining,RateLimit-Reset,RateLimit-Policy,Retry-After"
+  );
   res.setHeader("Access-Control-Max-Age", "86400");
   res.setHeader("Vary", "Origin");
 }
 
-function enforceRateLimit(meta, res) {
-  const ip = meta.ip || "unknown";
-  const now = Date.now();
-  const bucket = rateLimitBuckets.get(ip);
-
-  if (!bucket || now > bucket.expiresAt) {
-    rateLimitBuckets.set(ip, {
-      count: 1,
-      expiresAt: now + RATE_LIMIT_WINDOW_MS,
-    });
-    return true;
-  }
-
-  if (bucket.count >= RATE_LIMIT_MAX) {
-    logInfo("Rate limit hit", { ip });
-    res.status(429).json({ error: "Too many requests" });
-    return false;
-  }
-
-  bucket.count += 1;
-  rateLimitBuckets.set(ip, bucket);
-  return true;
-}
-
 function getRequestContext(req) {
   const forwardedFor = req.headers["x-forwarded-for"];
   const ip = Array.isArray(forwardedFor)
@@ -64,12 +43,20 @@ function getRequestContext(req) {
     ? forwardedFor.split(",")[0].trim()
     : req.socket?.remoteAddress || "unknown";
 
+  // One id per request, so log lines and audit records can be matched up
+  if (!req.requestId) {
+    req.requestId =
+      req.headers["x-request-id"] ||
+      req.headers["x-vercel-id"] ||
+      crypto.randomUUID();
+  }
+
   return {
     ip,
     method: req.method,
     path: req.url,
     userAgent: req.headers["user-agent"],
-    requestId: req.headers["x-request-id"],
+    requestId: req.requestId,
   };
 }
 
@@ -88,10 +75,28 @@ function extractQuery(req) {
   }
 }
 
+/**
+ * Create an error carrying an HTTP status for handlers to surface
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} extra - Additional properties to attach
+ * @returns {Error} Error with a status property
+ */
+function createStatusError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
 function logInfo(message, meta = {}) {
   log("info", message, meta);
 }
 
+function logWarn(message, meta = {}) {
+  log("warn", message, meta);
+}
+
 function logError(message, err, meta = {}) {
   const errorPayload = err instanceof Error ? err : new Error(String(err));
   log("error", message, {
@@ -118,10 +123,11 @@ function log(level, message, meta = {}) {
 
 module.exports = {
   applyCors,
-  enforceRateLimit,
   getRequestContext,
   extractQuery,
+  createStatusError,
   logInfo,
+  logWarn,
   logError,
 };
 
@@ -0,0 +1,126 @@
+// Video URL resolution: recognizes hosted video links (YouTube, Vimeo) and their start times
+
+const YOUTUBE_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
+const YOUTUBE_HOSTS = [
+  "youtube.com",
+  "m.youtube.com",
+  "music.youtube.com",
+  "youtube-nocookie.com",
+  "youtu.be",
+];
+
+const VIMEO_HOSTS = ["vimeo.com", "player.vimeo.com"];
+
+// youtube.com/<prefix>/<id> forms (Shorts, live streams, embeds)
+const YOUTUBE_PATH_PREFIXES = ["shorts", "live", "embed", "v", "e"];
+
+/**
+ * Parse a start time: seconds ("90", "90s") or units ("1m30s", "1h2m3s")
+ * @param {string|null} value - t/start parameter or fragment value
+ * @returns {number|undefined} Seconds, or undefined if missing or unreadable
+ */
+function parseStartTime(value) {
+  if (!value) return undefined;
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+  if (!match) return undefined;
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return total > 0 ? total : undefined;
+}
+
+/**
+ * Read the start time from `t`/`start` query parameters or a `#t=` fragment
+ * @param {URL} parsed - Parsed URL
+ * @returns {number|undefined} Seconds
+ */
+function getStartTime(parsed) {
+  const fragment = new URLSearchParams(parsed.hash.replace(/^#/, ""));
+  return parseStartTime(
+    parsed.searchParams.get("t") ||
+      parsed.searchParams.get("start") ||
+      fragment.get("t")
+  );
+}
+
+function resolveYouTube(parsed) {
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  let id = null;
+
+  if (parsed.hostname.endsWith("youtu.be")) {
+    id = segments[0];
+  } else if (segments[0] === "watch") {
+    // Also covers playlist links (&list=...&index=...) to a single video
+    id = parsed.searchParams.get("v");
+  } else if (YOUTUBE_PATH_PREFIXES.includes(segments[0])) {
+    id = segments[1];
+  }
+
+  return {
+    provider: "youtube",
+    id: YOUTUBE_ID_PATTERN.test(id || "") ? id : null,
+    startTime: getStartTime(parsed),
+  };
+}
+
+function resolveVimeo(parsed) {
+  // vimeo.com/123, vimeo.com/123/<hash> (unlisted), vimeo.com/channels/x/123,
+  // vimeo.com/groups/x/videos/123, player.vimeo.com/video/123?h=<hash>
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  const index = segments.findIndex((segment) => /^\d+$/.test(segment));
+  const id = index === -1 ? null : segments[index];
+  const next = segments[index + 1];
+  const hash =
+    parsed.searchParams.get("h") ||
+    (id && next && /^[a-f0-9]+$/i.test(next) ? next : undefined);
+
+  return {
+    provider: "vimeo",
+    id,
+    ...(hash && { hash }),
+    startTime: getStartTime(parsed),
+  };
+}
+
+/**
+ * Resolve a hosted video link to its provider and video ID.
+ *
+ * Links on a known host resolve even when no video ID can be found in them
+ * (e.g. a channel page), with `id: null`, so callers can tell an invalid
+ * YouTube or Vimeo link apart from a local video URL.
+ *
+ * @param {string} input - Video URL, or a bare YouTube video ID
+ * @returns {Object|null} { provider: "youtube"|"vimeo", id, startTime, hash? }
+ *   or null if the link isn't on a known host
+ */
+function resolveVideoUrl(input) {
+  if (!input) return null;
+  const value = String(input).trim();
+
+  if (YOUTUBE_ID_PATTERN.test(value)) {
+    return { provider: "youtube", id: value, startTime: undefined };
+  }
+
+  let parsed;
+  try {
+    // Accept links pasted without a scheme ("youtu.be/...")
+    parsed = new URL(
+      /^(www\.|m\.)?(youtube|youtu\.be|music\.youtube|vimeo|player\.vimeo)/i.test(value)
+        ? `https://${value}`
+        : value
+    );
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  if (YOUTUBE_HOSTS.includes(host)) return resolveYouTube(parsed);
+  if (VIMEO_HOSTS.includes(host)) return resolveVimeo(parsed);
+  return null;
+}
+
+module.exports = {
+  parseStartTime,
+  resolveVideoUrl,
+};
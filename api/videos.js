@@ -0,0 +1,130 @@
+// Public read-only catalog: published videos for the memorial site, no authentication
+
+const crypto = require("crypto");
+const { z } = require("zod");
+const {
+  applyCors,
+  getRequestContext,
+  extractQuery,
+  logError,
+} = require("./utils");
+const { enforceRateLimit } = require("./rateLimit");
+const { readPublicVideos } = require("./catalog");
+const { PUBLIC_CACHE_TTL_MS } = require("./publicCache");
+const {
+  localeField,
+  parseAcceptLanguage,
+  listLocales,
+  negotiateLocale,
+  localizeVideo,
+} = require("./locales");
+
+// Browsers revalidate every time (cheap with ETags); the CDN keeps a copy
+// as long as the in-process cache and may serve it stale while refreshing
+const CACHE_CONTROL = `public, max-age=0, s-maxage=${PUBLIC_CACHE_TTL_MS / 1000}, stale-while-revalidate=${PUBLIC_CACHE_TTL_MS / 1000}`;
+
+// Comma-separated list query parameter
+const listParam = (item) =>
+  z
+    .string()
+    .transform((value) => value.split(",").map((v) => v.trim()).filter(Boolean))
+    .pipe(z.array(item));
+
+const publicQuerySchema = z.object({
+  category: listParam(z.string()).optional(),
+  year: listParam(z.coerce.number().int().positive()).optional(),
+  lang: localeField.optional(),
+});
+
+/**
+ * Build a strong ETag for a response body
+ * @param {string} body - Serialized response
+ * @returns {string} Quoted ETag
+ */
+function toETag(body) {
+  return `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+/**
+ * Check an If-None-Match header against the current ETag
+ * @param {string|undefined} header - If-None-Match value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is current
+ */
+function matchesETag(header, etag) {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+// GET /api/videos - Published videos in the visitor's language, optionally by category and year
+async function handleGet(req, res) {
+  try {
+    const validation = publicQuerySchema.safeParse(extractQuery(req));
+    if (!validation.success) {
+      return res.status(400).json({
+        error: "Invalid input",
+        details: validation.error.flatten().fieldErrors,
+      });
+    }
+    const { category, year, lang } = validation.data;
+
+    const published = await readPublicVideos();
+
+    // ?lang= wins over the browser's languages
+    const locales = listLocales(published);
+    const locale = negotiateLocale(
+      [...(lang ? [lang] : []), ...parseAcceptLanguage(req.headers["accept-language"])],
+      locales
+    );
+
+    const categories = category && new Set(category.map((c) => c.toLowerCase()));
+    const years = year && new Set(year);
+    const videos = published
+      .filter(
+        (video) =>
+          (!categories || categories.has(String(video.category).toLowerCase())) &&
+          (!years || years.has(video.year))
+      )
+      .map((video) => localizeVideo(video, locale));
+
+    const body = JSON.stringify({ data: videos, locale, locales });
+    const etag = toETag(body);
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", CACHE_CONTROL);
+    res.setHeader("Content-Language", locale);
+    // applyCors already varies on Origin
+    res.setHeader("Vary", "Origin, Accept-Language");
+
+    if (matchesETag(req.headers["if-none-match"], etag)) {
+      return res.status(304).end();
+    }
+
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.status(200).send(req.method === "HEAD" ? "" : body);
+  } catch (err) {
+    logError("GET /videos error", err, getRequestContext(req));
+    return res.status(500).json({ error: "Failed to read videos" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  applyCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", ["GET", "HEAD", "OPTIONS"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  const requestMeta = getRequestContext(req);
+
+  if (!(await enforceRateLimit(requestMeta, res, "read"))) return;
+
+  return handleGet(req, res);
+}
@@ -0,0 +1,85 @@
+// Vimeo client for extracting video metadata (keyless oEmbed endpoint)
+
+const axios = require("axios");
+const { resolveVideoUrl } = require("./videoUrls");
+
+const VIMEO_OEMBED_URL = "https://vimeo.com/api/oembed.json";
+
+/**
+ * Extract a Vimeo video ID from a Vimeo URL
+ * @param {string} url - Vimeo URL
+ * @returns {string|null} Video ID or null if invalid
+ */
+function extractVimeoId(url) {
+  const resolved = resolveVideoUrl(url);
+  return resolved?.provider === "vimeo" ? resolved.id : null;
+}
+
+/**
+ * Convert a Vimeo oEmbed response into our metadata shape
+ * @param {Object} data - oEmbed response
+ * @returns {Object} Video metadata
+ */
+function toMetadata(data) {
+  // upload_date is "YYYY-MM-DD HH:MM:SS"
+  const date = data.upload_date ? data.upload_date.substring(0, 4) : undefined; // YYYY format
+
+  return {
+    title: data.title,
+    description: data.description || "",
+    thumbnail: data.thumbnail_url || "",
+    date: date,
+    year: date ? Number(date) : undefined,
+    duration: data.duration,
+    channelTitle: data.author_name,
+  };
+}
+
+/**
+ * Fetch video metadata from Vimeo's oEmbed endpoint
+ * @param {string} videoId - Vimeo video ID
+ * @param {string} hash - Privacy hash of an unlisted video, if any
+ * @returns {Promise<Object>} Video metadata
+ */
+async function fetchVimeoMetadata(videoId, hash) {
+  if (!videoId) {
+    throw new Error("Video ID is required");
+  }
+
+  try {
+    const response = await axios.get(VIMEO_OEMBED_URL, {
+      params: {
+        url: `https://vimeo.com/${videoId}${hash ? `/${hash}` : ""}`,
+      },
+    });
+    return toMetadata(response.data);
+  } catch (error) {
+    if ([403, 404].includes(error.response?.status)) {
+      throw new Error(`Vimeo error: Video not found, private or not embeddable: ${videoId}`);
+    }
+    if (error.response) {
+      throw new Error(`Vimeo error: ${error.response.status}`);
+    }
+    throw new Error(`Failed to fetch Vimeo metadata: ${error.message}`);
+  }
+}
+
+/**
+ * Extract metadata from a Vimeo URL
+ * @param {string} url - Vimeo URL
+ * @returns {Promise<Object>} Video metadata
+ */
+async function getVimeoMetadataFromUrl(url) {
+  const resolved = resolveVideoUrl(url);
+  if (resolved?.provider !== "vimeo" || !resolved.id) {
+    throw new Error("Invalid Vimeo URL");
+  }
+
+  return await fetchVimeoMetadata(resolved.id, resolved.hash);
+}
+
+module.exports = {
+  extractVimeoId,
+  fetchVimeoMetadata,
+  getVimeoMetadataFromUrl,
+};
@@ -0,0 +1,385 @@
+// Outbound webhooks: signed notifications of catalog changes, with retries
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { getCollection } = require("./collections");
+const { diffVideos } = require("./audit");
+const { createStatusError, logInfo, logWarn, logError } = require("./utils");
+
+const WEBHOOK_EVENTS = ["video.add", "video.update", "video.delete", "video.reorder"];
+
+// Webhook event for each kind of change reported by diffVideos
+const CHANGE_EVENTS = {
+  added: "video.add",
+  updated: "video.update",
+  deleted: "video.delete",
+};
+
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// A failed delivery is retried after 1, 2, 4, 8 and 16 minutes, then given up
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// Deliveries retried per run of the retry job
+const RETRY_BATCH_SIZE = 50;
+
+function hooks() {
+  return getCollection("webhooks");
+}
+
+function deliveries() {
+  return getCollection("webhookDeliveries");
+}
+
+/**
+ * Strip the signing secret from a hook before returning it
+ * @param {Object} hook - Stored hook
+ * @returns {Object} Public hook fields
+ */
+function toPublicHook(hook) {
+  return {
+    id: hook._id,
+    url: hook.url,
+    events: hook.events,
+    description: hook.description,
+    createdAt: hook.createdAt,
+    createdBy: hook.createdBy,
+  };
+}
+
+/**
+ * Summarize a stored delivery for the delivery log
+ * @param {Object} delivery - Stored delivery
+ * @returns {Object} Delivery without its payload
+ */
+function toPublicDelivery(delivery) {
+  return {
+    id: delivery._id,
+    hookId: delivery.hookId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    error: delivery.error,
+    createdAt: delivery.createdAt,
+    lastAttemptAt: delivery.lastAttemptAt,
+    nextAttemptAt: delivery.nextAttemptAt,
+  };
+}
+
+/**
+ * Sign a payload for the X-Webhook-Signature header. Receivers recompute
+ * the HMAC over `<timestamp>.<body>` with the hook's secret.
+ * @param {string} secret - Hook secret
+ * @param {string} timestamp - X-Webhook-Timestamp value (Unix seconds)
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+/**
+ * List registered hooks
+ * @returns {Promise<Array>} Public hooks, oldest first
+ */
+async function listHooks() {
+  const records = await hooks().find({}, { sort: { createdAt: 1 } });
+  return records.map(toPublicHook);
+}
+
+/**
+ * Register a hook. The signing secret is only returned here.
+ * @param {Object} input - { url, events, description }
+ * @param {string} actor - Username of the admin registering it
+ * @returns {Promise<Object>} Public hook plus `secret`
+ */
+async function createHook({ url, events, description }, actor) {
+  const hook = {
+    _id: crypto.randomUUID(),
+    url,
+    events,
+    description: description || null,
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    createdAt: new Date().toISOString(),
+    createdBy: actor,
+  };
+  await hooks().insertOne(hook);
+  return { ...toPublicHook(hook), secret: hook.secret };
+}
+
+/**
+ * Remove a hook and its delivery log
+ * @param {string} id - Hook ID
+ * @returns {Promise<void>}
+ */
+async function removeHook(id) {
+  const removed = await hooks().deleteOne({ _id: id });
+  if (!removed) {
+    throw createStatusError(404, "Webhook not found");
+  }
+  await deliveries().deleteMany({ hookId: id });
+}
+
+/**
+ * List a hook's recent deliveries
+ * @param {string} id - Hook ID
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise<Array>} Deliveries, newest first
+ */
+async function listDeliveries(id, limit) {
+  if (!(await hooks().findOne({ _id: id }))) {
+    throw createStatusError(404, "Webhook not found");
+  }
+  const records = await deliveries().find(
+    { hookId: id },
+    { sort: { createdAt: -1 }, limit }
+  );
+  return records.map(toPublicDelivery);
+}
+
+/**
+ * POST a delivery to its hook once and record the outcome. Failures are
+ * scheduled for a retry with exponential backoff until MAX_ATTEMPTS.
+ * @param {Object} hook - Stored hook
+ * @param {Object} delivery - Stored delivery
+ * @returns {Promise<Object>} Updated delivery
+ */
+async function attemptDelivery(hook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await axios.post(hook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "gaby-website-admin-webhooks",
+        "X-Webhook-Id": delivery._id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signPayload(hook.secret, timestamp, body),
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Receiver responded with ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  let status = "delivered";
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempts < MAX_ATTEMPTS ? "pending" : "failed";
+    if (status === "pending") {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+      nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+    }
+  }
+
+  const changes = {
+    status,
+    attempts,
+    responseStatus,
+    error,
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt,
+  };
+  await deliveries().updateOne({ _id: delivery._id }, changes);
+
+  const meta = {
+    deliveryId: delivery._id,
+    hookId: hook._id,
+    url: hook.url,
+    event: delivery.event,
+    status,
+    attempts,
+    responseStatus,
+  };
+  if (error) {
+    logWarn("Webhook delivery failed", { ...meta, error, nextAttemptAt });
+  } else {
+    logInfo("Webhook delivered", meta);
+  }
+
+  return { ...delivery, ...changes };
+}
+
+/**
+ * Record a delivery of an event to a hook and make the first attempt
+ * @param {Object} hook - Stored hook
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} Delivery after the attempt
+ */
+async function deliver(hook, payload) {
+  const delivery = {
+    _id: crypto.randomUUID(),
+    hookId: hook._id,
+    event: payload.event,
+    payload,
+    status: "pending",
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    lastAttemptAt: null,
+    nextAttemptAt: null,
+  };
+  await deliveries().insertOne(delivery);
+  return attemptDelivery(hook, delivery);
+}
+
+/**
+ * Check whether the videos in both catalogs appear in a different order
+ * @param {Array} before - Catalog before the write
+ * @param {Array} after - Catalog after the write
+ * @returns {boolean} True if the display order changed
+ */
+function isReordered(before, after) {
+  const afterIds = new Set(after.map((v) => v.id));
+  const beforeIds = new Set(before.map((v) => v.id));
+  const kept = before.filter((v) => afterIds.has(v.id)).map((v) => v.id);
+  const order = after.filter((v) => beforeIds.has(v.id)).map((v) => v.id);
+  return kept.some((id, index) => order[index] !== id);
+}
+
+/**
+ * Build the events for a committed catalog write: one per video added,
+ * updated or deleted, and a reorder event when the display order of the
+ * remaining videos changed. Updates carry the changed fields
+ * ({ field: { from, to } }), deletes the entry as it was.
+ * @param {Array} before - Catalog before the write
+ * @param {Array} after - Catalog after the write
+ * @returns {Array} [{ event, video, changes?, order? }]
+ */
+function toCatalogEvents(before, after) {
+  const beforeById = new Map(before.map((v) => [v.id, v]));
+  const afterById = new Map(after.map((v) => [v.id, v]));
+  const events = diffVideos(before, after).map((change) => ({
+    event: CHANGE_EVENTS[change.type],
+    video: afterById.get(change.id) || beforeById.get(change.id),
+    ...(change.fields && { changes: change.fields }),
+  }));
+  if (isReordered(before, after)) {
+    events.push({ event: "video.reorder", video: null, order: after.map((v) => v.id) });
+  }
+  return events;
+}
+
+/**
+ * Send a committed catalog change to the hooks subscribed to its events.
+ * Called for every commit to the catalog on the default branch (see
+ * writeVideosJson and approveChangeSet). First attempts are made before
+ * returning; failed ones are retried by retryDueDeliveries. Errors are
+ * logged, not thrown, so a webhook outage doesn't fail a change that has
+ * already been committed.
+ * @param {Array} before - Catalog before the change
+ * @param {Array} after - Catalog after the change
+ * @param {Object} options - { actor, commitSha }
+ * @returns {Promise<void>}
+ */
+async function notifyCatalogChange(before, after, { actor, commitSha }) {
+  try {
+    const registered = await hooks().find({});
+    if (registered.length === 0) return;
+
+    const timestamp = new Date().toISOString();
+    const attempts = [];
+    for (const { event, ...details } of toCatalogEvents(before, after)) {
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        timestamp,
+        actor,
+        commitSha,
+        ...details,
+      };
+      for (const hook of registered) {
+        if (hook.events.includes(event)) {
+          attempts.push(deliver(hook, payload));
+        }
+      }
+    }
+
+    for (const outcome of await Promise.allSettled(attempts)) {
+      if (outcome.status === "rejected") {
+        logError("Failed to record webhook delivery", outcome.reason);
+      }
+    }
+  } catch (error) {
+    logError("Failed to send webhooks", error, { actor, commitSha });
+  }
+}
+
+/**
+ * Send a ping event to a hook, to check its URL and signature handling
+ * @param {string} id - Hook ID
+ * @param {string} actor - Username of the admin testing it
+ * @returns {Promise<Object>} Delivery after the attempt
+ */
+async function testHook(id, actor) {
+  const hook = await hooks().findOne({ _id: id });
+  if (!hook) {
+    throw createStatusError(404, "Webhook not found");
+  }
+  const delivery = await deliver(hook, {
+    id: crypto.randomUUID(),
+    event: "ping",
+    timestamp: new Date().toISOString(),
+    actor,
+    commitSha: null,
+    video: null,
+  });
+  return toPublicDelivery(delivery);
+}
+
+/**
+ * Retry failed deliveries whose backoff has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { retried, delivered, failed, pending }
+ */
+async function retryDueDeliveries(now = new Date()) {
+  const due = await deliveries().find(
+    { status: "pending", nextAttemptAt: { $lte: now.toISOString() } },
+    { sort: { nextAttemptAt: 1 }, limit: RETRY_BATCH_SIZE }
+  );
+
+  const summary = { retried: due.length, delivered: 0, failed: 0, pending: 0 };
+  for (const delivery of due) {
+    const hook = await hooks().findOne({ _id: delivery.hookId });
+    let outcome;
+    if (!hook) {
+      outcome = { status: "failed" };
+      await deliveries().updateOne(
+        { _id: delivery._id },
+        { status: "failed", error: "Webhook removed", nextAttemptAt: null }
+      );
+    } else {
+      outcome = await attemptDelivery(hook, delivery);
+    }
+    summary[outcome.status] += 1;
+  }
+  return summary;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  listHooks,
+  createHook,
+  removeHook,
+  listDeliveries,
+  testHook,
+  notifyCatalogChange,
+  retryDueDeliveries,
+};
@@ -1,104 +1,100 @@
-// YouTube API client for extracting video metadata
+// YouTube URL parsing and video metadata through the configured provider
 
-const axios = require("axios");
+const { resolveVideoUrl } = require("./videoUrls");
 
-const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
-const YOUTUBE_API_BASE = "https://www.googleapis.com/youtube/v3";
+const providers = {
+  api: () => require("./metadata/api"),
+  oembed: () => require("./metadata/oembed"),
+  fixtures: () => require("./metadata/fixtures"),
+};
+
+// The Data API when a key is configured, else the keyless oEmbed endpoint
+const YOUTUBE_PROVIDER =
+  process.env.YOUTUBE_PROVIDER ||
+  (process.env.YOUTUBE_API_KEY ? "api" : "oembed");
 
-if (!YOUTUBE_API_KEY) {
-  console.warn("YOUTUBE_API_KEY not set. YouTube metadata extraction will fail.");
+/**
+ * Get the metadata provider selected by YOUTUBE_PROVIDER.
+ *
+ * A provider exposes fetchVideo(id) -> metadata,
+ * fetchVideos(ids) -> Map of id -> metadata (unavailable videos missing)
+ * and fetchPlaylistVideoIds(playlistId, limit) -> ids. Metadata has the
+ * shape { title, description, thumbnail, date, year, publishedAt,
+ * channelTitle, privacyStatus, uploadStatus, embeddable, ageRestricted };
+ * fields a provider can't know are left undefined.
+ *
+ * @returns {Object} Metadata provider
+ */
+function getMetadataProvider() {
+  const load = providers[YOUTUBE_PROVIDER];
+  if (!load) {
+    throw new Error(
+      `Unknown YOUTUBE_PROVIDER "${YOUTUBE_PROVIDER}" (expected ${Object.keys(providers).join(", ")})`
+    );
+  }
+  return load();
 }
 
 /**
- * Extract YouTube video ID from various URL formats
+ * Extract YouTube video ID from various URL formats (watch, youtu.be,
+ * Shorts, live, embed; www, m and music hosts)
  * @param {string} urlOrId - YouTube URL or video ID
  * @returns {string|null} Video ID or null if invalid
  */
 function extractYouTubeId(urlOrId) {
+  const resolved = resolveVideoUrl(urlOrId);
+  return resolved?.provider === "youtube" ? resolved.id : null;
+}
+
+/**
+ * Extract YouTube playlist ID from a playlist URL or a bare ID
+ * @param {string} urlOrId - Playlist URL or playlist ID
+ * @returns {string|null} Playlist ID or null if invalid
+ */
+function extractPlaylistId(urlOrId) {
   if (!urlOrId) return null;
 
-  // If it's already just an ID (11 characters)
-  if (/^[a-zA-Z0-9_-]{11}$/.test(urlOrId)) {
-    return urlOrId;
+  const match = urlOrId.match(/[?&]list=([a-zA-Z0-9_-]+)/);
+  if (match) {
+    return match[1];
   }
 
-  // Extract from various YouTube URL formats
-  const patterns = [
-    /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/,
-    /youtube\.com\/embed\/([^"&?\/\s]{11})/,
-    /youtube\.com\/v\/([^"&?\/\s]{11})/,
-  ];
-
-  for (const pattern of patterns) {
-    const match = urlOrId.match(pattern);
-    if (match && match[1]) {
-      return match[1];
-    }
+  if (/^(PL|UU|LL|FL|OL|RD)[a-zA-Z0-9_-]{10,}$/.test(urlOrId)) {
+    return urlOrId;
   }
 
   return null;
 }
 
 /**
- * Fetch video metadata from YouTube Data API
+ * Fetch video metadata through the configured provider
  * @param {string} videoId - YouTube video ID
  * @returns {Promise<Object>} Video metadata
  */
 async function fetchVideoMetadata(videoId) {
-  if (!YOUTUBE_API_KEY) {
-    throw new Error("YOUTUBE_API_KEY is not configured");
-  }
-
   if (!videoId) {
     throw new Error("Video ID is required");
   }
+  return getMetadataProvider().fetchVideo(videoId);
+}
 
-  try {
-    const response = await axios.get(`${YOUTUBE_API_BASE}/videos`, {
-      params: {
-        part: "snippet",
-        id: videoId,
-        key: YOUTUBE_API_KEY,
-      },
-    });
-
-    if (!response.data.items || response.data.items.length === 0) {
-      throw new Error(`Video not found: ${videoId}`);
-    }
-
-    const item = response.data.items[0];
-    const snippet = item.snippet;
-
-    // Extract published date
-    const publishedAt = new Date(snippet.publishedAt);
-    const year = publishedAt.getFullYear();
-    const date = publishedAt.toISOString().split("T")[0].substring(0, 4); // YYYY format
-
-    // Get thumbnail (prefer maxres, fallback to high)
-    const thumbnail =
-      snippet.thumbnails.maxres?.url ||
-      snippet.thumbnails.high?.url ||
-      snippet.thumbnails.medium?.url ||
-      snippet.thumbnails.default?.url ||
-      "";
-
-    return {
-      title: snippet.title,
-      description: snippet.description || "",
-      thumbnail: thumbnail,
-      date: date,
-      year: year,
-      publishedAt: snippet.publishedAt,
-      channelTitle: snippet.channelTitle,
-    };
-  } catch (error) {
-    if (error.response) {
-      throw new Error(
-        `YouTube API error: ${error.response.status} - ${error.response.data?.error?.message || error.message}`
-      );
-    }
-    throw new Error(`Failed to fetch YouTube metadata: ${error.message}`);
-  }
+/**
+ * Fetch metadata for many videos through the configured provider
+ * @param {Array<string>} videoIds - YouTube video IDs
+ * @returns {Promise<Map>} Video ID -> metadata (missing for unavailable videos)
+ */
+async function fetchVideosMetadata(videoIds) {
+  return getMetadataProvider().fetchVideos([...new Set(videoIds)]);
+}
+
+/**
+ * List the video IDs in a playlist through the configured provider
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {number} limit - Maximum number of IDs to return
+ * @returns {Promise<Array<string>>} Video IDs in playlist order
+ */
+async function fetchPlaylistVideoIds(playlistId, limit) {
+  return getMetadataProvider().fetchPlaylistVideoIds(playlistId, limit);
 }
 
 /**
@@ -116,8 +112,12 @@ async function getMetadataFromUrl(url) {
 }
 
 module.exports = {
+  getMetadataProvider,
   extractYouTubeId,
+  extractPlaylistId,
   fetchVideoMetadata,
+  fetchVideosMetadata,
+  fetchPlaylistVideoIds,
   getMetadataFromUrl,
 };
 
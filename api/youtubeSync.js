@@ -0,0 +1,189 @@
+// YouTube resync: re-fetches catalog entries from YouTube to report drift and broken videos
+
+const { readVideosJson, writeVideosJson } = require("./catalog");
+const { fetchVideosMetadata } = require("./youtube");
+const { logInfo, logWarn } = require("./utils");
+
+// Entry fields copied from YouTube, and kept in sync with it
+const SYNCED_FIELDS = ["title", "description", "thumbnail"];
+
+// uploadStatus values of videos that will never play
+const FAILED_UPLOAD_STATUSES = ["deleted", "failed", "rejected"];
+
+/**
+ * Build the `youtubeSync` snapshot stored with an entry: the values YouTube
+ * had when they were last copied. An entry field that no longer matches
+ * its snapshot was edited by an admin, and is left alone by resyncs.
+ * @param {Object} metadata - Metadata from youtube.js
+ * @returns {Object} { title, description, thumbnail }, without the fields
+ *   the metadata provider doesn't know
+ */
+function toSyncSnapshot(metadata) {
+  return Object.fromEntries(
+    SYNCED_FIELDS.filter((field) => metadata[field] !== undefined).map(
+      (field) => [field, metadata[field]]
+    )
+  );
+}
+
+/**
+ * Explain why a video can't be watched at all, if it can't
+ * @param {Object|undefined} metadata - Metadata, undefined if YouTube didn't return the video
+ * @returns {string|null} Reason, or null if the video is available
+ */
+function getUnavailableReason(metadata) {
+  // Providers leave out deleted and private videos
+  if (!metadata) return "Video not found or private";
+  if (metadata.privacyStatus === "private") return "Video is private";
+  if (FAILED_UPLOAD_STATUSES.includes(metadata.uploadStatus)) {
+    return `Upload ${metadata.uploadStatus}`;
+  }
+  return null;
+}
+
+/**
+ * Explain why a video can't be played in the site's embedded player, if it can't
+ * @param {Object} metadata - Metadata from youtube.js
+ * @returns {string|null} Reason, or null if the video can be embedded
+ */
+function getEmbedBlockedReason(metadata) {
+  if (!metadata.embeddable) return "Embedding disabled by the owner";
+  if (metadata.ageRestricted) return "Age-restricted";
+  return null;
+}
+
+/**
+ * Compare catalog entries with fresh YouTube metadata.
+ *
+ * A field drifted when YouTube's value differs from the entry's snapshot
+ * (or from the entry itself, for entries saved before snapshots existed).
+ * Drifted fields are updated unless the admin edited them; entries without
+ * a snapshot only get empty fields filled in, since an edit can't be told
+ * apart from drift there. Fields the metadata provider doesn't know (oEmbed
+ * has no description) are left as they are.
+ *
+ * @param {Array} videos - Catalog videos
+ * @param {Map} metadataById - YouTube ID -> metadata from fetchVideosMetadata
+ * @returns {Object} { checked, drifted, unavailable, embedBlocked, updates }
+ *   where updates are updateMany operations ({ id, changes, expected })
+ */
+function planYouTubeSync(videos, metadataById) {
+  const report = {
+    checked: 0,
+    drifted: [],
+    unavailable: [],
+    embedBlocked: [],
+    updates: [],
+  };
+
+  for (const video of videos) {
+    if (!video.youtubeId) continue;
+    report.checked += 1;
+
+    const metadata = metadataById.get(video.youtubeId);
+    const summary = { id: video.id, youtubeId: video.youtubeId, title: video.title };
+
+    const unavailable = getUnavailableReason(metadata);
+    if (unavailable) {
+      report.unavailable.push({ ...summary, reason: unavailable });
+      continue;
+    }
+    const embedBlocked = getEmbedBlockedReason(metadata);
+    if (embedBlocked) {
+      report.embedBlocked.push({ ...summary, reason: embedBlocked });
+    }
+
+    const snapshot = video.youtubeSync;
+    const fields = [];
+    const changes = {};
+    for (const field of SYNCED_FIELDS) {
+      const current = video[field] ?? "";
+      const latest = metadata[field];
+      if (latest === undefined) continue;
+      const drifted = snapshot ? latest !== snapshot[field] : latest !== current;
+      if (!drifted || latest === current) continue;
+
+      const edited = snapshot ? current !== snapshot[field] : current !== "";
+      fields.push({ field, current, youtube: latest, edited });
+      if (!edited) changes[field] = latest;
+    }
+    if (fields.length > 0) {
+      report.drifted.push({ ...summary, fields });
+    }
+
+    const latestSnapshot = { ...snapshot, ...toSyncSnapshot(metadata) };
+    if (JSON.stringify(snapshot) !== JSON.stringify(latestSnapshot)) {
+      changes.youtubeSync = latestSnapshot;
+    }
+    if (Object.keys(changes).length > 0) {
+      // Skip the entry if an admin edits it before the write lands
+      const expected = { youtubeSync: snapshot };
+      for (const field of SYNCED_FIELDS) expected[field] = video[field];
+      report.updates.push({ id: video.id, changes, expected });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Re-fetch every YouTube entry in the catalog and report drift and videos
+ * that are unavailable or can't be embedded. With `write`, drifted fields
+ * the admin hasn't edited and the sync snapshots are committed together.
+ * @param {Object} options - { write, actor, request }
+ * @returns {Promise<Object>} Report plus updated, skipped and commitSha
+ */
+async function syncYouTubeVideos({ write = false, actor, request } = {}) {
+  const { videos } = await readVideosJson();
+  const metadataById = await fetchVideosMetadata(
+    videos.map((v) => v.youtubeId).filter(Boolean)
+  );
+  const { updates, ...report } = planYouTubeSync(videos, metadataById);
+
+  if (report.unavailable.length > 0 || report.embedBlocked.length > 0) {
+    logWarn("YouTube videos that won't play on the site", {
+      unavailable: report.unavailable,
+      embedBlocked: report.embedBlocked,
+    });
+  }
+
+  let updated = [];
+  let skipped = [];
+  let commitSha = null;
+  if (write && updates.length > 0) {
+    ({ updated, skipped, commitSha } = await writeVideosJson(
+      { type: "updateMany", updates },
+      (video, result) =>
+        result.updated.length === 1
+          ? `Sync video from YouTube: ${result.updated[0].title}`
+          : `Sync ${result.updated.length} videos from YouTube`,
+      { actor, request }
+    ));
+  }
+
+  logInfo("Synced YouTube videos", {
+    checked: report.checked,
+    drifted: report.drifted.length,
+    unavailable: report.unavailable.length,
+    embedBlocked: report.embedBlocked.length,
+    pending: updates.length,
+    updated: updated.length,
+    commitSha,
+    actor,
+  });
+
+  return {
+    ...report,
+    pending: updates.map(({ id, changes }) => ({ id, fields: Object.keys(changes) })),
+    updated: updated.map(({ id, title }) => ({ id, title })),
+    skipped: skipped.map(({ id }) => id),
+    commitSha,
+  };
+}
+
+module.exports = {
+  SYNCED_FIELDS,
+  toSyncSnapshot,
+  planYouTubeSync,
+  syncYouTubeVideos,
+};
@@ -0,0 +1,214 @@
+// Catalog writes: stale-SHA retries re-apply the change on top of concurrent edits; batches are all-or-nothing
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { makeVideo, seedCatalog } = require("./helpers");
+
+const {
+  getCatalogStore,
+  updateDocument,
+  readVideosJson,
+  writeVideosJson,
+  applyOperation,
+} = require("../api/catalog");
+
+test("updateDocument re-applies the change on top of a concurrent write", async () => {
+  const store = getCatalogStore();
+  await store.write("notes", ["first"], null, "Seed notes");
+
+  const attempts = [];
+  const result = await updateDocument(
+    "notes",
+    async (data, attempt) => {
+      attempts.push([...data]);
+      if (attempt === 1) {
+        // Someone else commits between our read and our write
+        const { sha } = await store.read("notes");
+        await store.write("notes", [...data, "theirs"], sha, "Concurrent edit");
+      }
+      return { data: [...data, "ours"] };
+    },
+    "Add note"
+  );
+
+  assert.deepEqual(attempts, [["first"], ["first", "theirs"]]);
+  assert.deepEqual(result.data, ["first", "theirs", "ours"]);
+  assert.ok(result.commitSha);
+  assert.deepEqual((await store.read("notes")).data, ["first", "theirs", "ours"]);
+});
+
+test("updateDocument gives up with a 409 when every attempt is stale", async () => {
+  const store = getCatalogStore();
+  await store.write("busy", [0], null, "Seed");
+
+  let attempts = 0;
+  await assert.rejects(
+    updateDocument(
+      "busy",
+      async (data) => {
+        attempts += 1;
+        const { sha } = await store.read("busy");
+        await store.write("busy", [...data, attempts], sha, "Concurrent edit");
+        return { data: [...data, "ours"] };
+      },
+      "Never lands"
+    ),
+    { status: 409 }
+  );
+  assert.equal(attempts, 5);
+  assert.ok(!(await store.read("busy")).data.includes("ours"));
+});
+
+test("updateDocument writes nothing when the document is unchanged", async () => {
+  const store = getCatalogStore();
+  await store.write("same", [1], null, "Seed");
+  const before = await store.read("same");
+
+  const result = await updateDocument("same", (data) => ({ data }), "No-op");
+
+  assert.equal(result.commitSha, null);
+  assert.equal((await store.read("same")).sha, before.sha);
+});
+
+/**
+ * Commit an edit to the stored catalog the first time the store is read,
+ * as if another admin saved between our read and our write
+ * @param {Function} edit - videos => videos
+ */
+function editOnNextRead(edit) {
+  const store = getCatalogStore();
+  const read = store.read;
+  store.read = async (name, options) => {
+    store.read = read;
+    const current = await read(name, options);
+    if (name === "catalog") {
+      const { schemaVersion, videos } = current.data;
+      await store.write(
+        name,
+        { schemaVersion, videos: edit(videos) },
+        current.sha,
+        "Concurrent edit"
+      );
+    }
+    return current;
+  };
+}
+
+test("writeVideosJson keeps a concurrent edit to another video", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2)]);
+  editOnNextRead((videos) =>
+    videos.map((v) => (v.id === 2 ? { ...v, title: "Theirs" } : v))
+  );
+
+  await writeVideosJson(
+    { type: "update", id: 1, changes: { title: "Ours" } },
+    "Update video"
+  );
+
+  const { videos } = await readVideosJson();
+  assert.deepEqual(videos.map((v) => v.title), ["Ours", "Theirs"]);
+});
+
+test("writeVideosJson rejects a write whose video changed in the meantime", async () => {
+  await seedCatalog([makeVideo(1)]);
+  editOnNextRead((videos) => videos.map((v) => ({ ...v, title: "Theirs" })));
+
+  await assert.rejects(
+    writeVideosJson({ type: "update", id: 1, changes: { title: "Ours" } }, "Update video"),
+    (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.current.title, "Theirs");
+      return true;
+    }
+  );
+  assert.equal((await readVideosJson()).videos[0].title, "Theirs");
+});
+
+test("a batch is rejected as a whole when one operation fails", () => {
+  const videos = [makeVideo(1), makeVideo(2)];
+  const snapshot = structuredClone(videos);
+
+  assert.throws(
+    () =>
+      applyOperation(videos, {
+        type: "batch",
+        operations: [
+          { op: "update", id: 1, changes: { title: "Changed" } },
+          { op: "delete", id: 2 },
+          { op: "update", id: 99, changes: { title: "Missing" } },
+        ],
+      }),
+    (error) => {
+      assert.equal(error.status, 404);
+      assert.equal(error.index, 2);
+      assert.match(error.message, /^Operation 3 \(update\)/);
+      return true;
+    }
+  );
+  assert.deepEqual(videos, snapshot);
+});
+
+test("a batch reports duplicates of videos created earlier in it", () => {
+  const { id, ...created } = makeVideo(3, { title: "New" });
+
+  assert.throws(
+    () =>
+      applyOperation([makeVideo(1)], {
+        type: "batch",
+        operations: [
+          { op: "create", video: created },
+          { op: "create", video: { ...created, title: "New again" } },
+        ],
+      }),
+    (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.index, 1);
+      assert.ok(error.duplicates.length > 0);
+      return true;
+    }
+  );
+});
+
+test("a failed batch leaves the stored catalog untouched", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2)]);
+  const before = await readVideosJson();
+
+  await assert.rejects(
+    writeVideosJson(
+      {
+        type: "batch",
+        operations: [
+          { op: "delete", id: 1 },
+          { op: "update", id: 42, changes: { title: "Missing" } },
+        ],
+      },
+      "Batch"
+    ),
+    { status: 404 }
+  );
+
+  const after = await readVideosJson();
+  assert.equal(after.sha, before.sha);
+  assert.deepEqual(after.videos, before.videos);
+});
+
+test("a batch applies every operation in one commit", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2)]);
+
+  const result = await writeVideosJson(
+    {
+      type: "batch",
+      operations: [
+        { op: "update", id: 1, changes: { title: "One, renamed" } },
+        { op: "delete", id: 2 },
+      ],
+    },
+    "Batch"
+  );
+
+  assert.ok(result.commitSha);
+  assert.deepEqual(result.updated.map((v) => v.title), ["One, renamed"]);
+  assert.deepEqual(result.deleted.map((v) => v.id), [2]);
+  const { videos } = await readVideosJson();
+  assert.deepEqual(videos.map((v) => [v.id, v.title]), [[1, "One, renamed"]]);
+});
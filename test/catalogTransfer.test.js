@@ -0,0 +1,103 @@
+// CSV export and import: toCsv and parseCsv round-trip catalog entries, and the import endpoint
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { toCsv, parseCsv } = require("../api/catalogTransfer");
+const { readVideosJson } = require("../api/catalog");
+const adminVideos = require("../api/admin/videos");
+
+const videos = [
+  {
+    id: 1,
+    title: 'Birthday, "the big one"',
+    description: "First line\nSecond line",
+    thumbnail: "",
+    videoUrl: "https://youtu.be/abc",
+    youtubeId: "abc",
+    startTime: 30,
+    date: "2019-05-03",
+    category: "Family",
+    year: 2019,
+    featured: true,
+    translations: { es: { title: "Cumpleaños", description: "Primera línea" } },
+  },
+  {
+    id: 2,
+    title: '=HYPERLINK("https://example.com","click")',
+    description: "-5 degrees outside",
+    thumbnail: "/thumbnails/beach.jpg",
+    videoUrl: "/videos/beach.mp4",
+    category: "Travel",
+    year: 2023,
+    featured: false,
+    status: "draft",
+  },
+];
+
+test("parseCsv reads back what toCsv wrote", () => {
+  const rows = parseCsv(toCsv(videos));
+
+  assert.deepEqual(rows, videos);
+});
+
+test("toCsv quotes delimiters and escapes formula-like text", () => {
+  const [, first, second] = toCsv(videos).split("\r\n");
+
+  assert.ok(first.startsWith('1,"Birthday, ""the big one""","First line\nSecond line"'));
+  assert.ok(second.startsWith(`2,"'=HYPERLINK(""https://example.com"",""click"")",'-5 degrees outside,`));
+});
+
+test("parseCsv only sets the columns in the header", () => {
+  const csv = "\uFEFFid,title,featured,description\r\n3,Picnic,yes,\r\n\r\n,New video,no,Text\r\n";
+
+  assert.deepEqual(parseCsv(csv), [
+    { id: 3, title: "Picnic", featured: true, description: "" },
+    { title: "New video", featured: false, description: "Text" },
+  ]);
+});
+
+test("parseCsv passes values that don't convert through for validation", () => {
+  const [row] = parseCsv("id,year,featured\nabc,20x0,maybe\n");
+
+  assert.deepEqual(row, { id: "abc", year: "20x0", featured: "maybe" });
+});
+
+test("a CSV export imports back without changes", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2, { title: "Two, with a comma" })]);
+  const token = await signIn("editor");
+
+  const exported = await callHandler(adminVideos, {
+    method: "GET",
+    url: "/api/admin/videos/export?format=csv",
+    token,
+  });
+  assert.equal(exported.status, 200);
+
+  const response = await callHandler(adminVideos, {
+    method: "POST",
+    url: "/api/admin/videos/import",
+    token,
+    body: { csv: String(exported.body), dryRun: true },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.unchanged.length, 2);
+  assert.deepEqual(response.body.data.updates, []);
+});
+
+test("an import with an invalid row changes nothing", async () => {
+  await seedCatalog([makeVideo(1)]);
+
+  const response = await callHandler(adminVideos, {
+    method: "POST",
+    url: "/api/admin/videos/import",
+    token: await signIn("editor"),
+    body: { csv: "id,title,year\n1,Renamed,2020\n,No year,soon\n" },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal((await readVideosJson()).videos[0].title, "Video 1");
+});
@@ -0,0 +1,152 @@
+// Managed categories: validation, rename and merge
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const {
+  getCatalogStore,
+  updateDocument,
+  readVideosJson,
+} = require("../api/catalog");
+const { readCategories, categoryField } = require("../api/categories");
+const categories = require("../api/admin/categories");
+
+async function seed(names, videos) {
+  await updateDocument(
+    "categories",
+    () => ({ data: names.map((name) => ({ name })) }),
+    "Seed categories"
+  );
+  await seedCatalog(videos);
+}
+
+async function categoryNames() {
+  return (await readCategories()).map((c) => c.name);
+}
+
+async function videoCategories() {
+  return (await readVideosJson()).videos.map((v) => v.category);
+}
+
+test("categoryField accepts managed categories in any case", () => {
+  const schema = categoryField([{ name: "Family" }, { name: "Holidays" }]);
+
+  assert.equal(schema.parse(" holidays "), "Holidays");
+  const result = schema.safeParse("Work");
+  assert.equal(result.success, false);
+  assert.match(result.error.issues[0].message, /Use one of: Family, Holidays/);
+});
+
+test("renaming a category rewrites its videos and keeps its place", async () => {
+  await seed(
+    ["Family", "Trips", "Friends"],
+    [makeVideo(1, { category: "Trips" }), makeVideo(2), makeVideo(3, { category: "Trips" })]
+  );
+
+  const response = await callHandler(categories, {
+    method: "PUT",
+    url: "/api/admin/categories/trips",
+    token: await signIn("owner"),
+    body: { name: "Holidays" },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.videosChanged, 2);
+  assert.deepEqual(await categoryNames(), ["Family", "Holidays", "Friends"]);
+  assert.deepEqual(await videoCategories(), ["Holidays", "Family", "Holidays"]);
+});
+
+test("a rename that fails part way leaves every video in a managed category", async () => {
+  await seed(["Family", "Trips"], [makeVideo(1, { category: "Trips" })]);
+
+  const store = getCatalogStore();
+  const { write, writeMany } = store;
+  store.write = async (name, ...args) => {
+    if (name === "catalog") throw new Error("Store unavailable");
+    return write.call(store, name, ...args);
+  };
+  // The catalog is committed together with the public file when both change
+  store.writeMany = async () => {
+    throw new Error("Store unavailable");
+  };
+  try {
+    const response = await callHandler(categories, {
+      method: "PUT",
+      url: "/api/admin/categories/Trips",
+      token: await signIn("owner"),
+      body: { name: "Holidays" },
+    });
+    assert.equal(response.status, 500);
+  } finally {
+    Object.assign(store, { write, writeMany });
+  }
+
+  // The new name was added first; the old one is only removed at the end
+  assert.deepEqual(await categoryNames(), ["Family", "Trips", "Holidays"]);
+  assert.deepEqual(await videoCategories(), ["Trips"]);
+});
+
+test("renaming onto another category's name asks for a merge", async () => {
+  await seed(["Family", "Trips"], [makeVideo(1)]);
+
+  const response = await callHandler(categories, {
+    method: "PUT",
+    url: "/api/admin/categories/Trips",
+    token: await signIn("owner"),
+    body: { name: "family" },
+  });
+
+  assert.equal(response.status, 409);
+  assert.match(response.body.error, /Merge the categories instead/);
+});
+
+test("merging moves unmanaged spellings into the managed category", async () => {
+  await seed(
+    ["Family", "Trips"],
+    [makeVideo(1, { category: "family" }), makeVideo(2), makeVideo(3, { category: "Trips" })]
+  );
+  const token = await signIn("owner");
+
+  const response = await callHandler(categories, {
+    method: "POST",
+    url: "/api/admin/categories/family/merge",
+    token,
+    body: { into: "Family" },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.videosChanged, 1);
+  assert.deepEqual(await videoCategories(), ["Family", "Family", "Trips"]);
+
+  const merged = await callHandler(categories, {
+    method: "POST",
+    url: "/api/admin/categories/Trips/merge",
+    token,
+    body: { into: "Family" },
+  });
+  assert.equal(merged.status, 200);
+  assert.deepEqual(await categoryNames(), ["Family"]);
+
+  const self = await callHandler(categories, {
+    method: "POST",
+    url: "/api/admin/categories/Family/merge",
+    token,
+    body: { into: "family" },
+  });
+  assert.equal(self.status, 400);
+});
+
+test("only owners can rename or merge categories", async () => {
+  await seed(["Family", "Trips"], [makeVideo(1)]);
+
+  const response = await callHandler(categories, {
+    method: "PUT",
+    url: "/api/admin/categories/Trips",
+    token: await signIn("editor"),
+    body: { name: "Holidays" },
+  });
+
+  assert.equal(response.status, 403);
+  assert.deepEqual(await categoryNames(), ["Family", "Trips"]);
+});
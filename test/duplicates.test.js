@@ -0,0 +1,82 @@
+// Duplicate detection: comparison keys, the duplicate scan and bulk adds
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog } = require("./helpers");
+
+const {
+  normalizeVideoUrl,
+  getVideoKeys,
+  findDuplicates,
+} = require("../api/duplicates");
+const { writeVideosJson } = require("../api/catalog");
+
+test("hosted links compare by provider and id, whatever their form", () => {
+  assert.equal(
+    normalizeVideoUrl("https://youtu.be/abcdefghijk?t=30"),
+    normalizeVideoUrl("https://www.youtube.com/watch?v=abcdefghijk")
+  );
+  assert.equal(
+    normalizeVideoUrl("https://www.example.com/film/?utm_source=mail"),
+    "example.com/film"
+  );
+});
+
+test("a video's keys are its hosted ids and its normalized URL", () => {
+  assert.deepEqual(
+    getVideoKeys({
+      youtubeId: "abcdefghijk",
+      videoUrl: "https://youtu.be/abcdefghijk",
+    }),
+    ["youtube:abcdefghijk"]
+  );
+  assert.deepEqual(getVideoKeys({ videoUrl: "/uploads/party.mp4" }), [
+    "/uploads/party.mp4",
+  ]);
+});
+
+test("findDuplicates reports why a candidate matches", () => {
+  const catalog = [makeVideo(1), makeVideo(2, { title: "Beach day", year: 2019 })];
+
+  assert.deepEqual(
+    findDuplicates(catalog, { youtubeId: "video1" }).map((d) => d.reason),
+    ["youtubeId"]
+  );
+  assert.deepEqual(
+    findDuplicates(catalog, { title: "Beach Day!", year: 2019 }).map(
+      (d) => [d.reason, d.video.id]
+    ),
+    [["titleAndDate", 2]]
+  );
+});
+
+test("addMany skips videos already in the catalog by id or link", async () => {
+  // An older entry with a YouTube link but no youtubeId
+  const { youtubeId, ...linkOnly } = makeVideo(2, {
+    videoUrl: "https://youtu.be/linkedvideo",
+  });
+  await seedCatalog([makeVideo(1), linkOnly]);
+
+  const result = await writeVideosJson(
+    {
+      type: "addMany",
+      videos: [
+        makeVideo(0, { youtubeId: "video1", videoUrl: "https://youtu.be/video1" }),
+        makeVideo(0, {
+          youtubeId: "linkedvideo",
+          videoUrl: "https://www.youtube.com/watch?v=linkedvideo",
+        }),
+        makeVideo(0, { youtubeId: "newvideo1", videoUrl: "https://youtu.be/newvideo1" }),
+        makeVideo(0, { youtubeId: "newvideo1", videoUrl: "https://youtu.be/newvideo1" }),
+      ].map(({ id, ...video }) => video),
+    },
+    "Add videos"
+  );
+
+  assert.deepEqual(
+    result.added.map((v) => [v.id, v.youtubeId]),
+    [[3, "newvideo1"]]
+  );
+  assert.equal(result.skipped.length, 3);
+});
@@ -0,0 +1,193 @@
+// Shared test setup: offline stores in a temporary directory, signed-in users and mock requests
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+// Set before any api module is loaded, since they read it at load time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gaby-admin-test-"));
+process.env.DATA_STORE = "memory";
+process.env.CATALOG_STORE = "local";
+process.env.CATALOG_LOCAL_PATH = path.join(dataDir, "videos.json");
+process.env.BLOB_STORE = "local";
+process.env.BLOB_LOCAL_DIR = path.join(dataDir, "uploads");
+
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Build a catalog entry
+ * @param {number} id - Video ID
+ * @param {Object} fields - Fields to set or override
+ * @returns {Object} Video
+ */
+function makeVideo(id, fields = {}) {
+  return {
+    id,
+    title: `Video ${id}`,
+    description: "",
+    thumbnail: "",
+    videoUrl: `https://www.youtube.com/watch?v=video${id}`,
+    youtubeId: `video${id}`,
+    category: "Family",
+    year: 2020,
+    ...fields,
+  };
+}
+
+function mp4Box(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, "latin1");
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build a minimal MP4 file: ftyp, a moov box with the movie header and one
+ * video track header, and an mdat box (before moov with `moovLast`)
+ * @param {Object} options - { duration, timescale, createdAt, width, height, moovLast }
+ * @returns {Buffer} File contents
+ */
+function makeMp4({
+  duration = 90,
+  timescale = 1000,
+  createdAt,
+  width = 1280,
+  height = 720,
+  moovLast = false,
+} = {}) {
+  // Seconds since 1904-01-01; 0 means unknown
+  const created = createdAt ? Math.floor(createdAt.getTime() / 1000) + 2082844800 : 0;
+
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(created, 4);
+  mvhd.writeUInt32BE(created, 8);
+  mvhd.writeUInt32BE(timescale, 12);
+  mvhd.writeUInt32BE(duration * timescale, 16);
+
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 0x10000, 76);
+  tkhd.writeUInt32BE(height * 0x10000, 80);
+
+  const ftyp = mp4Box("ftyp", Buffer.from("isom\0\0\0\0isom", "latin1"));
+  const moov = mp4Box("moov", mp4Box("mvhd", mvhd), mp4Box("trak", mp4Box("tkhd", tkhd)));
+  const mdat = mp4Box("mdat", Buffer.alloc(64));
+  return Buffer.concat(moovLast ? [ftyp, mdat, moov] : [ftyp, moov, mdat]);
+}
+
+/**
+ * Replace the stored catalog
+ * @param {Array} videos - Catalog videos
+ * @returns {Promise<Object>} writeVideosJson result
+ */
+async function seedCatalog(videos) {
+  const { writeVideosJson } = require("../api/catalog");
+  return writeVideosJson({ type: "replace", videos }, "Seed catalog");
+}
+
+/**
+ * Create a user with a role and sign them in
+ * @param {string} role - viewer, editor or owner
+ * @param {string} username - Username (random if omitted)
+ * @returns {Promise<string>} Access token
+ */
+async function signIn(role, username = `${role}-${crypto.randomUUID().substring(0, 8)}`) {
+  const { createUser, findUser } = require("../api/users");
+  const { issueTokens } = require("../api/tokens");
+  await createUser({ username, password: "correct horse battery", role });
+  const { token } = await issueTokens(await findUser(username));
+  return token;
+}
+
+/**
+ * Encode a multipart/form-data body
+ * @param {Object} fields - Text fields
+ * @param {Object} files - { [field]: { filename, contentType, data } }
+ * @returns {Object} { rawBody, headers } to pass to callHandler
+ */
+function multipart(fields, files = {}) {
+  const boundary = "test-boundary";
+  const parts = [];
+  for (const [name, value] of Object.entries(fields)) {
+    parts.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+      )
+    );
+  }
+  for (const [name, file] of Object.entries(files)) {
+    parts.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`
+      ),
+      file.data,
+      Buffer.from("\r\n")
+    );
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return {
+    rawBody: Buffer.concat(parts),
+    headers: { "content-type": `multipart/form-data; boundary=${boundary}` },
+  };
+}
+
+/**
+ * Call a handler with a mock request. Each call comes from its own IP
+ * address, so rate limits don't carry over between tests. With `rawBody`,
+ * the request is a stream of those bytes (for multipart uploads).
+ * @param {Function} handler - API route handler
+ * @param {Object} request - { method, url, token?, body?, rawBody?, headers? }
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+async function callHandler(handler, { method, url, token, body, rawBody, headers = {} }) {
+  const req = Object.assign(rawBody ? Readable.from([rawBody]) : {}, {
+    method,
+    url,
+    body,
+    headers: {
+      "x-forwarded-for": `10.${crypto.randomInt(256)}.${crypto.randomInt(256)}.${crypto.randomInt(256)}`,
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+  });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  await handler(req, res);
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+module.exports = {
+  dataDir,
+  makeVideo,
+  makeMp4,
+  seedCatalog,
+  signIn,
+  multipart,
+  callHandler,
+};
@@ -0,0 +1,111 @@
+// Restoring videos and the catalog from history, with migration and role checks
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { getCatalogStore, readVideosJson } = require("../api/catalog");
+const history = require("../api/admin/history");
+
+const SHA = "0123456789abcdef0123456789abcdef01234567";
+
+/**
+ * Give the local store a single past commit to restore from
+ * @param {Object|Array} catalog - catalog.json at that commit
+ */
+function withSnapshot(catalog) {
+  const store = getCatalogStore();
+  store.readAt = async (name, ref) =>
+    name === "catalog" && ref === SHA ? catalog : null;
+  store.listCommits = async () => [];
+}
+
+test.afterEach(() => {
+  const store = getCatalogStore();
+  delete store.readAt;
+  delete store.listCommits;
+});
+
+async function currentVideos() {
+  return (await readVideosJson()).videos;
+}
+
+function restore(token, body) {
+  return callHandler(history, {
+    method: "POST",
+    url: `/api/admin/history/${SHA}/restore`,
+    token,
+    body,
+  });
+}
+
+test("editors restore a video to its state at a commit", async () => {
+  await seedCatalog([makeVideo(1, { title: "Renamed" }), makeVideo(2)]);
+  withSnapshot({ schemaVersion: 2, videos: [makeVideo(1), makeVideo(2)] });
+
+  const response = await restore(await signIn("editor"), { videoId: 1 });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.title, "Video 1");
+  assert.equal((await currentVideos())[0].title, "Video 1");
+});
+
+test("restoring a video that did not exist at the commit needs the owner role", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2)]);
+  withSnapshot({ schemaVersion: 2, videos: [makeVideo(1)] });
+
+  const denied = await restore(await signIn("editor"), { videoId: 2 });
+  assert.equal(denied.status, 403);
+  assert.deepEqual(
+    (await currentVideos()).map((v) => v.id),
+    [1, 2]
+  );
+
+  const allowed = await restore(await signIn("owner"), { videoId: 2 });
+  assert.equal(allowed.status, 200);
+  assert.deepEqual(
+    (await currentVideos()).map((v) => v.id),
+    [1]
+  );
+});
+
+test("restoring the whole catalog needs the owner role", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2)]);
+  withSnapshot({ schemaVersion: 2, videos: [makeVideo(1)] });
+
+  assert.equal((await restore(await signIn("editor"), {})).status, 403);
+  assert.equal((await currentVideos()).length, 2);
+
+  const response = await restore(await signIn("owner"), {});
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    (await currentVideos()).map((v) => v.id),
+    [1]
+  );
+});
+
+test("snapshots from an older schema are migrated before they are restored", async () => {
+  await seedCatalog([makeVideo(1)]);
+  // Version 1 stored a bare array with string years and no descriptions
+  const { description, thumbnail, ...legacy } = makeVideo(1, { year: "2019" });
+  withSnapshot([legacy]);
+
+  const response = await restore(await signIn("owner"), {});
+
+  assert.equal(response.status, 200);
+  const [video] = await currentVideos();
+  assert.equal(video.year, 2019);
+  assert.equal(video.description, "");
+  assert.equal(video.thumbnail, "");
+});
+
+test("snapshots from a newer schema are refused", async () => {
+  await seedCatalog([makeVideo(1, { title: "Current" })]);
+  withSnapshot({ schemaVersion: 99, videos: [makeVideo(1)] });
+
+  const response = await restore(await signIn("editor"), { videoId: 1 });
+
+  assert.equal(response.status, 409);
+  assert.equal((await currentVideos())[0].title, "Current");
+});
@@ -0,0 +1,75 @@
+// Locales: Accept-Language parsing, negotiation and translated public videos
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, callHandler } = require("./helpers");
+
+const {
+  parseAcceptLanguage,
+  listLocales,
+  negotiateLocale,
+  localizeVideo,
+} = require("../api/locales");
+const publicVideos = require("../api/videos");
+
+const translated = makeVideo(1, {
+  title: "Birthday",
+  description: "Her fifth birthday",
+  translations: {
+    es: { title: "Cumpleaños", description: "Su quinto cumpleaños" },
+    "pt-BR": { title: "Aniversário" },
+  },
+});
+
+test("Accept-Language is ordered by q, without * and refused languages", () => {
+  assert.deepEqual(parseAcceptLanguage("es-MX,es;q=0.9,en;q=0.5"), ["es-MX", "es", "en"]);
+  assert.deepEqual(parseAcceptLanguage("fr;q=0.3, de , *;q=0.1, it;q=0"), ["de", "fr"]);
+  assert.deepEqual(parseAcceptLanguage(undefined), []);
+});
+
+test("locales match exactly, then by language, else the default", () => {
+  const available = listLocales([translated, makeVideo(2)]);
+  assert.deepEqual(available, ["en", "es", "pt-BR"]);
+
+  assert.equal(negotiateLocale(["pt-br"], available), "pt-BR");
+  assert.equal(negotiateLocale(["es-MX"], available), "es");
+  assert.equal(negotiateLocale(["pt-PT"], available), "pt-BR");
+  assert.equal(negotiateLocale(["fr", "es"], available), "es");
+  assert.equal(negotiateLocale(["fr"], available), "en");
+});
+
+test("missing translated fields keep the default text", () => {
+  const spanish = localizeVideo(translated, "es");
+  assert.equal(spanish.title, "Cumpleaños");
+  assert.equal(spanish.description, "Su quinto cumpleaños");
+  assert.equal("translations" in spanish, false);
+
+  const portuguese = localizeVideo(translated, "pt-BR");
+  assert.equal(portuguese.title, "Aniversário");
+  assert.equal(portuguese.description, "Her fifth birthday");
+
+  assert.equal(localizeVideo(translated, "en").title, "Birthday");
+});
+
+test("the public list is served in the requested language; ?lang wins", async () => {
+  await seedCatalog([translated]);
+  const get = async (url, headers = {}) => {
+    const response = await callHandler(publicVideos, { method: "GET", url, headers });
+    return { ...response, body: JSON.parse(response.body) };
+  };
+
+  const browser = await get("/api/videos", { "accept-language": "es-ES,es;q=0.9" });
+  assert.equal(browser.headers["content-language"], "es");
+  assert.equal(browser.body.data[0].title, "Cumpleaños");
+  assert.deepEqual(browser.body.locales, ["en", "es", "pt-BR"]);
+  assert.match(browser.headers.vary, /Accept-Language/);
+
+  const chosen = await get("/api/videos?lang=en", { "accept-language": "es" });
+  assert.equal(chosen.body.locale, "en");
+  assert.equal(chosen.body.data[0].title, "Birthday");
+  assert.notEqual(chosen.headers.etag, browser.headers.etag);
+
+  const invalid = await callHandler(publicVideos, { method: "GET", url: "/api/videos?lang=!!" });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,165 @@
+// Uploaded video inspection: MP4/MOV and WebM headers
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  dataDir,
+  makeVideo,
+  makeMp4,
+  seedCatalog,
+  signIn,
+  multipart,
+  callHandler,
+} = require("./helpers");
+
+// No poster frames: the tests only read container metadata
+process.env.FFMPEG_PATH = path.join(dataDir, "no-ffmpeg");
+const { probeVideo, inspectVideo } = require("../api/media");
+const videos = require("../api/admin/videos");
+
+function ebml(id, ...data) {
+  const body = Buffer.concat(data);
+  // 8-byte size: marker byte then 7 bytes of length
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  size.writeUIntBE(body.length, 2, 6);
+  return Buffer.concat([Buffer.from(id.toString(16).padStart(2, "0"), "hex"), size, body]);
+}
+
+function uint(value, bytes = 4) {
+  const buffer = Buffer.alloc(bytes);
+  buffer.writeUIntBE(value, 0, bytes);
+  return buffer;
+}
+
+/**
+ * Build the head of a WebM file with Info and a video track
+ * @param {Object} options - { duration (ms), dateUtc, width, height }
+ * @returns {Buffer} File contents
+ */
+function makeWebm({ duration = 5000, dateUtc, width = 640, height = 480 }) {
+  const durationValue = Buffer.alloc(8);
+  durationValue.writeDoubleBE(duration);
+  const info = [ebml(0x2ad7b1, uint(1000000)), ebml(0x4489, durationValue)];
+  if (dateUtc) {
+    const date = Buffer.alloc(8);
+    date.writeBigInt64BE(BigInt(dateUtc.getTime() - Date.UTC(2001, 0, 1)) * 1000000n);
+    info.push(ebml(0x4461, date));
+  }
+
+  return Buffer.concat([
+    ebml(0x1a45dfa3, ebml(0x4282, Buffer.from("webm"))),
+    ebml(
+      0x18538067,
+      ebml(0x1549a966, ...info),
+      ebml(
+        0x1654ae6b,
+        ebml(0xae, ebml(0xe0, ebml(0xb0, uint(width, 2)), ebml(0xba, uint(height, 2))))
+      ),
+      ebml(0x1f43b675, Buffer.alloc(32))
+    ),
+  ]);
+}
+
+function writeFixture(name, contents) {
+  const filePath = path.join(dataDir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+test("MP4 duration, dimensions and creation time come from moov", async () => {
+  const filePath = writeFixture(
+    "clip.mp4",
+    makeMp4({
+      duration: 75,
+      timescale: 600,
+      width: 1920,
+      height: 1080,
+      createdAt: new Date("2018-08-12T09:30:00Z"),
+    })
+  );
+
+  assert.deepEqual(await probeVideo(filePath), {
+    duration: 75,
+    width: 1920,
+    height: 1080,
+    createdAt: new Date("2018-08-12T09:30:00Z"),
+  });
+});
+
+test("moov is found after the media data too", async () => {
+  const filePath = writeFixture("late.mp4", makeMp4({ duration: 3, moovLast: true }));
+
+  assert.equal((await probeVideo(filePath)).duration, 3);
+});
+
+test("an unknown MP4 creation time is left out", async () => {
+  const filePath = writeFixture("undated.mp4", makeMp4({ createdAt: undefined }));
+
+  assert.equal((await probeVideo(filePath)).createdAt, undefined);
+});
+
+test("WebM duration, dimensions and date come from Info and Tracks", async () => {
+  const filePath = writeFixture(
+    "clip.webm",
+    makeWebm({ duration: 12500, dateUtc: new Date("2020-05-01T00:00:00Z"), width: 854, height: 480 })
+  );
+
+  assert.deepEqual(await probeVideo(filePath), {
+    duration: 12.5,
+    createdAt: new Date("2020-05-01T00:00:00Z"),
+    width: 854,
+    height: 480,
+  });
+});
+
+test("truncated or unknown files yield no details", async () => {
+  const truncated = makeMp4().subarray(0, 30);
+  assert.deepEqual(await probeVideo(writeFixture("cut.mp4", truncated)), {});
+  assert.deepEqual(
+    await probeVideo(writeFixture("notes.txt", Buffer.from("not a video at all"))),
+    {}
+  );
+});
+
+test("without ffmpeg, inspection still returns the container details", async () => {
+  const filePath = writeFixture("poster.mp4", makeMp4({ duration: 20 }));
+
+  const details = await inspectVideo(filePath);
+
+  assert.equal(details.duration, 20);
+  assert.equal(details.poster, undefined);
+});
+
+test("an uploaded video fills in its details; form fields override them", async () => {
+  await seedCatalog([makeVideo(1)]);
+  const file = makeMp4({
+    duration: 61.6,
+    timescale: 10,
+    width: 720,
+    height: 1280,
+    createdAt: new Date("2016-12-24T18:00:00Z"),
+  });
+
+  const response = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/local",
+    token: await signIn("editor"),
+    ...multipart(
+      { title: "Christmas Eve", category: "Family", width: "360" },
+      { video: { filename: "eve.mp4", contentType: "video/mp4", data: file } }
+    ),
+  });
+
+  assert.equal(response.status, 201);
+  const video = response.body.data;
+  assert.match(video.videoUrl, /^\/uploads\/videos\/.+\.mp4$/);
+  assert.equal(video.duration, 62);
+  assert.equal(video.width, 360);
+  assert.equal(video.height, 1280);
+  assert.equal(video.date, "2016");
+  assert.equal(video.year, 2016);
+});
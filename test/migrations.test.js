@@ -0,0 +1,137 @@
+// Catalog schema migrations: version 1 catalogs, previews and the migrate endpoint
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, signIn, callHandler } = require("./helpers");
+
+const { getPendingMigrations, migrateVideos } = require("../api/migrations");
+const { parseCatalog, CATALOG_SCHEMA_VERSION } = require("../api/catalogSchema");
+const {
+  getCatalogStore,
+  readDocument,
+  readVideosJson,
+  writeVideosJson,
+} = require("../api/catalog");
+const catalog = require("../api/admin/catalog");
+
+/**
+ * Store a version 1 catalog: a bare array with loosely typed fields
+ * @param {Array} videos - Catalog videos
+ */
+async function seedVersion1(videos) {
+  const store = getCatalogStore();
+  const { sha } = await store.read("catalog");
+  await store.write("catalog", videos, sha, "Seed version 1 catalog");
+}
+
+function legacyVideo(id, fields = {}) {
+  const { description, thumbnail, ...video } = makeVideo(id, fields);
+  return video;
+}
+
+function migrate(token, body = {}) {
+  return callHandler(catalog, {
+    method: "POST",
+    url: "/api/admin/catalog/migrate",
+    token,
+    body,
+  });
+}
+
+test("a bare array is read as schema version 1", () => {
+  assert.deepEqual(parseCatalog([makeVideo(1)]), {
+    schemaVersion: 1,
+    videos: [makeVideo(1)],
+  });
+  assert.deepEqual(parseCatalog(null), { schemaVersion: CATALOG_SCHEMA_VERSION, videos: [] });
+});
+
+test("version 2 normalizes dates and years and fills in missing fields", () => {
+  const videos = [
+    legacyVideo(1, { date: 2014, year: "2014" }),
+    legacyVideo(2, { date: "2015-06-01T10:00:00Z" }),
+    legacyVideo(3, { date: "someday" }),
+  ];
+
+  const result = migrateVideos(videos, 1);
+
+  assert.equal(result.fromVersion, 1);
+  assert.equal(result.schemaVersion, 2);
+  assert.deepEqual(result.migrations.map((m) => m.version), [2]);
+  assert.deepEqual(result.videos.map((v) => v.date), ["2014", "2015-06-01", "someday"]);
+  assert.equal(result.videos[0].year, 2014);
+  assert.equal(result.videos[0].description, "");
+  assert.equal(result.videos[0].thumbnail, "");
+  // The input is left alone
+  assert.equal(videos[0].year, "2014");
+});
+
+test("migrations are safe to re-run and none are pending at the latest version", () => {
+  const once = migrateVideos([legacyVideo(1, { date: "2014-01-02" })], 1).videos;
+  assert.deepEqual(migrateVideos(once, 1).videos, once);
+  assert.deepEqual(getPendingMigrations(CATALOG_SCHEMA_VERSION), []);
+  assert.deepEqual(migrateVideos(once, CATALOG_SCHEMA_VERSION).migrations, []);
+});
+
+test("ordinary writes keep a version 1 catalog at version 1", async () => {
+  await seedVersion1([legacyVideo(1), legacyVideo(2)]);
+
+  await writeVideosJson(
+    { type: "update", id: 2, changes: { title: "Renamed" } },
+    "Rename video 2"
+  );
+
+  const { data } = await readDocument("catalog");
+  assert.ok(Array.isArray(data));
+  assert.equal(data[1].title, "Renamed");
+});
+
+test("a dry run previews the migration without writing", async () => {
+  await seedVersion1([legacyVideo(1, { year: "2011" })]);
+  const token = await signIn("owner");
+
+  const status = await callHandler(catalog, { method: "GET", url: "/api/admin/catalog", token });
+  assert.equal(status.body.data.schemaVersion, 1);
+  assert.equal(status.body.data.pendingMigrations.length, 1);
+
+  const response = await migrate(token, { dryRun: true });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.dryRun, true);
+  assert.equal(response.body.data.from, 1);
+  assert.equal(response.body.data.to, 2);
+  assert.equal(response.body.data.changes.length, 1);
+  assert.ok(Array.isArray((await readDocument("catalog")).data));
+});
+
+test("migrating upgrades the catalog in one commit listing each step", async (t) => {
+  await seedVersion1([legacyVideo(1, { year: "2011" })]);
+  const token = await signIn("owner");
+  const writeMany = t.mock.method(getCatalogStore(), "writeMany");
+  const write = t.mock.method(getCatalogStore(), "write");
+
+  const response = await migrate(token);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, "Catalog migrated to schema version 2");
+  const messages = [
+    ...writeMany.mock.calls.map((call) => call.arguments[1]),
+    ...write.mock.calls.map((call) => call.arguments[3]),
+  ];
+  assert.equal(messages.length, 1);
+  assert.match(messages[0], /^Migrate catalog to schema version 2\n\n- v2: /);
+
+  const { schemaVersion, videos } = await readVideosJson();
+  assert.equal(schemaVersion, 2);
+  assert.equal(videos[0].year, 2011);
+
+  const again = await migrate(token);
+  assert.equal(again.body.message, "Catalog is already up to date");
+  assert.equal(again.body.commitSha, null);
+});
+
+test("only owners can migrate the catalog", async () => {
+  const response = await migrate(await signIn("editor"));
+  assert.equal(response.status, 403);
+});
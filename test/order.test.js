@@ -0,0 +1,89 @@
+// Display order: reordering by ids or moves, with featured videos pinned first
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { readVideosJson, writeVideosJson } = require("../api/catalog");
+const videos = require("../api/admin/videos");
+
+async function order() {
+  return (await readVideosJson()).videos.map((v) => v.id);
+}
+
+function reorder(token, body) {
+  return callHandler(videos, {
+    method: "PUT",
+    url: "/api/admin/videos/order",
+    token,
+    body,
+  });
+}
+
+test("ids are reordered within the positions they occupy", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2), makeVideo(3), makeVideo(4)]);
+
+  const response = await reorder(await signIn("editor"), { ids: [4, 2] });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data, [1, 4, 3, 2]);
+  assert.deepEqual(await order(), [1, 4, 3, 2]);
+});
+
+test("moves are applied in turn", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2), makeVideo(3)]);
+  const token = await signIn("editor");
+
+  const response = await reorder(token, {
+    moves: [
+      { id: 3, before: 1 },
+      { id: 1, after: 2 },
+    ],
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await order(), [3, 2, 1]);
+
+  const self = await reorder(token, { moves: [{ id: 2, before: 2 }] });
+  assert.equal(self.status, 400);
+  const missing = await reorder(token, { ids: [9] });
+  assert.equal(missing.status, 404);
+});
+
+test("featured videos are pinned to the top on every write", async () => {
+  await seedCatalog([makeVideo(1), makeVideo(2), makeVideo(3)]);
+
+  await writeVideosJson(
+    { type: "update", id: 3, changes: { featured: true } },
+    "Feature video 3"
+  );
+
+  assert.deepEqual(await order(), [3, 1, 2]);
+});
+
+test("featured videos can be reordered among themselves", async () => {
+  await seedCatalog([
+    makeVideo(1, { featured: true }),
+    makeVideo(2, { featured: true }),
+    makeVideo(3),
+  ]);
+
+  const response = await reorder(await signIn("editor"), { ids: [2, 1, 3] });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await order(), [2, 1, 3]);
+});
+
+test("an order that moves a featured video below the others is rejected", async () => {
+  await seedCatalog([makeVideo(1, { featured: true }), makeVideo(2), makeVideo(3)]);
+  const token = await signIn("editor");
+
+  const byIds = await reorder(token, { ids: [2, 3, 1] });
+  assert.equal(byIds.status, 400);
+  assert.match(byIds.body.error, /Featured videos must stay above the others/);
+
+  const byMove = await reorder(token, { moves: [{ id: 3, before: 1 }] });
+  assert.equal(byMove.status, 400);
+
+  assert.deepEqual(await order(), [1, 2, 3]);
+});
@@ -0,0 +1,92 @@
+// Public read API: published videos only, filters, ETags and the in-process cache
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, callHandler } = require("./helpers");
+
+const { getCatalogStore } = require("../api/catalog");
+const { serializeCatalog } = require("../api/catalogSchema");
+const { invalidatePublicVideos } = require("../api/publicCache");
+const publicVideos = require("../api/videos");
+
+async function get(url = "/api/videos", headers = {}) {
+  const response = await callHandler(publicVideos, { method: "GET", url, headers });
+  if (response.status === 200) response.body = JSON.parse(response.body);
+  return response;
+}
+
+const ids = (response) => response.body.data.map((v) => v.id);
+
+test("only published videos are listed, without admin fields", async () => {
+  await seedCatalog([
+    makeVideo(1, { status: "published" }),
+    makeVideo(2, { status: "draft" }),
+    makeVideo(3, { status: "scheduled", publishAt: "2999-01-01T00:00:00Z" }),
+    makeVideo(4),
+  ]);
+
+  const response = await get();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(ids(response), [1, 4]);
+  assert.equal("status" in response.body.data[0], false);
+  assert.match(response.headers["cache-control"], /s-maxage=60/);
+});
+
+test("category and year filters take comma-separated lists", async () => {
+  await seedCatalog([
+    makeVideo(1, { category: "Family", year: 2010 }),
+    makeVideo(2, { category: "Trips", year: 2011 }),
+    makeVideo(3, { category: "School", year: 2012 }),
+  ]);
+
+  assert.deepEqual(ids(await get("/api/videos?category=family,trips")), [1, 2]);
+  assert.deepEqual(ids(await get("/api/videos?year=2011,2012")), [2, 3]);
+  assert.deepEqual(ids(await get("/api/videos?category=Trips&year=2010")), []);
+
+  const invalid = await get("/api/videos?year=last");
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.details.year);
+});
+
+test("a matching If-None-Match is answered with 304", async () => {
+  await seedCatalog([makeVideo(1)]);
+
+  const first = await get();
+  const etag = first.headers.etag;
+  assert.match(etag, /^"[\w-]+"$/);
+
+  const again = await get("/api/videos", { "if-none-match": `W/${etag}` });
+  assert.equal(again.status, 304);
+
+  const filtered = await get("/api/videos?category=Trips", { "if-none-match": etag });
+  assert.equal(filtered.status, 200);
+});
+
+test("writes in this instance clear the cache; outside changes wait for it to expire", async () => {
+  await seedCatalog([makeVideo(1)]);
+  assert.deepEqual(ids(await get()), [1]);
+
+  // Another instance commits a new video
+  const store = getCatalogStore();
+  const { sha } = await store.read("catalog");
+  await store.write("catalog", serializeCatalog(2, [makeVideo(1), makeVideo(2)]), sha, "Elsewhere");
+  assert.deepEqual(ids(await get()), [1]);
+
+  invalidatePublicVideos();
+  assert.deepEqual(ids(await get()), [1, 2]);
+
+  await seedCatalog([makeVideo(3)]);
+  assert.deepEqual(ids(await get()), [3]);
+});
+
+test("only GET and HEAD are allowed", async () => {
+  const head = await callHandler(publicVideos, { method: "HEAD", url: "/api/videos" });
+  assert.equal(head.status, 200);
+  assert.equal(head.body, "");
+
+  const post = await callHandler(publicVideos, { method: "POST", url: "/api/videos" });
+  assert.equal(post.status, 405);
+  assert.deepEqual(post.headers.allow, ["GET", "HEAD", "OPTIONS"]);
+});
@@ -0,0 +1,108 @@
+// Video states: only published videos reach the public videos.json, in the catalog's commit
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { getCatalogStore, readDocument, writeVideosJson } = require("../api/catalog");
+const publish = require("../api/cron/publish");
+
+async function publicIds() {
+  return (await readDocument("videos")).data.map((v) => v.id);
+}
+
+test("drafts, scheduled and hidden videos stay out of the public file", async () => {
+  await seedCatalog([
+    makeVideo(1),
+    makeVideo(2, { status: "draft" }),
+    makeVideo(3, { status: "scheduled", publishAt: "2999-01-01T00:00:00Z" }),
+    makeVideo(4, { status: "hidden" }),
+    makeVideo(5, { status: "published" }),
+  ]);
+
+  assert.deepEqual(await publicIds(), [1, 5]);
+  const [published] = (await readDocument("videos")).data;
+  assert.equal("status" in published, false);
+  assert.equal((await readDocument("catalog")).data.videos.length, 5);
+});
+
+test("due scheduled videos are published, later ones wait", async () => {
+  await seedCatalog([
+    makeVideo(1),
+    makeVideo(2, { status: "scheduled", publishAt: "2000-01-01T00:00:00Z" }),
+    makeVideo(3, { status: "scheduled", publishAt: "2999-01-01T00:00:00Z" }),
+  ]);
+
+  const response = await callHandler(publish, {
+    method: "POST",
+    url: "/api/cron/publish",
+    token: await signIn("editor"),
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.published, [{ id: 2, title: "Video 2" }]);
+  assert.deepEqual(await publicIds(), [1, 2]);
+  const catalog = (await readDocument("catalog")).data.videos;
+  assert.equal(catalog[1].status, "published");
+  assert.equal("publishAt" in catalog[1], false);
+  assert.equal(catalog[2].status, "scheduled");
+});
+
+test("the catalog and the public file are written in one commit", async (t) => {
+  await seedCatalog([makeVideo(1), makeVideo(2, { status: "draft" })]);
+  const store = getCatalogStore();
+  const writeMany = t.mock.method(store, "writeMany");
+  const write = t.mock.method(store, "write");
+
+  await writeVideosJson(
+    { type: "update", id: 2, changes: { status: "published" } },
+    "Publish video 2"
+  );
+
+  assert.equal(write.mock.callCount(), 0);
+  assert.equal(writeMany.mock.callCount(), 1);
+  const [writes, message] = writeMany.mock.calls[0].arguments;
+  assert.deepEqual(writes.map((w) => w.name), ["catalog", "videos"]);
+  assert.equal(message, "Publish video 2");
+  assert.deepEqual(await publicIds(), [1, 2]);
+});
+
+test("a change to unpublished videos leaves the public file alone", async (t) => {
+  await seedCatalog([makeVideo(1), makeVideo(2, { status: "draft" })]);
+  const store = getCatalogStore();
+  const writeMany = t.mock.method(store, "writeMany");
+  const write = t.mock.method(store, "write");
+
+  await writeVideosJson(
+    { type: "update", id: 2, changes: { title: "Still a draft" } },
+    "Rename draft"
+  );
+
+  assert.equal(writeMany.mock.callCount(), 0);
+  assert.deepEqual(write.mock.calls.map((c) => c.arguments[0]), ["catalog"]);
+});
+
+test("a stale public file retries the whole commit", async (t) => {
+  await seedCatalog([makeVideo(1), makeVideo(2, { status: "draft" })]);
+  const store = getCatalogStore();
+  const original = store.writeMany;
+  let conflicted = false;
+  t.mock.method(store, "writeMany", async (writes, ...rest) => {
+    if (!conflicted) {
+      // Someone else rewrites videos.json between our read and our write
+      conflicted = true;
+      const { sha } = await store.read("videos");
+      await store.write("videos", [], sha, "Concurrent sync");
+    }
+    return original(writes, ...rest);
+  });
+
+  await writeVideosJson(
+    { type: "update", id: 2, changes: { status: "published" } },
+    "Publish video 2"
+  );
+
+  assert.equal(store.writeMany.mock.callCount(), 2);
+  assert.deepEqual(await publicIds(), [1, 2]);
+});
@@ -0,0 +1,121 @@
+// Rate limits per route policy and the progressive login lockout (in-memory store)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { signIn, callHandler } = require("./helpers");
+
+const {
+  RATE_LIMIT_POLICIES,
+  enforceRateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+} = require("../api/rateLimit");
+const login = require("../api/admin/login");
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+function uniqueId(prefix) {
+  return `${prefix}-${crypto.randomUUID().substring(0, 8)}`;
+}
+
+function tryLogin(username, password, ip) {
+  return callHandler(login, {
+    method: "POST",
+    url: "/api/admin/login",
+    body: { username, password },
+    ...(ip && { headers: { "x-forwarded-for": ip } }),
+  });
+}
+
+test("requests past a policy's limit get 429 with Retry-After", async () => {
+  const meta = { ip: uniqueId("ip") };
+  const { limit } = RATE_LIMIT_POLICIES.upload;
+
+  for (let i = 1; i <= limit; i++) {
+    const res = mockResponse();
+    assert.equal(await enforceRateLimit(meta, res, "upload"), true);
+    assert.equal(res.headers["ratelimit-remaining"], String(limit - i));
+  }
+
+  const res = mockResponse();
+  assert.equal(await enforceRateLimit(meta, res, "upload"), false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers["ratelimit-policy"], `${limit};w=600`);
+  assert.ok(Number(res.headers["retry-after"]) > 0);
+});
+
+test("policies are counted separately, unknown ones use the default", async () => {
+  const meta = { ip: uniqueId("ip") };
+  for (let i = 0; i < RATE_LIMIT_POLICIES.upload.limit; i++) {
+    await enforceRateLimit(meta, mockResponse(), "upload");
+  }
+
+  const write = mockResponse();
+  assert.equal(await enforceRateLimit(meta, write, "write"), true);
+  assert.equal(write.headers["ratelimit-limit"], String(RATE_LIMIT_POLICIES.write.limit));
+
+  const unknown = mockResponse();
+  await enforceRateLimit(meta, unknown, "no-such-policy");
+  assert.equal(unknown.headers["ratelimit-limit"], String(RATE_LIMIT_POLICIES.default.limit));
+});
+
+test("an account is locked after five failed logins, from any address", async () => {
+  const username = uniqueId("editor");
+  await signIn("editor", username);
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await tryLogin(username, "wrong")).status, 401);
+  }
+  const fifth = await tryLogin(username, "wrong");
+  assert.equal(fifth.status, 429);
+  assert.equal(fifth.headers["retry-after"], "60");
+
+  // The right password is refused too while the lock lasts
+  const correct = await tryLogin(username, "correct horse battery");
+  assert.equal(correct.status, 429);
+});
+
+test("a successful login resets the account's failures", async () => {
+  const username = uniqueId("editor");
+  await signIn("editor", username);
+
+  for (let i = 0; i < 4; i++) {
+    await tryLogin(username, "wrong");
+  }
+  assert.equal((await tryLogin(username, "correct horse battery")).status, 200);
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await tryLogin(username, "wrong")).status, 401);
+  }
+});
+
+test("an address is locked after twenty failures, then for twice as long each time", async () => {
+  const ip = uniqueId("ip");
+
+  for (let i = 1; i < 20; i++) {
+    assert.equal(await recordLoginFailure(ip, uniqueId("user")), 0);
+  }
+  assert.equal(await recordLoginFailure(ip, uniqueId("user")), 60 * 1000);
+  assert.equal(await recordLoginFailure(ip, uniqueId("user")), 120 * 1000);
+
+  assert.ok((await getLoginLockout(ip, uniqueId("user"))) > 60 * 1000);
+  assert.equal(await getLoginLockout(uniqueId("ip"), uniqueId("user")), 0);
+});
@@ -0,0 +1,74 @@
+// Review mode: who goes through a change set, and what happens without the github store
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read at load time by review.js
+process.env.REVIEW_MODE = "pr";
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { REVIEW_MODE, getReviewBranch } = require("../api/review");
+const { readVideosJson } = require("../api/catalog");
+const videos = require("../api/admin/videos");
+const review = require("../api/admin/review");
+
+function rename(token, id, title) {
+  return callHandler(videos, {
+    method: "PUT",
+    url: `/api/admin/videos/${id}`,
+    token,
+    body: { title },
+  });
+}
+
+async function titles() {
+  return (await readVideosJson()).videos.map((v) => v.title);
+}
+
+test("REVIEW_MODE=pr turns review mode on", () => {
+  assert.equal(REVIEW_MODE, true);
+});
+
+test("owners' changes are committed directly", async () => {
+  await seedCatalog([makeVideo(1)]);
+
+  assert.equal(await getReviewBranch({ sub: "owner", role: "owner", sid: "abc" }), undefined);
+
+  const response = await rename(await signIn("owner"), 1, "Straight in");
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.changeSet, undefined);
+  assert.deepEqual(await titles(), ["Straight in"]);
+});
+
+test("editors' changes need the github store and are not committed without it", async () => {
+  await seedCatalog([makeVideo(1)]);
+
+  const response = await rename(await signIn("editor"), 1, "Needs review");
+
+  assert.equal(response.status, 501);
+  assert.equal(response.body.error, "Review mode needs the github catalog store");
+  assert.deepEqual(await titles(), ["Video 1"]);
+});
+
+test("viewers are refused before review mode is considered", async () => {
+  await seedCatalog([makeVideo(1)]);
+
+  const response = await rename(await signIn("viewer"), 1, "Nope");
+
+  assert.equal(response.status, 403);
+});
+
+test("only owners can list and act on change sets", async () => {
+  const editor = await signIn("editor");
+
+  const list = await callHandler(review, { method: "GET", url: "/api/admin/review", token: editor });
+  assert.equal(list.status, 403);
+
+  const approve = await callHandler(review, {
+    method: "POST",
+    url: "/api/admin/review/7/approve",
+    token: editor,
+  });
+  assert.equal(approve.status, 403);
+});
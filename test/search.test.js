@@ -0,0 +1,106 @@
+// Video list search, filters, sorting and pagination
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { parseListQuery, queryVideos } = require("../api/search");
+const videos = require("../api/admin/videos");
+
+const CATALOG = [
+  makeVideo(1, { title: "Beach day", description: "Sand castles", year: 2018 }),
+  makeVideo(2, { title: "Birthday", category: "Friends", year: 2020 }),
+  makeVideo(3, {
+    title: "Alps trip",
+    description: "Snow at the beach house",
+    youtubeId: undefined,
+    videoUrl: "/uploads/alps.mp4",
+    year: 2022,
+    status: "draft",
+  }),
+  makeVideo(4, { title: "Camping", youtubeId: undefined, vimeoId: "76979871", year: 2019 }),
+];
+
+function query(raw) {
+  const parsed = parseListQuery(raw);
+  assert.ok(parsed.success, "query should be valid");
+  return queryVideos(CATALOG, parsed.data);
+}
+
+function ids(result) {
+  return result.data.map((v) => v.id);
+}
+
+test("q matches every term in the title or description", () => {
+  assert.deepEqual(ids(query({ q: "beach" })), [1, 3]);
+  assert.deepEqual(ids(query({ q: "BEACH house" })), [3]);
+});
+
+test("filters combine category, year range, source and status", () => {
+  assert.deepEqual(ids(query({ category: "Friends,Missing" })), [2]);
+  assert.deepEqual(ids(query({ yearFrom: "2019", yearTo: "2020" })), [2, 4]);
+  assert.deepEqual(ids(query({ source: "local" })), [3]);
+  assert.deepEqual(ids(query({ source: "vimeo" })), [4]);
+  // Entries without a status count as published
+  assert.deepEqual(ids(query({ status: "published" })), [1, 2, 4]);
+});
+
+test("results keep catalog order unless sorted", () => {
+  assert.deepEqual(ids(query({})), [1, 2, 3, 4]);
+  assert.deepEqual(ids(query({ sort: "title" })), [3, 1, 2, 4]);
+  assert.deepEqual(ids(query({ sort: "date", order: "desc" })), [3, 2, 4, 1]);
+});
+
+test("offset pagination reports totals", () => {
+  const result = query({ sort: "id", limit: "2", offset: "1" });
+  assert.deepEqual(ids(result), [2, 3]);
+  assert.equal(result.meta.total, 4);
+  assert.equal(result.meta.offset, 1);
+});
+
+test("cursors continue after the last entry of the previous page", () => {
+  const first = query({ sort: "title", limit: "3" });
+  assert.deepEqual(ids(first), [3, 1, 2]);
+  assert.ok(first.meta.nextCursor);
+
+  const second = query({ sort: "title", limit: "3", cursor: first.meta.nextCursor });
+  assert.deepEqual(ids(second), [4]);
+  assert.equal(second.meta.nextCursor, null);
+});
+
+test("offset and cursor cannot be combined", () => {
+  assert.equal(parseListQuery({ offset: "1", cursor: "abc" }).success, false);
+});
+
+test("GET /api/admin/videos applies the query and rejects bad ones", async () => {
+  await seedCatalog(CATALOG);
+  const token = await signIn("viewer");
+
+  const response = await callHandler(videos, {
+    method: "GET",
+    url: "/api/admin/videos?q=beach&sort=id&order=desc",
+    token,
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.map((v) => v.id),
+    [3, 1]
+  );
+  assert.equal(response.body.meta.total, 2);
+
+  const invalid = await callHandler(videos, {
+    method: "GET",
+    url: "/api/admin/videos?limit=500",
+    token,
+  });
+  assert.equal(invalid.status, 400);
+
+  const badCursor = await callHandler(videos, {
+    method: "GET",
+    url: "/api/admin/videos?cursor=nope",
+    token,
+  });
+  assert.equal(badCursor.status, 400);
+  assert.equal(badCursor.body.error, "Invalid cursor");
+});
@@ -0,0 +1,53 @@
+// Catalog stores: the local store's reads, writes and stale-SHA detection
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { dataDir } = require("./helpers");
+
+const { getCatalogStore, readDocument } = require("../api/catalog");
+
+test("CATALOG_STORE selects the local store", () => {
+  assert.equal(getCatalogStore().name, "local");
+});
+
+test("a missing document reads as null", async () => {
+  assert.deepEqual(await readDocument("missing"), { data: null, sha: null });
+});
+
+test("a write is read back with a new sha", async () => {
+  const store = getCatalogStore();
+  const { commitSha } = await store.write("tags", ["a"], null, "Add tags");
+
+  const { data, sha } = await store.read("tags");
+  assert.deepEqual(data, ["a"]);
+  assert.equal(sha, commitSha);
+});
+
+test("a write based on a stale read is rejected as stale", async () => {
+  const store = getCatalogStore();
+  await store.write("notes", ["first"], null, "Seed notes");
+  const { sha } = await store.read("notes");
+  await store.write("notes", ["second"], sha, "Someone else's edit");
+
+  await assert.rejects(store.write("notes", ["mine"], sha, "My edit"), {
+    stale: true,
+  });
+  assert.deepEqual((await store.read("notes")).data, ["second"]);
+});
+
+test("creating a document that already exists is rejected as stale", async () => {
+  const store = getCatalogStore();
+  await store.write("created", [1], null, "Create");
+
+  await assert.rejects(store.write("created", [2], null, "Create again"), {
+    stale: true,
+  });
+});
+
+test("documents other than videos are kept beside videos.json", async () => {
+  await getCatalogStore().write("beside", { ok: true }, null, "Write");
+
+  assert.ok(fs.existsSync(path.join(dataDir, "beside.json")));
+});
@@ -0,0 +1,137 @@
+// Sessions: refresh-token rotation, reuse detection, logout and revocation
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { signIn, callHandler } = require("./helpers");
+
+const {
+  issueTokens,
+  verifyAccessToken,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  revokeAccessToken,
+  isTokenRevoked,
+} = require("../api/tokens");
+const { findUser } = require("../api/users");
+const refresh = require("../api/admin/refresh");
+const logout = require("../api/admin/logout");
+const videos = require("../api/admin/videos");
+
+const user = { _id: "editor", role: "editor" };
+
+test("issued access tokens carry the user, role and session", async () => {
+  const { token, refreshToken } = await issueTokens(user, "family-1");
+  const decoded = verifyAccessToken(token);
+
+  assert.equal(decoded.sub, "editor");
+  assert.equal(decoded.role, "editor");
+  assert.equal(decoded.sid, "family-1");
+  assert.ok(decoded.jti);
+  assert.deepEqual(await consumeRefreshToken(refreshToken), {
+    username: "editor",
+    family: "family-1",
+  });
+});
+
+test("a refresh token can be used once, then rotates within its session", async () => {
+  const first = await issueTokens(user);
+  const session = await consumeRefreshToken(first.refreshToken);
+  const second = await issueTokens(user, session.family);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(verifyAccessToken(second.token).sid, session.family);
+  assert.deepEqual(await consumeRefreshToken(second.refreshToken), session);
+});
+
+test("reusing a rotated refresh token revokes the whole session", async () => {
+  const first = await issueTokens(user);
+  const { family } = await consumeRefreshToken(first.refreshToken);
+  const second = await issueTokens(user, family);
+
+  assert.equal(await consumeRefreshToken(first.refreshToken), null);
+  assert.equal(await consumeRefreshToken(second.refreshToken), null);
+});
+
+test("unknown refresh tokens are rejected", async () => {
+  assert.equal(await consumeRefreshToken("not-a-token"), null);
+});
+
+test("revokeRefreshToken ends the session it belongs to", async () => {
+  const first = await issueTokens(user);
+  const { family } = await consumeRefreshToken(first.refreshToken);
+  const second = await issueTokens(user, family);
+
+  await revokeRefreshToken(first.refreshToken);
+
+  assert.equal(await consumeRefreshToken(second.refreshToken), null);
+});
+
+test("revokeUserSessions ends every session of a user and no one else's", async () => {
+  const mine = await issueTokens({ _id: "leaving", role: "viewer" });
+  const theirs = await issueTokens({ _id: "staying", role: "viewer" });
+
+  await revokeUserSessions("leaving");
+
+  assert.equal(await consumeRefreshToken(mine.refreshToken), null);
+  assert.ok(await consumeRefreshToken(theirs.refreshToken));
+});
+
+test("revoked access tokens are listed by jti until they expire", async () => {
+  const { token } = await issueTokens(user);
+  const decoded = verifyAccessToken(token);
+
+  assert.equal(await isTokenRevoked(decoded.jti), false);
+  await revokeAccessToken(decoded);
+  await revokeAccessToken(decoded); // Revoking twice is harmless
+  assert.equal(await isTokenRevoked(decoded.jti), true);
+
+  // Expired entries are pruned on the next revocation
+  await revokeAccessToken({ jti: "old", exp: Math.floor(Date.now() / 1000) - 60 });
+  await revokeAccessToken({ jti: "newer", exp: Math.floor(Date.now() / 1000) + 60 });
+  assert.equal(await isTokenRevoked("old"), false);
+  assert.equal(await isTokenRevoked("newer"), true);
+});
+
+test("POST /api/admin/refresh rotates the refresh token", async () => {
+  await signIn("editor", "refresher");
+  const first = await issueTokens(await findUser("refresher"));
+
+  const rotated = await callHandler(refresh, {
+    method: "POST",
+    url: "/api/admin/refresh",
+    body: { refreshToken: first.refreshToken },
+  });
+  const replayed = await callHandler(refresh, {
+    method: "POST",
+    url: "/api/admin/refresh",
+    body: { refreshToken: first.refreshToken },
+  });
+
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, first.refreshToken);
+  assert.equal(replayed.status, 401);
+});
+
+test("logging out revokes the access token and its session", async () => {
+  await signIn("viewer", "logging-out");
+  const session = await issueTokens(await findUser("logging-out"));
+
+  const response = await callHandler(logout, {
+    method: "POST",
+    url: "/api/admin/logout",
+    token: session.token,
+    body: { refreshToken: session.refreshToken },
+  });
+  const afterwards = await callHandler(videos, {
+    method: "GET",
+    url: "/api/admin/videos",
+    token: session.token,
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(afterwards.status, 401);
+  assert.equal(afterwards.body.error, "Token revoked");
+  assert.equal(await consumeRefreshToken(session.refreshToken), null);
+});
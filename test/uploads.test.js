@@ -0,0 +1,186 @@
+// Uploads: blob store selection, direct uploads and inspecting uploaded videos
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+const {
+  makeVideo,
+  makeMp4,
+  seedCatalog,
+  signIn,
+  callHandler,
+  multipart,
+} = require("./helpers");
+
+const { storeBuffer } = require("../api/uploads");
+const vercelBlobs = require("../api/blobs/vercel");
+const videos = require("../api/admin/videos");
+
+const ROOT = path.join(__dirname, "..");
+
+// Smallest file that passes the PNG signature check
+const PNG = Buffer.concat([
+  Buffer.from("\x89PNG\r\n\x1a\n", "latin1"),
+  Buffer.alloc(16),
+]);
+
+test("without a configured blob store, uploads fail instead of using the local disk", () => {
+  const env = { ...process.env };
+  delete env.BLOB_STORE;
+  delete env.BLOB_READ_WRITE_TOKEN;
+
+  const result = spawnSync(
+    process.execPath,
+    ["-e", 'require("./api/uploads").getBlobStore()'],
+    { cwd: ROOT, env, encoding: "utf-8", timeout: 30000 }
+  );
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /No blob store configured/);
+});
+
+test("direct uploads need a store that supports them", async () => {
+  const response = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/upload",
+    token: await signIn("editor"),
+    body: {
+      type: "blob.generate-client-token",
+      payload: { pathname: "videos/party.mp4", clientPayload: null },
+    },
+  });
+
+  assert.equal(response.status, 501);
+  assert.match(response.body.error, /multipart/);
+});
+
+test("direct upload requests are validated and need the editor role", async () => {
+  const invalid = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/upload",
+    token: await signIn("editor"),
+    body: { type: "blob.upload-completed", payload: {} },
+  });
+  assert.equal(invalid.status, 400);
+
+  const viewer = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/upload",
+    token: await signIn("viewer"),
+    body: {
+      type: "blob.generate-client-token",
+      payload: { pathname: "videos/party.mp4" },
+    },
+  });
+  assert.equal(viewer.status, 403);
+});
+
+test("Vercel Blob client tokens are limited to video types and size", async () => {
+  const { getPayloadFromClientToken } = require("@vercel/blob/client");
+  process.env.BLOB_READ_WRITE_TOKEN = "vercel_blob_rw_teststore_secret";
+  try {
+    const result = await vercelBlobs.createClientUpload(
+      {
+        type: "blob.generate-client-token",
+        payload: { pathname: "videos/party.mp4", clientPayload: null },
+      },
+      { headers: {} },
+      { types: ["video/mp4"], maxBytes: 1024, tokenPayload: '{"actor":"ed"}' }
+    );
+
+    const payload = getPayloadFromClientToken(result.clientToken);
+    assert.equal(payload.pathname, "videos/party.mp4");
+    assert.deepEqual(payload.allowedContentTypes, ["video/mp4"]);
+    assert.equal(payload.maximumSizeInBytes, 1024);
+  } finally {
+    delete process.env.BLOB_READ_WRITE_TOKEN;
+  }
+});
+
+test("a video already in the blob store is inspected when it is added", async () => {
+  await seedCatalog([makeVideo(1)]);
+  const { url } = await storeBuffer(
+    "videos",
+    makeMp4({ duration: 42, width: 640, height: 360, createdAt: new Date("2015-07-04T12:00:00Z") }),
+    "video/mp4"
+  );
+
+  const response = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/local",
+    token: await signIn("editor"),
+    body: {
+      title: "Fireworks",
+      category: "Family",
+      videoUrl: url,
+      thumbnail: "/uploads/thumbnails/fireworks.jpg",
+    },
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.videoUrl, url);
+  assert.equal(response.body.data.duration, 42);
+  assert.equal(response.body.data.width, 640);
+  assert.equal(response.body.data.year, 2015);
+});
+
+test("videos hosted outside the blob store are added as given", async () => {
+  await seedCatalog([makeVideo(1)]);
+
+  const response = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/local",
+    token: await signIn("editor"),
+    body: {
+      title: "Garden",
+      category: "Family",
+      year: 2012,
+      videoUrl: "/videos/garden.mp4",
+    },
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.duration, undefined);
+  assert.equal(response.body.data.year, 2012);
+});
+
+test("a form can send a directly uploaded video's URL with a thumbnail file", async () => {
+  await seedCatalog([makeVideo(1)]);
+  const { url } = await storeBuffer(
+    "videos",
+    makeMp4({ duration: 12, createdAt: new Date("2019-01-01T00:00:00Z") }),
+    "video/mp4"
+  );
+
+  const response = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/local",
+    token: await signIn("editor"),
+    ...multipart(
+      { title: "Snow", category: "Family", videoUrl: url },
+      { thumbnail: { filename: "snow.png", contentType: "image/png", data: PNG } }
+    ),
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.videoUrl, url);
+  assert.equal(response.body.data.duration, 12);
+  assert.match(response.body.data.thumbnail, /^\/uploads\/thumbnails\/.+\.png$/);
+});
+
+test("a form without a video file or videoUrl is rejected", async () => {
+  const response = await callHandler(videos, {
+    method: "POST",
+    url: "/api/admin/videos/local",
+    token: await signIn("editor"),
+    ...multipart(
+      { title: "Nothing", category: "Family", year: "2020" },
+      { thumbnail: { filename: "x.png", contentType: "image/png", data: PNG } }
+    ),
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.details.video, ["Video file or videoUrl is required"]);
+});
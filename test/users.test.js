@@ -0,0 +1,171 @@
+// Admin accounts: password login, the bootstrap owner and role checks on admin routes
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+
+process.env.ADMIN_USERNAME = "Admin";
+process.env.ADMIN_PASSWORD = "bootstrap password";
+
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const { hasRole, authenticate, createUser, updateUser, findUser } = require("../api/users");
+const login = require("../api/admin/login");
+const videos = require("../api/admin/videos");
+const users = require("../api/admin/users");
+
+test("roles are ordered viewer < editor < owner", () => {
+  assert.ok(hasRole("owner", "editor"));
+  assert.ok(hasRole("editor", "editor"));
+  assert.ok(!hasRole("viewer", "editor"));
+  assert.ok(!hasRole("unknown", "viewer"));
+});
+
+test("the first login creates the owner from ADMIN_USERNAME and ADMIN_PASSWORD", async () => {
+  const response = await callHandler(login, {
+    method: "POST",
+    url: "/api/admin/login",
+    body: { username: "admin", password: "bootstrap password" },
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.user, { username: "admin", role: "owner" });
+  assert.ok(response.body.token);
+  assert.ok(response.body.refreshToken);
+});
+
+test("passwords are stored hashed and checked", async () => {
+  await createUser({ username: "Grandma", password: "lemon cake", role: "viewer" });
+
+  const stored = await findUser("grandma");
+  assert.match(stored.passwordHash, /^scrypt\$/);
+  assert.ok(!stored.passwordHash.includes("lemon cake"));
+  assert.equal((await authenticate("GRANDMA", "lemon cake"))._id, "grandma");
+  assert.equal(await authenticate("grandma", "wrong"), null);
+});
+
+test("disabled accounts cannot log in", async () => {
+  await createUser({ username: "former", password: "long enough", role: "editor" });
+  await updateUser("former", { disabled: true });
+
+  assert.equal(await authenticate("former", "long enough"), null);
+});
+
+test("a wrong password is answered with 401", async () => {
+  const response = await callHandler(login, {
+    method: "POST",
+    url: "/api/admin/login",
+    body: { username: "admin", password: "guess" },
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test("admin routes need a valid access token", async () => {
+  const missing = await callHandler(videos, { method: "GET", url: "/api/admin/videos" });
+  const invalid = await callHandler(videos, {
+    method: "GET",
+    url: "/api/admin/videos",
+    token: "not-a-jwt",
+  });
+
+  assert.equal(missing.status, 401);
+  assert.equal(invalid.status, 401);
+});
+
+test("viewers can list videos but not change them", async () => {
+  await seedCatalog([makeVideo(1)]);
+  const token = await signIn("viewer");
+
+  const list = await callHandler(videos, { method: "GET", url: "/api/admin/videos", token });
+  const update = await callHandler(videos, {
+    method: "PUT",
+    url: "/api/admin/videos/1",
+    token,
+    body: { title: "Nope" },
+  });
+
+  assert.equal(list.status, 200);
+  assert.equal(update.status, 403);
+});
+
+test("only owners can delete videos", async () => {
+  await seedCatalog([makeVideo(1)]);
+  const editor = await signIn("editor");
+  const owner = await signIn("owner");
+
+  const denied = await callHandler(videos, {
+    method: "DELETE",
+    url: "/api/admin/videos/1",
+    token: editor,
+  });
+  const allowed = await callHandler(videos, {
+    method: "DELETE",
+    url: "/api/admin/videos/1",
+    token: owner,
+  });
+
+  assert.equal(denied.status, 403);
+  assert.equal(allowed.status, 200);
+});
+
+test("tokens of disabled or demoted users stop working straight away", async () => {
+  await seedCatalog([makeVideo(1)]);
+  const disabled = await signIn("editor", "leaving-editor");
+  const demoted = await signIn("editor", "demoted-editor");
+  await updateUser("leaving-editor", { disabled: true });
+  await updateUser("demoted-editor", { role: "viewer" });
+
+  const put = (token) =>
+    callHandler(videos, {
+      method: "PUT",
+      url: "/api/admin/videos/1",
+      token,
+      body: { title: "Changed" },
+    });
+
+  assert.equal((await put(disabled)).status, 401);
+  assert.equal((await put(demoted)).status, 403);
+});
+
+test("only owners can manage accounts", async () => {
+  const editor = await signIn("editor");
+  const owner = await signIn("owner");
+
+  const denied = await callHandler(users, { method: "GET", url: "/api/admin/users", token: editor });
+  const created = await callHandler(users, {
+    method: "POST",
+    url: "/api/admin/users",
+    token: owner,
+    body: { username: "cousin", password: "a long password", role: "viewer" },
+  });
+
+  assert.equal(denied.status, 403);
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.role, "viewer");
+  assert.equal(created.body.data.passwordHash, undefined);
+});
+
+test("without a data store, modules load and only data access fails", () => {
+  const env = { ...process.env };
+  delete env.DATA_STORE;
+  delete env.MONGODB_URI;
+
+  const script = `
+    for (const route of ["videos", "admin/login", "admin/users", "admin/videos"]) {
+      require("./api/" + route);
+    }
+    require("./api/collections").getCollection("users");
+  `;
+  const result = spawnSync(process.execPath, ["-e", script], {
+    cwd: path.join(__dirname, ".."),
+    env,
+    encoding: "utf-8",
+    timeout: 30000,
+  });
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /No persistent data store configured/);
+  assert.match(result.stderr, /getCollection/);
+});
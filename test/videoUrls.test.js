@@ -0,0 +1,64 @@
+// Video URL resolution: YouTube and Vimeo link forms and start times
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseStartTime, resolveVideoUrl } = require("../api/videoUrls");
+const { extractYouTubeId } = require("../api/youtube");
+
+const ID = "dQw4w9WgXcQ";
+
+test("YouTube watch, short, Shorts, live and embed links resolve to the video", () => {
+  for (const url of [
+    `https://www.youtube.com/watch?v=${ID}`,
+    `https://m.youtube.com/watch?v=${ID}&list=PL123&index=4`,
+    `https://youtu.be/${ID}`,
+    `https://www.youtube.com/shorts/${ID}`,
+    `https://youtube.com/live/${ID}?feature=share`,
+    `https://www.youtube-nocookie.com/embed/${ID}`,
+    `https://music.youtube.com/watch?v=${ID}`,
+    `youtu.be/${ID}`,
+    ID,
+  ]) {
+    assert.deepEqual(resolveVideoUrl(url), { provider: "youtube", id: ID, startTime: undefined }, url);
+    assert.equal(extractYouTubeId(url), ID, url);
+  }
+});
+
+test("start times are read from t, start and the #t= fragment", () => {
+  assert.equal(resolveVideoUrl(`https://youtu.be/${ID}?t=90`).startTime, 90);
+  assert.equal(resolveVideoUrl(`https://www.youtube.com/watch?v=${ID}&t=1m30s`).startTime, 90);
+  assert.equal(resolveVideoUrl(`https://www.youtube.com/embed/${ID}?start=45`).startTime, 45);
+  assert.equal(resolveVideoUrl("https://vimeo.com/76979871#t=1h2m3s").startTime, 3723);
+
+  assert.equal(parseStartTime("90s"), 90);
+  assert.equal(parseStartTime("0"), undefined);
+  assert.equal(parseStartTime("soon"), undefined);
+});
+
+test("Vimeo links resolve with the unlisted hash when there is one", () => {
+  assert.deepEqual(resolveVideoUrl("https://vimeo.com/76979871"), {
+    provider: "vimeo",
+    id: "76979871",
+    startTime: undefined,
+  });
+  assert.equal(resolveVideoUrl("https://vimeo.com/76979871/a1b2c3d4e5").hash, "a1b2c3d4e5");
+  assert.equal(resolveVideoUrl("https://player.vimeo.com/video/76979871?h=ff00aa").hash, "ff00aa");
+  assert.equal(resolveVideoUrl("https://vimeo.com/channels/staffpicks/76979871").id, "76979871");
+  assert.equal(resolveVideoUrl("https://vimeo.com/groups/family/videos/76979871").id, "76979871");
+});
+
+test("known hosts without a video resolve with a null id; other links don't resolve", () => {
+  assert.deepEqual(resolveVideoUrl("https://www.youtube.com/@somechannel"), {
+    provider: "youtube",
+    id: null,
+    startTime: undefined,
+  });
+  assert.equal(resolveVideoUrl("https://youtu.be/short").id, null);
+  assert.equal(resolveVideoUrl("https://vimeo.com/about").id, null);
+
+  assert.equal(resolveVideoUrl("/videos/garden.mp4"), null);
+  assert.equal(resolveVideoUrl("https://example.com/watch?v=" + ID), null);
+  assert.equal(resolveVideoUrl("ftp://youtube.com/watch?v=" + ID), null);
+  assert.equal(resolveVideoUrl(""), null);
+});
@@ -0,0 +1,31 @@
+// Admin video endpoints: updates, role checks and catalog writes through the handler
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { makeVideo, seedCatalog, signIn, callHandler } = require("./helpers");
+
+const handler = require("../api/admin/videos");
+const { readVideosJson } = require("../api/catalog");
+
+test("PUT changes only the fields it sends", async () => {
+  await seedCatalog([
+    makeVideo(1, {
+      description: "Her first recital",
+      thumbnail: "https://i.ytimg.com/vi/video1/hqdefault.jpg",
+    }),
+  ]);
+  const token = await signIn("editor");
+
+  const response = await callHandler(handler, {
+    method: "PUT",
+    url: "/api/admin/videos/1",
+    token,
+    body: { title: "First recital" },
+  });
+
+  assert.equal(response.status, 200);
+  const [video] = (await readVideosJson()).videos;
+  assert.equal(video.title, "First recital");
+  assert.equal(video.description, "Her first recital");
+  assert.equal(video.thumbnail, "https://i.ytimg.com/vi/video1/hqdefault.jpg");
+});
@@ -0,0 +1,113 @@
+// Webhooks: payload signatures, and signed deliveries with retries for catalog commits
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { makeVideo, seedCatalog } = require("./helpers");
+
+const {
+  signPayload,
+  createHook,
+  removeHook,
+  listDeliveries,
+  retryDueDeliveries,
+} = require("../api/webhooks");
+const { writeVideosJson } = require("../api/catalog");
+
+/**
+ * Start a receiver on a free local port that records each request
+ * @param {Function} respond - (request) => status code
+ * @returns {Promise<Object>} { url, received, close }
+ */
+async function startReceiver(respond = () => 204) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = { headers: req.headers, body };
+      received.push(request);
+      res.writeHead(respond(request)).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("signPayload signs the timestamp and body with HMAC-SHA256", () => {
+  assert.equal(
+    signPayload("whsec_test", "1700000000", '{"event":"ping"}'),
+    "sha256=aa8efe37b751e71157c508c5ac4acb1e9fe5225db98355dfc00f4b680afbc447"
+  );
+});
+
+test("signPayload changes with the secret, timestamp and body", () => {
+  const signature = signPayload("whsec_test", "1700000000", "{}");
+
+  assert.notEqual(signPayload("whsec_other", "1700000000", "{}"), signature);
+  assert.notEqual(signPayload("whsec_test", "1700000001", "{}"), signature);
+  assert.notEqual(signPayload("whsec_test", "1700000000", "{ }"), signature);
+});
+
+test("a catalog commit is sent, signed, to the hooks subscribed to its events", async (t) => {
+  await seedCatalog([makeVideo(1), makeVideo(2)]);
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const hook = await createHook({ url: receiver.url, events: ["video.update"] }, "owner");
+  t.after(() => removeHook(hook.id));
+
+  const { commitSha } = await writeVideosJson(
+    { type: "update", id: 2, changes: { title: "Renamed" } },
+    "Rename video 2",
+    { actor: "editor" }
+  );
+  await writeVideosJson({ type: "delete", id: 1 }, "Delete video 1");
+
+  assert.equal(receiver.received.length, 1);
+  const [{ headers, body }] = receiver.received;
+  assert.equal(headers["x-webhook-event"], "video.update");
+  assert.equal(
+    headers["x-webhook-signature"],
+    signPayload(hook.secret, headers["x-webhook-timestamp"], body)
+  );
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.actor, "editor");
+  assert.equal(payload.commitSha, commitSha);
+  assert.equal(payload.video.id, 2);
+  assert.deepEqual(payload.changes.title, { from: "Video 2", to: "Renamed" });
+});
+
+test("failed deliveries are retried until the receiver accepts them", async (t) => {
+  await seedCatalog([makeVideo(1)]);
+  let status = 500;
+  const receiver = await startReceiver(() => status);
+  t.after(receiver.close);
+  const hook = await createHook({ url: receiver.url, events: ["video.add"] }, "owner");
+  t.after(() => removeHook(hook.id));
+
+  const { id, ...video } = makeVideo(2);
+  await writeVideosJson({ type: "add", video }, "Add video 2");
+
+  let [delivery] = await listDeliveries(hook.id, 10);
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.responseStatus, 500);
+  assert.ok(delivery.nextAttemptAt);
+
+  // Not due yet
+  await retryDueDeliveries(new Date());
+  assert.equal(receiver.received.length, 1);
+
+  status = 200;
+  await retryDueDeliveries(new Date(Date.parse(delivery.nextAttemptAt) + 1000));
+
+  [delivery] = await listDeliveries(hook.id, 10);
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(receiver.received.length, 2);
+});